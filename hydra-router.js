@@ -88,9 +88,20 @@ let setupRoutes = async(config) => {
     '[get]/v1/router/refresh/:service',
     '[get]/v1/router/log',
     '[get]/v1/router/stats',
+    '[get]/v1/router/breakers',
+    '[get]/v1/router/cache',
+    '[get]/v1/router/events',
+    '[post]/v1/router/poll',
+    '[get]/v1/router/poll/:id',
+    '[post]/v1/router/poll/:id',
+    '[delete]/v1/router/poll/:id',
+    '[delete]/v1/router/cache',
     '[post]/v1/router/message',
     '[post]/v1/router/send',
     '[post]/v1/router/queue',
+    '[post]/v1/router/publish',
+    '[post]/v1/router/broadcast',
+    '[get]/v1/router/rooms/:room',
     '[post]/v1/router/stream/:name'
   ];
   await hydra.registerRoutes(routeList);
@@ -157,34 +168,9 @@ let setupWebSocketServer = (server) => {
   });
 
   wss.on('connection', async(ws, req) => {
-    const config = serviceRouter.getConfig();
-    if (config.requireWebsocketAuth) {
-      try {
-        let auth;
-        if (req.headers.authorization) {
-          auth = Buffer.from(req.headers.authorization.slice(6), 'base64').toString();
-        } else if (req.url && req.url.length > 1) {
-          auth = req.url;
-        }
-        // parse the auth string if provided
-        if (auth) {
-          const response = await serviceRouter.wsAuthenticate(auth);
-          if (response.statusCode !== 200) {
-            hydra.log('error', 'Invalid auth api response');
-            serviceRouter.wsDisconnect(ws);
-            return;
-          }
-          ws.authResponse = response.result;
-        } else {
-          hydra.log('error', 'Auth must be provided on connection');
-          serviceRouter.wsDisconnect(ws);
-          return;
-        }
-      } catch (e) {
-        hydra.log('error', e);
-        serviceRouter.wsDisconnect(ws);
-        return;
-      }
+    if (!await serviceRouter.wsAuthenticateConnection(ws, req)) {
+      serviceRouter.wsDisconnect(ws);
+      return;
     }
     serviceRouter.sendConnectMessage(ws, null, req);
 
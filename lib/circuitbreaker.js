@@ -0,0 +1,282 @@
+'use strict';
+
+const RouteSettings = require('./routesettings');
+
+const STATE_CLOSED = 'closed';
+const STATE_OPEN = 'open';
+const STATE_HALF_OPEN = 'half-open';
+
+const DEFAULTS = {
+  enabled: false,
+  windowSize: 30, // seconds of history used to compute the error rate
+  volumeThreshold: 10, // minimum requests in the window before the error rate is considered
+  errorThreshold: 50, // error rate percentage which opens the breaker
+  timeoutThreshold: 5, // consecutive timeouts which open the breaker
+  openDuration: 30, // seconds the breaker stays open before allowing trial requests
+  halfOpenRequests: 1 // trial requests allowed at once while half-open
+};
+
+/**
+* @name CircuitBreaker
+* @summary Per service circuit breakers
+* @description Each downstream service has a breaker which is closed while the
+*              service is healthy. When the error rate in the rolling window or
+*              the number of consecutive timeouts crosses its threshold the breaker
+*              opens and requests fail fast. After openDuration the breaker is
+*              half-open and lets a few trial requests through; a successful
+*              trial closes it and a failed one opens it again.
+*
+*              "circuitBreaker": {
+*                "enabled": true,
+*                "errorThreshold": 50,
+*                "services": {
+*                  "reports-svcs": {"openDuration": 60}
+*                }
+*              }
+* @return {undefined}
+*/
+class CircuitBreaker {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.settings = new RouteSettings({}, DEFAULTS);
+    this.breakers = {};
+  }
+
+  /**
+  * @name init
+  * @summary initialize using the router config
+  * @param {object} config - configuration object
+  * @return {undefined}
+  */
+  init(config) {
+    this.settings = new RouteSettings(config.circuitBreaker, DEFAULTS);
+    this.breakers = {};
+  }
+
+  /**
+  * @name _now
+  * @summary current time in seconds
+  * @private
+  * @return {number} seconds - epoch seconds
+  */
+  _now() {
+    return Math.floor(Date.now() / 1000);
+  }
+
+  /**
+  * @name _getBreaker
+  * @summary retrieve or create the breaker for a service
+  * @private
+  * @param {string} serviceName - name of service
+  * @return {object} breaker - breaker state
+  */
+  _getBreaker(serviceName) {
+    if (!this.breakers[serviceName]) {
+      this.breakers[serviceName] = {
+        state: STATE_CLOSED,
+        buckets: [],
+        consecutiveTimeouts: 0,
+        openedAt: 0,
+        trials: 0
+      };
+    }
+    return this.breakers[serviceName];
+  }
+
+  /**
+  * @name _getBucket
+  * @summary retrieve the bucket for the current second, discarding expired buckets
+  * @private
+  * @param {object} breaker - breaker state
+  * @param {number} windowSize - window size in seconds
+  * @return {object} bucket - {second, requests, failures}
+  */
+  _getBucket(breaker, windowSize) {
+    let now = this._now();
+    while (breaker.buckets.length && breaker.buckets[0].second <= now - windowSize) {
+      breaker.buckets.shift();
+    }
+    let bucket = breaker.buckets[breaker.buckets.length - 1];
+    if (!bucket || bucket.second !== now) {
+      bucket = {second: now, requests: 0, failures: 0};
+      breaker.buckets.push(bucket);
+    }
+    return bucket;
+  }
+
+  /**
+  * @name _tally
+  * @summary sum the requests and failures in the rolling window
+  * @private
+  * @param {object} breaker - breaker state
+  * @param {number} windowSize - window size in seconds
+  * @return {object} tally - {requests, failures}
+  */
+  _tally(breaker, windowSize) {
+    this._getBucket(breaker, windowSize);
+    return breaker.buckets.reduce((tally, bucket) => {
+      tally.requests += bucket.requests;
+      tally.failures += bucket.failures;
+      return tally;
+    }, {requests: 0, failures: 0});
+  }
+
+  /**
+  * @name _open
+  * @summary open a breaker
+  * @private
+  * @param {object} breaker - breaker state
+  * @return {undefined}
+  */
+  _open(breaker) {
+    breaker.state = STATE_OPEN;
+    breaker.openedAt = this._now();
+    breaker.trials = 0;
+  }
+
+  /**
+  * @name _close
+  * @summary close a breaker and reset its history
+  * @private
+  * @param {object} breaker - breaker state
+  * @return {undefined}
+  */
+  _close(breaker) {
+    breaker.state = STATE_CLOSED;
+    breaker.buckets = [];
+    breaker.consecutiveTimeouts = 0;
+    breaker.trials = 0;
+  }
+
+  /**
+  * @name check
+  * @summary determine whether a request to a service may proceed
+  * @description Every allowed request must be followed by a call to recordSuccess
+  *              or recordFailure.
+  * @param {string} serviceName - name of service
+  * @return {object} result - {allowed, retryAfter} where retryAfter is in seconds
+  */
+  check(serviceName) {
+    let settings = this.settings.get(serviceName);
+    if (!settings.enabled) {
+      return {allowed: true};
+    }
+    let breaker = this._getBreaker(serviceName);
+    if (breaker.state === STATE_OPEN) {
+      let elapsed = this._now() - breaker.openedAt;
+      if (elapsed < settings.openDuration) {
+        return {allowed: false, retryAfter: settings.openDuration - elapsed};
+      }
+      breaker.state = STATE_HALF_OPEN;
+      breaker.trials = 0;
+    }
+    if (breaker.state === STATE_HALF_OPEN) {
+      if (breaker.trials >= settings.halfOpenRequests) {
+        return {allowed: false, retryAfter: 1};
+      }
+      breaker.trials++;
+    }
+    return {allowed: true};
+  }
+
+  /**
+  * @name recordSuccess
+  * @summary record a successful request
+  * @param {string} serviceName - name of service
+  * @return {undefined}
+  */
+  recordSuccess(serviceName) {
+    let settings = this.settings.get(serviceName);
+    if (!settings.enabled) {
+      return;
+    }
+    let breaker = this._getBreaker(serviceName);
+    if (breaker.state === STATE_HALF_OPEN) {
+      this._close(breaker);
+      return;
+    }
+    this._getBucket(breaker, settings.windowSize).requests++;
+    breaker.consecutiveTimeouts = 0;
+  }
+
+  /**
+  * @name recordFailure
+  * @summary record a failed request
+  * @param {string} serviceName - name of service
+  * @param {boolean} timedOut - true if the request failed by timing out
+  * @return {undefined}
+  */
+  recordFailure(serviceName, timedOut) {
+    let settings = this.settings.get(serviceName);
+    if (!settings.enabled) {
+      return;
+    }
+    let breaker = this._getBreaker(serviceName);
+    if (breaker.state === STATE_HALF_OPEN) {
+      this._open(breaker);
+      return;
+    }
+    let bucket = this._getBucket(breaker, settings.windowSize);
+    bucket.requests++;
+    bucket.failures++;
+    breaker.consecutiveTimeouts = (timedOut) ? breaker.consecutiveTimeouts + 1 : 0;
+    if (breaker.state !== STATE_CLOSED) {
+      return;
+    }
+    let tally = this._tally(breaker, settings.windowSize);
+    let errorRate = (tally.failures / tally.requests) * 100;
+    if ((tally.requests >= settings.volumeThreshold && errorRate >= settings.errorThreshold) ||
+        breaker.consecutiveTimeouts >= settings.timeoutThreshold) {
+      this._open(breaker);
+    }
+  }
+
+  /**
+  * @name release
+  * @summary record an allowed request which ended without a verdict on the service
+  * @description Used when a request is abandoned for reasons unrelated to the
+  *              service, such as the client disconnecting, so a half-open
+  *              breaker can let another trial through.
+  * @param {string} serviceName - name of service
+  * @return {undefined}
+  */
+  release(serviceName) {
+    let breaker = this.breakers[serviceName];
+    if (breaker && breaker.state === STATE_HALF_OPEN && breaker.trials > 0) {
+      breaker.trials--;
+    }
+  }
+
+  /**
+  * @name getBreakers
+  * @summary retrieve the state of every breaker
+  * @return {object} breakers - service names mapped to breaker state
+  */
+  getBreakers() {
+    let result = {};
+    Object.keys(this.breakers).forEach((serviceName) => {
+      let settings = this.settings.get(serviceName);
+      let breaker = this.breakers[serviceName];
+      let tally = this._tally(breaker, settings.windowSize);
+      let entry = {
+        state: breaker.state,
+        requests: tally.requests,
+        failures: tally.failures,
+        errorRate: (tally.requests) ? Math.round((tally.failures / tally.requests) * 100) : 0,
+        consecutiveTimeouts: breaker.consecutiveTimeouts
+      };
+      if (breaker.state === STATE_OPEN) {
+        entry.openedAt = new Date(breaker.openedAt * 1000).toISOString();
+        entry.retryAfter = Math.max(settings.openDuration - (this._now() - breaker.openedAt), 0);
+      }
+      result[serviceName] = entry;
+    });
+    return result;
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,278 @@
+'use strict';
+
+const Promise = require('bluebird');
+
+const KEY_PREFIX = 'hydra-router:registry';
+const MODE_BROADCAST = 'broadcast';
+const MODE_REDIS = 'redis';
+
+const DEFAULTS = {
+  mode: MODE_BROADCAST, // broadcast keeps the wsdir directory in every router, redis uses the registry
+  db: 0,
+  ttl: 30, // seconds a router's clients stay registered without a heartbeat
+  heartbeatInterval: 10 // seconds between heartbeats
+};
+
+// Remove a client unless another router registered it since.
+const UNREGISTER_SCRIPT = `
+redis.call('HDEL', KEYS[2], ARGV[1])
+if redis.call('HGET', KEYS[1], ARGV[1]) == ARGV[2] then
+  redis.call('HDEL', KEYS[1], ARGV[1])
+end
+return 1
+`;
+
+// Remove the clients of a router whose heartbeat expired, run atomically so
+// routers reaping at the same time and clients moving between routers are safe.
+const REAP_SCRIPT = `
+if redis.call('EXISTS', KEYS[4]) == 1 then
+  return -1
+end
+local clientIDs = redis.call('HKEYS', KEYS[2])
+for _, clientID in ipairs(clientIDs) do
+  if redis.call('HGET', KEYS[1], clientID) == ARGV[1] then
+    redis.call('HDEL', KEYS[1], clientID)
+  end
+end
+redis.call('DEL', KEYS[2])
+redis.call('SREM', KEYS[3], ARGV[1])
+return #clientIDs
+`;
+
+/**
+* @name ClientRegistry
+* @summary Redis registry of the router instance each client is connected to
+* @description An alternative to broadcasting wsdir.add and wsdir.del messages
+*              and sharing whole directories between routers. The registry
+*              consists of:
+*
+*              hydra-router:registry:clients - hash of client ids to router ids
+*              hydra-router:registry:router:<routerID> - hash of a router's client ids
+*              hydra-router:registry:alive:<routerID> - heartbeat key, expires after ttl
+*              hydra-router:registry:routers - set of registered router ids
+*
+*              Clients of routers whose heartbeat key has expired aren't found
+*              and are removed by the next heartbeat of any router. A router
+*              whose heartbeat key had expired registers its clients again.
+*
+*              Configured in the clientRegistry config section:
+*
+*              "clientRegistry": {
+*                "mode": "redis",
+*                "db": 0,
+*                "ttl": 30,
+*                "heartbeatInterval": 10
+*              }
+* @return {undefined}
+*/
+class ClientRegistry {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @param {object} config - configuration object
+  * @return {undefined}
+  */
+  constructor(config) {
+    this.settings = Object.assign({}, DEFAULTS, config && config.clientRegistry);
+    this.db = null;
+    this.routerID = null;
+    this.getClientIDs = () => [];
+    this.heartbeatTimer = null;
+  }
+
+  /**
+  * @name isEnabled
+  * @summary determine whether clients are kept in the registry
+  * @return {boolean} result - true in redis mode
+  */
+  isEnabled() {
+    return this.settings.mode === MODE_REDIS;
+  }
+
+  /**
+  * @name init
+  * @summary select the registry database and start sending heartbeats
+  * @param {object} redisclient - cloned redis client
+  * @param {string} routerID - instance id of this router
+  * @param {function} getClientIDs - returns the ids of the clients connected to this router
+  * @param {function} onError - called with errors of periodic heartbeats
+  * @return {promise} promise - resolving once the first heartbeat is stored
+  */
+  init(redisclient, routerID, getClientIDs, onError) {
+    this.db = redisclient;
+    this.routerID = routerID;
+    this.getClientIDs = getClientIDs;
+    return new Promise((resolve, reject) => {
+      this.db.select(this.settings.db, (err, _reply) => {
+        (err) ? reject(err) : resolve();
+      });
+    })
+      .then(() => this.heartbeat())
+      .then(() => {
+        this.heartbeatTimer = setInterval(() => {
+          this.heartbeat().catch(onError);
+        }, this.settings.heartbeatInterval * 1000);
+      });
+  }
+
+  /**
+  * @name close
+  * @summary stop sending heartbeats and remove this router's clients
+  * @return {promise} promise - resolving once the clients are removed
+  */
+  close() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+    if (!this.db) {
+      return Promise.resolve();
+    }
+    return this._command('del', this._getKey('alive', this.routerID))
+      .then(() => this._reapRouter(this.routerID))
+      .finally(() => {
+        this.db.quit();
+        this.db = null;
+      });
+  }
+
+  /**
+  * @name register
+  * @summary record that a client is connected to this router
+  * @param {string} clientID - client id
+  * @return {promise} promise - resolving once recorded
+  */
+  register(clientID) {
+    return this._registerClients([clientID]);
+  }
+
+  /**
+  * @name unregister
+  * @summary remove a client which disconnected from this router
+  * @param {string} clientID - client id
+  * @return {promise} promise - resolving once removed
+  */
+  unregister(clientID) {
+    return this._command('eval', UNREGISTER_SCRIPT, 2,
+      this._getKey('clients'), this._getKey('router', this.routerID), clientID, this.routerID);
+  }
+
+  /**
+  * @name locate
+  * @summary find the router a client is connected to
+  * @param {string} clientID - client id
+  * @return {promise} promise - resolving to the router id, or null when the client
+  *                             isn't connected or its router stopped sending heartbeats
+  */
+  locate(clientID) {
+    return this._command('hget', this._getKey('clients'), clientID)
+      .then((routerID) => {
+        if (!routerID) {
+          return null;
+        }
+        return this._command('exists', this._getKey('alive', routerID))
+          .then((alive) => (alive) ? routerID : null);
+      });
+  }
+
+  /**
+  * @name heartbeat
+  * @summary keep this router's clients registered and remove those of dead routers
+  * @description The heartbeat key is only created when it doesn't exist, which
+  *              tells apart a heartbeat key that expired. Another router may have
+  *              removed this router's clients since, so they are registered again.
+  * @return {promise} promise - resolving to the ids of the routers reaped
+  */
+  heartbeat() {
+    if (!this.db) {
+      return Promise.reject(new Error('Client registry is not initialized'));
+    }
+    let aliveKey = this._getKey('alive', this.routerID);
+    return new Promise((resolve, reject) => {
+      this.db.multi()
+        .set(aliveKey, Date.now(), 'EX', this.settings.ttl, 'NX')
+        .expire(aliveKey, this.settings.ttl)
+        .sadd(this._getKey('routers'), this.routerID)
+        .exec((err, replies) => {
+          (err) ? reject(err) : resolve(replies[0] === 'OK');
+        });
+    })
+      .then((created) => (created) ? this._registerClients(this.getClientIDs()) : null)
+      .then(() => this._command('smembers', this._getKey('routers')))
+      .then((routerIDs) => {
+        return Promise.filter(routerIDs.filter((routerID) => routerID !== this.routerID), (routerID) => {
+          return this._reapRouter(routerID).then((reaped) => reaped >= 0);
+        }, {concurrency: 1});
+      });
+  }
+
+  /**
+  * @name _registerClients
+  * @summary record that clients are connected to this router
+  * @private
+  * @param {array} clientIDs - client ids
+  * @return {promise} promise - resolving once recorded
+  */
+  _registerClients(clientIDs) {
+    if (!this.db) {
+      return Promise.reject(new Error('Client registry is not initialized'));
+    }
+    if (!clientIDs.length) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      let multi = this.db.multi();
+      clientIDs.forEach((clientID) => {
+        multi.hset(this._getKey('clients'), clientID, this.routerID)
+          .hset(this._getKey('router', this.routerID), clientID, 1);
+      });
+      multi.exec((err, _replies) => {
+        (err) ? reject(err) : resolve();
+      });
+    });
+  }
+
+  /**
+  * @name _reapRouter
+  * @summary remove the clients of a router unless its heartbeat key exists
+  * @private
+  * @param {string} routerID - router instance
+  * @return {promise} promise - resolving to the number of clients removed, -1 for live routers
+  */
+  _reapRouter(routerID) {
+    return this._command('eval', REAP_SCRIPT, 4,
+      this._getKey('clients'), this._getKey('router', routerID), this._getKey('routers'),
+      this._getKey('alive', routerID), routerID);
+  }
+
+  /**
+  * @name _command
+  * @summary run a redis command
+  * @private
+  * @param {string} name - command name
+  * @param {...*} args - command arguments
+  * @return {promise} promise - resolving to the command reply
+  */
+  _command(name, ...args) {
+    if (!this.db) {
+      return Promise.reject(new Error('Client registry is not initialized'));
+    }
+    return new Promise((resolve, reject) => {
+      this.db[name](...args, (err, reply) => {
+        (err) ? reject(err) : resolve(reply);
+      });
+    });
+  }
+
+  /**
+  * @name _getKey
+  * @summary build a registry key
+  * @private
+  * @param {string} name - clients, router, alive or routers
+  * @param {string} routerID - router instance, for keys of a single router
+  * @return {string} key - redis key
+  */
+  _getKey(name, routerID) {
+    return (routerID) ? `${KEY_PREFIX}:${name}:${routerID}` : `${KEY_PREFIX}:${name}`;
+  }
+}
+
+module.exports = ClientRegistry;
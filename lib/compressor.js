@@ -0,0 +1,191 @@
+'use strict';
+
+const Promise = require('bluebird');
+const zlib = require('zlib');
+
+const ENCODING_BROTLI = 'br';
+const ENCODING_GZIP = 'gzip';
+const ENCODING_DEFLATE = 'deflate';
+
+const DEFAULTS = {
+  enabled: true,
+  encodings: [ENCODING_BROTLI, ENCODING_GZIP, ENCODING_DEFLATE], // server preference when q-values tie
+  minSize: 1024, // bytes, smaller payloads are sent uncompressed
+  excludeTypes: ['image/', 'video/', 'audio/', 'application/zip', 'application/gzip', 'application/x-gzip', 'font/woff2']
+};
+
+const COMPRESSORS = {
+  [ENCODING_BROTLI]: Promise.promisify(zlib.brotliCompress),
+  [ENCODING_GZIP]: Promise.promisify(zlib.gzip),
+  [ENCODING_DEFLATE]: Promise.promisify(zlib.deflate)
+};
+
+const DECOMPRESSORS = {
+  [ENCODING_BROTLI]: Promise.promisify(zlib.brotliDecompress),
+  [ENCODING_GZIP]: Promise.promisify(zlib.gunzip),
+  'x-gzip': Promise.promisify(zlib.gunzip),
+  [ENCODING_DEFLATE]: Promise.promisify(zlib.inflate)
+};
+
+/**
+* @name Compressor
+* @summary Content-Encoding negotiation for responses and decoding of request bodies
+* @description Configured in the compression config section:
+*
+*              "compression": {
+*                "enabled": true,
+*                "encodings": ["br", "gzip", "deflate"],
+*                "minSize": 1024,
+*                "excludeTypes": ["image/", "video/", "application/zip"]
+*              }
+*
+*              Excluded types match content-types by prefix. Responses which
+*              are already encoded or marked no-transform are never compressed.
+* @return {undefined}
+*/
+class Compressor {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.settings = Object.assign({}, DEFAULTS);
+  }
+
+  /**
+  * @name init
+  * @summary initialize using the router config
+  * @param {object} config - configuration object
+  * @return {undefined}
+  */
+  init(config) {
+    this.settings = Object.assign({}, DEFAULTS, config.compression);
+    this.settings.encodings = this.settings.encodings.filter((encoding) => COMPRESSORS[encoding]);
+  }
+
+  /**
+  * @name negotiate
+  * @summary pick the response encoding for an Accept-Encoding header
+  * @param {string} acceptEncoding - Accept-Encoding request header
+  * @return {string} encoding - selected encoding or null to send the payload as is
+  */
+  negotiate(acceptEncoding) {
+    if (!this.settings.enabled || !acceptEncoding) {
+      return null;
+    }
+    let qualities = {};
+    acceptEncoding.split(',').forEach((entry) => {
+      let params = entry.split(';');
+      let coding = params.shift().trim().toLowerCase();
+      if (!coding) {
+        return;
+      }
+      let quality = 1;
+      params.forEach((param) => {
+        let [name, value] = param.split('=');
+        if (name.trim().toLowerCase() === 'q') {
+          quality = Number(value) || 0;
+        }
+      });
+      if (coding === 'x-gzip') {
+        coding = ENCODING_GZIP;
+      }
+      qualities[coding] = quality;
+    });
+    let selected = null;
+    let best = 0;
+    this.settings.encodings.forEach((encoding) => {
+      let quality = (qualities[encoding] !== undefined) ? qualities[encoding] : (qualities['*'] || 0);
+      if (quality > best) {
+        selected = encoding;
+        best = quality;
+      }
+    });
+    return selected;
+  }
+
+  /**
+  * @name isCompressible
+  * @summary determine whether a response may be compressed, whatever the client accepts
+  * @param {object} headers - response headers
+  * @return {boolean} compressible - true if the response may be compressed
+  */
+  isCompressible(headers) {
+    let contentEncoding = headers['content-encoding'];
+    if (contentEncoding && contentEncoding !== 'identity') {
+      return false;
+    }
+    if (headers['cache-control'] && headers['cache-control'].indexOf('no-transform') > -1) {
+      return false;
+    }
+    let contentType = (headers['content-type'] || '').toLowerCase();
+    return !this.settings.excludeTypes.some((type) => contentType.indexOf(type.toLowerCase()) === 0);
+  }
+
+  /**
+  * @name compressResponse
+  * @summary encode a response payload for a client
+  * @param {string} acceptEncoding - Accept-Encoding request header
+  * @param {object} headers - response headers, with lowercase names
+  * @param {mixed} payLoad - response payload, buffer or string
+  * @return {object} promise - resolving to {headers, payLoad} with updated
+  *                  content-encoding, content-length, etag and vary headers
+  */
+  compressResponse(acceptEncoding, headers, payLoad) {
+    headers = Object.assign({}, headers);
+    payLoad = (Buffer.isBuffer(payLoad)) ? payLoad : Buffer.from(payLoad || '', 'utf8');
+    delete headers['transfer-encoding'];
+    headers['content-length'] = payLoad.length;
+    if (!this.settings.enabled || !this.isCompressible(headers)) {
+      return Promise.resolve({headers, payLoad});
+    }
+    if (!headers['vary']) {
+      headers['vary'] = 'Accept-Encoding';
+    } else if (headers['vary'].toLowerCase().indexOf('accept-encoding') < 0) {
+      headers['vary'] = `${headers['vary']}, Accept-Encoding`;
+    }
+    let encoding = this.negotiate(acceptEncoding);
+    if (!encoding || payLoad.length < this.settings.minSize) {
+      return Promise.resolve({headers, payLoad});
+    }
+    return COMPRESSORS[encoding](payLoad).then((compressed) => {
+      headers['content-encoding'] = encoding;
+      headers['content-length'] = compressed.length;
+      if (headers['etag'] && headers['etag'].indexOf('W/') !== 0) {
+        // the encoded representation is no longer byte-for-byte identical
+        headers['etag'] = `W/${headers['etag']}`;
+      }
+      return {headers, payLoad: compressed};
+    });
+  }
+
+  /**
+  * @name decompress
+  * @summary decode a request body according to its Content-Encoding header
+  * @param {buffer} body - request body
+  * @param {string} contentEncoding - Content-Encoding request header
+  * @param {number} maxOutputLength - largest decoded body in bytes, 0 for no limit
+  * @return {object} promise - resolving to the decoded body, rejecting for
+  *                  unsupported encodings or corrupt data, or with an error
+  *                  whose code is Compressor.ERR_TOO_LARGE when the decoded
+  *                  body would exceed maxOutputLength
+  */
+  decompress(body, contentEncoding, maxOutputLength) {
+    let options = (maxOutputLength > 0) ? {maxOutputLength} : {};
+    let encodings = (contentEncoding || '').split(',')
+      .map((encoding) => encoding.trim().toLowerCase())
+      .filter((encoding) => encoding && encoding !== 'identity');
+    // encodings are listed in the order they were applied
+    return Promise.reduce(encodings.reverse(), (decoded, encoding) => {
+      if (!DECOMPRESSORS[encoding]) {
+        throw new Error(`Unsupported content-encoding ${encoding}`);
+      }
+      return DECOMPRESSORS[encoding](decoded, options);
+    }, body);
+  }
+}
+
+Compressor.ERR_TOO_LARGE = 'ERR_BUFFER_TOO_LARGE';
+
+module.exports = Compressor;
@@ -0,0 +1,197 @@
+'use strict';
+
+const RouteSettings = require('./routesettings');
+
+const DEFAULTS = {
+  request: {},
+  response: {}
+};
+
+const TEMPLATE_PATTERN = /\{([^{}]+)\}/g;
+const INVALID_VALUE_PATTERN = /[^\t\x20-\x7e\x80-\xff]/;
+
+/**
+* @name HeaderRewriter
+* @summary Rewrite request headers sent to services and response headers sent to clients
+* @description Rules are configured in the headerRewrites config section and
+*              are applied in order: remove, rename, then add.
+*
+*              "headerRewrites": {
+*                "request": {
+*                  "remove": ["x-internal-debug"],
+*                  "rename": {"x-legacy-user": "x-user"},
+*                  "add": {"x-request-id": "{tracer}", "x-user-id": "{claims.sub}"}
+*                },
+*                "response": {
+*                  "remove": ["server", "x-powered-by"],
+*                  "add": {"x-content-type-options": "nosniff"}
+*                },
+*                "services": {},
+*                "routes": {}
+*              }
+*
+*              Added values are templates which may use {tracer}, {clientIP},
+*              {service} and {claims.<path>}. A header whose template refers to
+*              a missing value, or renders to a value which isn't allowed in a
+*              header such as one with line breaks, is not added. Rules are read when the router is
+*              initialized, so they are reloaded along with the rest of the config.
+* @return {undefined}
+*/
+class HeaderRewriter {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.settings = new RouteSettings({}, DEFAULTS);
+  }
+
+  /**
+  * @name init
+  * @summary initialize using the router config
+  * @param {object} config - configuration object
+  * @return {undefined}
+  */
+  init(config) {
+    this.settings = new RouteSettings(config.headerRewrites, DEFAULTS);
+  }
+
+  /**
+  * @name rewriteRequest
+  * @summary apply the request rules of a route
+  * @param {object} headers - headers forwarded to the service
+  * @param {object} context - {serviceName, method, pattern, tracer, clientIP, claims}
+  * @return {object} headers - rewritten copy
+  */
+  rewriteRequest(headers, context) {
+    let settings = this.settings.get(context.serviceName, context.method, context.pattern);
+    return this._apply(settings.request, headers, context);
+  }
+
+  /**
+  * @name rewriteResponse
+  * @summary apply the response rules of a route
+  * @param {object} headers - headers sent to the client
+  * @param {object} context - {serviceName, method, pattern, tracer, clientIP, claims}
+  * @return {object} headers - rewritten copy
+  */
+  rewriteResponse(headers, context) {
+    let settings = this.settings.get(context.serviceName, context.method, context.pattern);
+    return this._apply(settings.response, headers, context);
+  }
+
+  /**
+  * @name _apply
+  * @summary apply a set of rules to headers
+  * @private
+  * @param {object} rules - {remove, rename, add}
+  * @param {object} headers - headers
+  * @param {object} context - template values
+  * @return {object} headers - rewritten copy
+  */
+  _apply(rules, headers, context) {
+    let result = Object.assign({}, headers);
+    if (!rules) {
+      return result;
+    }
+    (rules.remove || []).forEach((name) => {
+      this._delete(result, name);
+    });
+    Object.keys(rules.rename || {}).forEach((name) => {
+      let value = this._delete(result, name);
+      if (value !== undefined) {
+        this._delete(result, rules.rename[name]);
+        result[rules.rename[name].toLowerCase()] = value;
+      }
+    });
+    Object.keys(rules.add || {}).forEach((name) => {
+      let value = this._render(String(rules.add[name]), context);
+      if (value !== null && this._isValidValue(value)) {
+        this._delete(result, name);
+        result[name.toLowerCase()] = value;
+      }
+    });
+    return result;
+  }
+
+  /**
+  * @name _delete
+  * @summary remove a header regardless of the case of its name
+  * @private
+  * @param {object} headers - headers
+  * @param {string} name - header name
+  * @return {mixed} value - value of the removed header, undefined if absent
+  */
+  _delete(headers, name) {
+    let value;
+    name = name.toLowerCase();
+    Object.keys(headers).forEach((key) => {
+      if (key.toLowerCase() === name) {
+        value = headers[key];
+        delete headers[key];
+      }
+    });
+    return value;
+  }
+
+  /**
+  * @name _render
+  * @summary fill in a header template
+  * @private
+  * @param {string} template - template
+  * @param {object} context - template values
+  * @return {string} value - rendered value, null if a value is missing
+  */
+  _render(template, context) {
+    let missing = false;
+    let value = template.replace(TEMPLATE_PATTERN, (match, name) => {
+      let resolved = this._resolve(name.trim(), context);
+      if (resolved === undefined || resolved === null) {
+        missing = true;
+        return '';
+      }
+      return (typeof resolved === 'object') ? JSON.stringify(resolved) : String(resolved);
+    });
+    return (missing) ? null : value;
+  }
+
+  /**
+  * @name _isValidValue
+  * @summary determine whether a rendered value can be sent in a header
+  * @private
+  * @param {string} value - rendered value
+  * @return {boolean} result - false for values with characters Node would refuse to send
+  */
+  _isValidValue(value) {
+    return !INVALID_VALUE_PATTERN.test(value);
+  }
+
+  /**
+  * @name _resolve
+  * @summary look up a template variable
+  * @private
+  * @param {string} name - variable name
+  * @param {object} context - template values
+  * @return {mixed} value - value or undefined
+  */
+  _resolve(name, context) {
+    if (name === 'tracer') {
+      return context.tracer;
+    }
+    if (name === 'clientIP') {
+      return context.clientIP;
+    }
+    if (name === 'service') {
+      return context.serviceName;
+    }
+    if (name.indexOf('claims.') === 0) {
+      return name.substring('claims.'.length).split('.').reduce((value, key) => {
+        return (value !== undefined && value !== null) ? value[key] : undefined;
+      }, context.claims);
+    }
+    return undefined;
+  }
+}
+
+module.exports = HeaderRewriter;
@@ -0,0 +1,134 @@
+'use strict';
+
+const Promise = require('bluebird');
+const http = require('http');
+const https = require('https');
+
+// headers which only apply to a single connection and are not forwarded
+const HOP_BY_HOP_HEADERS = [
+  'connection',
+  'keep-alive',
+  'proxy-authenticate',
+  'proxy-authorization',
+  'proxy-connection',
+  'te',
+  'trailer',
+  'upgrade'
+];
+
+/**
+* @name HTTPProxy
+* @summary Stream HTTP requests directly to a service instance
+* @description Request and response bodies are piped between the client and the
+*              instance rather than buffered, so memory use stays flat for large
+*              uploads and downloads. Piping pauses the faster side whenever the
+*              slower side's buffers are full.
+* @return {undefined}
+*/
+class HTTPProxy {
+  /**
+  * @name forward
+  * @summary forward a request to an instance and stream back its response
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @param {object} options - {ip, port, protocol, path, headers, responseHeaders, rewriteResponseHeaders, timeout, maxBodySize}
+  *                 where protocol is http: (the default) or https:, rewriteResponseHeaders is an optional function returning the
+  *                 headers sent to the client, timeout is the idle timeout in seconds
+  *                 and maxBodySize the largest request body in bytes, 0 for no limit
+  * @return {object} promise - resolving to the instance's status code once the
+  *                  response has been sent, or rejecting with an error whose code
+  *                  is HTTPProxy.ERR_TOO_LARGE, HTTPProxy.ERR_TIMEOUT or a socket error code
+  */
+  forward(request, response, options) {
+    return new Promise((resolve, reject) => {
+      let finished = false;
+      let received = 0;
+      let transport = (options.protocol === 'https:') ? https : http;
+      let proxyRequest = transport.request({
+        host: options.ip,
+        port: options.port,
+        method: request.method,
+        path: options.path,
+        headers: this.filterHeaders(options.headers)
+      });
+
+      let fail = (err) => {
+        if (finished) {
+          return;
+        }
+        finished = true;
+        request.unpipe(proxyRequest);
+        proxyRequest.destroy();
+        reject(err);
+      };
+
+      proxyRequest.setTimeout(options.timeout * 1000, () => {
+        fail(this._createError(HTTPProxy.ERR_TIMEOUT, `no activity within ${options.timeout} seconds`));
+      });
+      proxyRequest.on('error', fail);
+      proxyRequest.on('response', (proxyResponse) => {
+        let headers = Object.assign({}, this.filterHeaders(proxyResponse.headers), options.responseHeaders);
+        if (options.rewriteResponseHeaders) {
+          headers = options.rewriteResponseHeaders(headers);
+        }
+        response.writeHead(proxyResponse.statusCode, headers);
+        proxyResponse.pipe(response);
+        proxyResponse.on('aborted', () => {
+          fail(this._createError('ECONNRESET', 'instance closed the connection'));
+        });
+        proxyResponse.on('end', () => {
+          finished = true;
+          resolve(proxyResponse.statusCode);
+        });
+      });
+      response.on('close', () => {
+        if (!response.writableFinished) {
+          fail(this._createError('ECONNRESET', 'client closed the connection'));
+        }
+      });
+
+      if (options.maxBodySize) {
+        request.on('data', (chunk) => {
+          received += chunk.length;
+          if (received > options.maxBodySize) {
+            fail(this._createError(HTTPProxy.ERR_TOO_LARGE, `request body exceeds ${options.maxBodySize} bytes`));
+          }
+        });
+      }
+      request.pipe(proxyRequest);
+    });
+  }
+
+  /**
+  * @name filterHeaders
+  * @summary remove hop-by-hop headers
+  * @param {object} headers - request or response headers
+  * @return {object} headers - filtered copy
+  */
+  filterHeaders(headers) {
+    let filtered = Object.assign({}, headers);
+    HOP_BY_HOP_HEADERS.forEach((header) => {
+      delete filtered[header];
+    });
+    return filtered;
+  }
+
+  /**
+  * @name _createError
+  * @summary create an error with a code
+  * @private
+  * @param {string} code - error code
+  * @param {string} message - error message
+  * @return {object} error - Error
+  */
+  _createError(code, message) {
+    let err = new Error(message);
+    err.code = code;
+    return err;
+  }
+}
+
+HTTPProxy.ERR_TOO_LARGE = 'ETOOLARGE';
+HTTPProxy.ERR_TIMEOUT = 'ETIMEDOUT';
+
+module.exports = HTTPProxy;
@@ -0,0 +1,275 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ALGORITHMS = {
+  HS256: {type: 'hmac', hash: 'sha256'},
+  HS384: {type: 'hmac', hash: 'sha384'},
+  HS512: {type: 'hmac', hash: 'sha512'},
+  RS256: {type: 'rsa', hash: 'sha256'},
+  RS384: {type: 'rsa', hash: 'sha384'},
+  RS512: {type: 'rsa', hash: 'sha512'},
+  PS256: {type: 'rsa-pss', hash: 'sha256'},
+  PS384: {type: 'rsa-pss', hash: 'sha384'},
+  PS512: {type: 'rsa-pss', hash: 'sha512'},
+  ES256: {type: 'ec', hash: 'sha256'},
+  ES384: {type: 'ec', hash: 'sha384'},
+  ES512: {type: 'ec', hash: 'sha512'}
+};
+const HMAC_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const EC_PUBLIC_KEY_OID = '06072a8648ce3d0201';
+const CURVE_OIDS = {
+  'P-256': '06082a8648ce3d030107',
+  'P-384': '06052b81040022',
+  'P-521': '06052b81040023'
+};
+
+/**
+* @name JWTVerifier
+* @summary Verify JSON Web Tokens locally
+* @description Tokens are verified against a shared secret for HS algorithms, or
+*              against the keys in a JWKS file for RS, PS and ES algorithms.
+*              Expiry and not-before claims are always checked, audience and
+*              issuer when configured.
+* @return {undefined}
+*/
+class JWTVerifier {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @param {object} options - {secret, jwksFile, audience, issuer, algorithms, clockTolerance},
+  *                 where audience and issuer may be strings or lists of accepted
+  *                 values and clockTolerance is in seconds
+  * @return {undefined}
+  */
+  constructor(options) {
+    options = options || {};
+    this.secret = options.secret || null;
+    this.keys = (options.jwksFile) ? this._loadJWKS(options.jwksFile) : [];
+    this.audience = this._toList(options.audience);
+    this.issuer = this._toList(options.issuer);
+    this.clockTolerance = Number(options.clockTolerance) || 0;
+    this.algorithms = this._toList(options.algorithms);
+    if (!this.algorithms.length) {
+      this.algorithms = Object.keys(ALGORITHMS).filter((alg) => {
+        return (HMAC_ALGORITHMS.indexOf(alg) > -1) ? !!this.secret : this.keys.length > 0;
+      });
+    }
+  }
+
+  /**
+  * @name verify
+  * @summary verify a token
+  * @param {string} token - encoded JWT
+  * @return {object} claims - token payload, throws an Error if the token is not valid
+  */
+  verify(token) {
+    let parts = (typeof token === 'string') ? token.split('.') : [];
+    if (parts.length !== 3) {
+      throw new Error('Malformed token');
+    }
+    let header,
+      claims;
+    try {
+      header = JSON.parse(Buffer.from(parts[0], 'base64').toString('utf8'));
+      claims = JSON.parse(Buffer.from(parts[1], 'base64').toString('utf8'));
+    } catch (e) {
+      throw new Error('Malformed token');
+    }
+    if (!header || !claims || typeof claims !== 'object') {
+      throw new Error('Malformed token');
+    }
+    let algorithm = ALGORITHMS[header.alg];
+    if (!algorithm || this.algorithms.indexOf(header.alg) < 0) {
+      throw new Error(`Unsupported token algorithm ${header.alg}`);
+    }
+    if (!this._verifySignature(algorithm, header, `${parts[0]}.${parts[1]}`, Buffer.from(parts[2], 'base64'))) {
+      throw new Error('Invalid token signature');
+    }
+    this._verifyClaims(claims);
+    return claims;
+  }
+
+  /**
+  * @name _toList
+  * @summary normalize an optional string or list setting
+  * @private
+  * @param {mixed} value - string, list or empty value
+  * @return {array} list - list of values
+  */
+  _toList(value) {
+    if (!value) {
+      return [];
+    }
+    return (Array.isArray(value)) ? value : [value];
+  }
+
+  /**
+  * @name _loadJWKS
+  * @summary load the public keys of a JWKS file
+  * @private
+  * @param {string} jwksFile - path to JWKS file
+  * @return {array} keys - list of {kid, type, key}
+  */
+  _loadJWKS(jwksFile) {
+    let jwks = JSON.parse(fs.readFileSync(jwksFile, 'utf8'));
+    return (jwks.keys || []).map((jwk) => {
+      let key = this._createPublicKey(jwk);
+      return {kid: jwk.kid, type: key.asymmetricKeyType, key};
+    });
+  }
+
+  /**
+  * @name _createPublicKey
+  * @summary create a public key from a JWK
+  * @description The key is converted to DER, Node only reads JWKs from version 15.12.
+  * @private
+  * @param {object} jwk - RSA or EC JSON Web Key
+  * @return {object} key - public KeyObject, throws an Error for unsupported keys
+  */
+  _createPublicKey(jwk) {
+    if (jwk.kty === 'RSA') {
+      let modulus = this._der(0x02, this._toUnsigned(Buffer.from(jwk.n, 'base64')));
+      let exponent = this._der(0x02, this._toUnsigned(Buffer.from(jwk.e, 'base64')));
+      return crypto.createPublicKey({
+        key: this._der(0x30, Buffer.concat([modulus, exponent])),
+        format: 'der',
+        type: 'pkcs1'
+      });
+    }
+    if (jwk.kty === 'EC' && CURVE_OIDS[jwk.crv]) {
+      let algorithm = this._der(0x30, Buffer.from(EC_PUBLIC_KEY_OID + CURVE_OIDS[jwk.crv], 'hex'));
+      let point = Buffer.concat([Buffer.from([0x00, 0x04]), Buffer.from(jwk.x, 'base64'), Buffer.from(jwk.y, 'base64')]);
+      return crypto.createPublicKey({
+        key: this._der(0x30, Buffer.concat([algorithm, this._der(0x03, point)])),
+        format: 'der',
+        type: 'spki'
+      });
+    }
+    throw new Error(`Unsupported JWKS key type ${jwk.kty} ${jwk.crv || ''}`.trim());
+  }
+
+  /**
+  * @name _toUnsigned
+  * @summary prepare a big-endian number for a DER integer
+  * @private
+  * @param {buffer} value - unsigned number
+  * @return {buffer} value - number without leading zeros, prefixed with a zero when
+  *                          its high bit is set so it isn't read as negative
+  */
+  _toUnsigned(value) {
+    let start = 0;
+    while (start < value.length - 1 && value[start] === 0) {
+      start += 1;
+    }
+    value = value.slice(start);
+    return (value[0] & 0x80) ? Buffer.concat([Buffer.from([0x00]), value]) : value;
+  }
+
+  /**
+  * @name _der
+  * @summary encode a DER element
+  * @private
+  * @param {number} tag - element tag
+  * @param {buffer} contents - element contents
+  * @return {buffer} element - tag, length and contents
+  */
+  _der(tag, contents) {
+    let length = contents.length;
+    let lengthBytes = [];
+    if (length < 0x80) {
+      lengthBytes.push(length);
+    } else {
+      while (length > 0) {
+        lengthBytes.unshift(length & 0xff);
+        length = length >> 8;
+      }
+      lengthBytes.unshift(0x80 | lengthBytes.length);
+    }
+    return Buffer.concat([Buffer.from([tag].concat(lengthBytes)), contents]);
+  }
+
+  /**
+  * @name _getKey
+  * @summary find the JWKS key a token was signed with
+  * @private
+  * @param {object} header - token header
+  * @param {object} algorithm - algorithm details
+  * @return {object} key - public KeyObject or null if there is no suitable key
+  */
+  _getKey(header, algorithm) {
+    let keyType = (algorithm.type === 'ec') ? 'ec' : 'rsa';
+    let candidates = this.keys.filter((entry) => entry.type === keyType);
+    if (header.kid) {
+      candidates = candidates.filter((entry) => entry.kid === header.kid);
+    } else if (candidates.length > 1) {
+      return null;
+    }
+    return (candidates.length) ? candidates[0].key : null;
+  }
+
+  /**
+  * @name _verifySignature
+  * @summary check a token signature
+  * @private
+  * @param {object} algorithm - algorithm details
+  * @param {object} header - token header
+  * @param {string} signingInput - encoded header and payload
+  * @param {buffer} signature - decoded signature
+  * @return {boolean} valid - true if the signature matches
+  */
+  _verifySignature(algorithm, header, signingInput, signature) {
+    if (algorithm.type === 'hmac') {
+      if (!this.secret) {
+        return false;
+      }
+      let expected = crypto.createHmac(algorithm.hash, this.secret).update(signingInput).digest();
+      return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+    }
+    let key = this._getKey(header, algorithm);
+    if (!key) {
+      return false;
+    }
+    let verifyKey = {key};
+    if (algorithm.type === 'rsa-pss') {
+      verifyKey.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+      verifyKey.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+    } else if (algorithm.type === 'ec') {
+      verifyKey.dsaEncoding = 'ieee-p1363';
+    }
+    try {
+      return crypto.verify(algorithm.hash, Buffer.from(signingInput), verifyKey, signature);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+  * @name _verifyClaims
+  * @summary check the time, audience and issuer claims of a token
+  * @private
+  * @param {object} claims - token payload
+  * @return {undefined} throws an Error if a claim is not acceptable
+  */
+  _verifyClaims(claims) {
+    let now = Math.floor(Date.now() / 1000);
+    if (claims.exp !== undefined && !(now < Number(claims.exp) + this.clockTolerance)) {
+      throw new Error('Token expired');
+    }
+    if (claims.nbf !== undefined && !(now >= Number(claims.nbf) - this.clockTolerance)) {
+      throw new Error('Token not yet valid');
+    }
+    if (this.audience.length) {
+      let audience = this._toList(claims.aud);
+      if (!audience.some((aud) => this.audience.indexOf(aud) > -1)) {
+        throw new Error('Invalid token audience');
+      }
+    }
+    if (this.issuer.length && this.issuer.indexOf(claims.iss) < 0) {
+      throw new Error('Invalid token issuer');
+    }
+  }
+}
+
+module.exports = JWTVerifier;
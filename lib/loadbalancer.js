@@ -0,0 +1,309 @@
+'use strict';
+
+const crypto = require('crypto');
+const RouteSettings = require('./routesettings');
+
+const STRATEGY_DEFAULT = 'default';
+const STRATEGY_ROUND_ROBIN = 'round-robin';
+const STRATEGY_LEAST_OUTSTANDING = 'least-outstanding';
+const STRATEGY_WEIGHTED = 'weighted';
+const STRATEGY_CONSISTENT_HASH = 'consistent-hash';
+const VIRTUAL_NODES = 100;
+
+/**
+* @name LoadBalancer
+* @summary Select which service instance receives a request
+* @description Strategies are configured per service in the loadBalancing
+*              config section:
+*
+*              "loadBalancing": {
+*                "strategy": "default",
+*                "services": {
+*                  "reports-svcs": {"strategy": "least-outstanding"},
+*                  "media-svcs": {"strategy": "weighted", "weights": {"10.0.0.5": 3}},
+*                  "cart-svcs": {"strategy": "consistent-hash", "hashHeader": "x-session-id"},
+*                  "chat-svcs": {"strategy": "consistent-hash", "hashCookie": "sid"}
+*                }
+*              }
+*
+*              The default strategy leaves the choice to hydra, which picks a
+*              random present instance. Weights are keyed by instance ip:port,
+*              ip, hostName or instanceID and default to 1.
+* @return {undefined}
+*/
+class LoadBalancer {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.settings = new RouteSettings({}, {strategy: STRATEGY_DEFAULT});
+    this.counters = {};
+    this.outstanding = {};
+    this.rings = {};
+  }
+
+  /**
+  * @name init
+  * @summary initialize using the router config
+  * @param {object} config - configuration object
+  * @return {undefined}
+  */
+  init(config) {
+    this.settings = new RouteSettings(config.loadBalancing, {strategy: STRATEGY_DEFAULT});
+    this.counters = {};
+    this.rings = {};
+  }
+
+  /**
+  * @name getStrategy
+  * @summary retrieve the strategy used for a service
+  * @param {string} serviceName - name of service
+  * @return {string} strategy - strategy name
+  */
+  getStrategy(serviceName) {
+    return this.settings.get(serviceName).strategy;
+  }
+
+  /**
+  * @name selectInstance
+  * @summary pick an instance from a service presence list
+  * @param {string} serviceName - name of service
+  * @param {array} instances - presence entries from hydra.getServicePresence
+  * @param {object} context - request context: {headers, key}, where key is
+  *                 a fallback consistent-hash key such as a websocket id
+  * @return {object} instance - selected presence entry or null if none are available
+  */
+  selectInstance(serviceName, instances, context) {
+    if (!instances || !instances.length) {
+      return null;
+    }
+    context = context || {};
+    let settings = this.settings.get(serviceName);
+    switch (settings.strategy) {
+      case STRATEGY_ROUND_ROBIN:
+        return this._selectRoundRobin(serviceName, instances);
+      case STRATEGY_LEAST_OUTSTANDING:
+        return this._selectLeastOutstanding(instances);
+      case STRATEGY_WEIGHTED:
+        return this._selectWeighted(instances, settings.weights || {});
+      case STRATEGY_CONSISTENT_HASH:
+        return this._selectConsistentHash(serviceName, instances, this._getHashKey(settings, context));
+      default:
+        return instances[0];
+    }
+  }
+
+  /**
+  * @name requestStarted
+  * @summary track a request sent to an instance
+  * @param {string} instanceID - instance id
+  * @return {undefined}
+  */
+  requestStarted(instanceID) {
+    this.outstanding[instanceID] = (this.outstanding[instanceID] || 0) + 1;
+  }
+
+  /**
+  * @name requestEnded
+  * @summary track a request completed by an instance
+  * @param {string} instanceID - instance id
+  * @return {undefined}
+  */
+  requestEnded(instanceID) {
+    if (this.outstanding[instanceID] > 1) {
+      this.outstanding[instanceID]--;
+    } else {
+      delete this.outstanding[instanceID];
+    }
+  }
+
+  /**
+  * @name _sortInstances
+  * @summary order instances by id, hydra returns presence lists shuffled
+  * @private
+  * @param {array} instances - presence entries
+  * @return {array} instances - sorted copy
+  */
+  _sortInstances(instances) {
+    return instances.slice().sort((a, b) => (a.instanceID < b.instanceID) ? -1 : (a.instanceID > b.instanceID) ? 1 : 0);
+  }
+
+  /**
+  * @name _selectRoundRobin
+  * @summary select instances in turn
+  * @private
+  * @param {string} serviceName - name of service
+  * @param {array} instances - presence entries
+  * @return {object} instance - selected presence entry
+  */
+  _selectRoundRobin(serviceName, instances) {
+    let sorted = this._sortInstances(instances);
+    let counter = this.counters[serviceName] || 0;
+    this.counters[serviceName] = (counter + 1) % Number.MAX_SAFE_INTEGER;
+    return sorted[counter % sorted.length];
+  }
+
+  /**
+  * @name _selectLeastOutstanding
+  * @summary select the instance with the fewest requests in flight
+  * @private
+  * @param {array} instances - presence entries
+  * @return {object} instance - selected presence entry
+  */
+  _selectLeastOutstanding(instances) {
+    let selected = instances[0];
+    let lowest = this.outstanding[selected.instanceID] || 0;
+    for (let instance of instances) {
+      let count = this.outstanding[instance.instanceID] || 0;
+      if (count < lowest) {
+        selected = instance;
+        lowest = count;
+      }
+    }
+    return selected;
+  }
+
+  /**
+  * @name _getWeight
+  * @summary retrieve the configured weight of an instance
+  * @private
+  * @param {object} instance - presence entry
+  * @param {object} weights - configured weights
+  * @return {number} weight - instance weight
+  */
+  _getWeight(instance, weights) {
+    let keys = [`${instance.ip}:${instance.port}`, instance.ip, instance.hostName, instance.instanceID];
+    for (let key of keys) {
+      if (key && weights[key] !== undefined) {
+        return Math.max(Number(weights[key]) || 0, 0);
+      }
+    }
+    return 1;
+  }
+
+  /**
+  * @name _selectWeighted
+  * @summary select an instance at random in proportion to its weight
+  * @private
+  * @param {array} instances - presence entries
+  * @param {object} weights - configured weights
+  * @return {object} instance - selected presence entry
+  */
+  _selectWeighted(instances, weights) {
+    let total = 0;
+    let instanceWeights = instances.map((instance) => {
+      let weight = this._getWeight(instance, weights);
+      total += weight;
+      return weight;
+    });
+    if (total === 0) {
+      return instances[0];
+    }
+    let pick = Math.random() * total;
+    for (let i = 0; i < instances.length; i += 1) {
+      pick -= instanceWeights[i];
+      if (pick < 0) {
+        return instances[i];
+      }
+    }
+    return instances[instances.length - 1];
+  }
+
+  /**
+  * @name _getHashKey
+  * @summary determine the consistent-hash key of a request
+  * @private
+  * @param {object} settings - service settings
+  * @param {object} context - request context
+  * @return {string} key - hash key or undefined
+  */
+  _getHashKey(settings, context) {
+    let headers = context.headers || {};
+    if (settings.hashHeader && headers[settings.hashHeader.toLowerCase()]) {
+      return headers[settings.hashHeader.toLowerCase()];
+    }
+    if (settings.hashCookie && headers.cookie) {
+      for (let cookie of headers.cookie.split(';')) {
+        let idx = cookie.indexOf('=');
+        if (idx > -1 && cookie.substring(0, idx).trim() === settings.hashCookie) {
+          return cookie.substring(idx + 1).trim();
+        }
+      }
+    }
+    return context.key;
+  }
+
+  /**
+  * @name _hash
+  * @summary hash a string to an unsigned 32 bit integer
+  * @private
+  * @param {string} value - value to hash
+  * @return {number} hash - hashed value
+  */
+  _hash(value) {
+    return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+  }
+
+  /**
+  * @name _getRing
+  * @summary retrieve the hash ring for a set of instances, building it on change
+  * @private
+  * @param {string} serviceName - name of service
+  * @param {array} instances - presence entries
+  * @return {array} ring - sorted list of {hash, instanceID}
+  */
+  _getRing(serviceName, instances) {
+    let signature = this._sortInstances(instances).map((instance) => instance.instanceID).join(',');
+    let cached = this.rings[serviceName];
+    if (cached && cached.signature === signature) {
+      return cached.ring;
+    }
+    let ring = [];
+    instances.forEach((instance) => {
+      for (let i = 0; i < VIRTUAL_NODES; i += 1) {
+        ring.push({
+          hash: this._hash(`${instance.instanceID}:${i}`),
+          instanceID: instance.instanceID
+        });
+      }
+    });
+    ring.sort((a, b) => a.hash - b.hash);
+    this.rings[serviceName] = {signature, ring};
+    return ring;
+  }
+
+  /**
+  * @name _selectConsistentHash
+  * @summary select the instance owning a key on the hash ring
+  * @private
+  * @param {string} serviceName - name of service
+  * @param {array} instances - presence entries
+  * @param {string} key - hash key, when missing a random instance is used
+  * @return {object} instance - selected presence entry
+  */
+  _selectConsistentHash(serviceName, instances, key) {
+    if (!key) {
+      return instances[0];
+    }
+    let ring = this._getRing(serviceName, instances);
+    let hash = this._hash(key);
+    let low = 0;
+    let high = ring.length;
+    while (low < high) {
+      let mid = (low + high) >>> 1;
+      if (ring[mid].hash < hash) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    let instanceID = ring[low % ring.length].instanceID;
+    return instances.find((instance) => instance.instanceID === instanceID);
+  }
+}
+
+LoadBalancer.STRATEGY_DEFAULT = STRATEGY_DEFAULT;
+
+module.exports = LoadBalancer;
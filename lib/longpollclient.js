@@ -0,0 +1,167 @@
+'use strict';
+
+const DEFAULTS = {
+  pollTimeout: 25, // seconds a poll waits for messages before returning an empty list
+  clientTimeout: 60, // seconds without a poll after which a client is disconnected
+  maxMessages: 100, // most messages returned by a single poll
+  maxMessageSize: 1048576 // largest message body in bytes a client may post
+};
+
+/**
+* @name LongPollClient
+* @summary An HTTP long-polling connection which can stand in for a websocket
+* @description Exposes the send and close methods the router uses on websockets,
+*              so polling clients are registered in the client directory and can
+*              be reached by forward like websocket clients. Messages sent while
+*              no poll is waiting are kept in the client's Redis message queue
+*              until the next poll.
+*
+*              Configured in the longPolling config section:
+*
+*              "longPolling": {
+*                "pollTimeout": 25,
+*                "clientTimeout": 60,
+*                "maxMessages": 100,
+*                "maxMessageSize": 1048576
+*              }
+* @return {undefined}
+*/
+class LongPollClient {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @param {object} config - configuration object
+  * @param {object} queuer - Queuer holding undelivered messages
+  * @param {string} queuePrefix - message queue name prefix, the client id is appended
+  * @param {function} onExpire - called with the client when it stops polling
+  * @return {undefined}
+  */
+  constructor(config, queuer, queuePrefix, onExpire) {
+    this.settings = Object.assign({}, DEFAULTS, config.longPolling);
+    this.responseHeaders = Object.assign({}, config.cors);
+    this.queuer = queuer;
+    this.queuePrefix = queuePrefix;
+    this.onExpire = onExpire;
+    this.id = null;
+    this.closed = false;
+    this.pending = null;
+    this.pendingTimer = null;
+    this.expiryTimer = null;
+  }
+
+  /**
+  * @name getQueueName
+  * @summary retrieve the name of the client's message queue
+  * @return {string} queueName - queue name
+  */
+  getQueueName() {
+    return `${this.queuePrefix}:${this.id}`;
+  }
+
+  /**
+  * @name send
+  * @summary deliver a message to the waiting poll, or queue it for the next one
+  * @param {string} data - serialized message
+  * @return {undefined}
+  */
+  send(data) {
+    if (this.closed) {
+      throw new Error('Polling client is closed');
+    }
+    if (this.pending) {
+      this._respond([data]);
+      return;
+    }
+    this.queuer.enqueue(this.getQueueName(), JSON.parse(data));
+  }
+
+  /**
+  * @name wait
+  * @summary answer a poll, holding it open until a message arrives if there are none
+  * @param {object} response - Node HTTP response object
+  * @param {array} messages - serialized messages already available
+  * @return {undefined}
+  */
+  wait(response, messages) {
+    if (this.pending) {
+      this._respond([]);
+    }
+    clearTimeout(this.expiryTimer);
+    this.pending = response;
+    if (messages.length || this.closed) {
+      this._respond(messages);
+      return;
+    }
+    response.on('close', () => {
+      if (this.pending === response) {
+        this._release();
+      }
+    });
+    this.pendingTimer = setTimeout(() => {
+      this._respond([]);
+    }, this.settings.pollTimeout * 1000);
+  }
+
+  /**
+  * @name touch
+  * @summary restart the inactivity timer
+  * @return {undefined}
+  */
+  touch() {
+    clearTimeout(this.expiryTimer);
+    if (!this.pending && !this.closed) {
+      this.expiryTimer = setTimeout(() => {
+        this.onExpire(this);
+      }, this.settings.clientTimeout * 1000);
+    }
+  }
+
+  /**
+  * @name close
+  * @summary disconnect the client, answering a waiting poll
+  * @return {undefined}
+  */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearTimeout(this.expiryTimer);
+    if (this.pending) {
+      this._respond([]);
+    }
+  }
+
+  /**
+  * @name _respond
+  * @summary answer the waiting poll
+  * @private
+  * @param {array} messages - serialized messages
+  * @return {undefined}
+  */
+  _respond(messages) {
+    let response = this.pending;
+    this._release();
+    if (!response.writableEnded && !response.destroyed) {
+      response.writeHead(200, Object.assign({
+        'content-type': 'application/json',
+        'cache-control': 'no-store'
+      }, this.responseHeaders));
+      response.end(`[${messages.join(',')}]`);
+    }
+  }
+
+  /**
+  * @name _release
+  * @summary forget the waiting poll and start the inactivity timer
+  * @private
+  * @return {undefined}
+  */
+  _release() {
+    clearTimeout(this.pendingTimer);
+    this.pending = null;
+    this.touch();
+  }
+}
+
+module.exports = LongPollClient;
@@ -0,0 +1,148 @@
+'use strict';
+
+const CRLF = '\r\n';
+const HEADER_END = '\r\n\r\n';
+
+/**
+* @name MultipartParser
+* @summary Parse multipart/form-data bodies into UMF message bodies
+* @description Parsed bodies have the following layout, where fields sent
+*              more than once become lists and file contents are base64 encoded:
+*
+*              {
+*                "fields": {"title": "Report", "tags": ["a", "b"]},
+*                "files": [{
+*                  "name": "attachment",
+*                  "filename": "report.pdf",
+*                  "contentType": "application/pdf",
+*                  "size": 5120,
+*                  "data": "JVBERi0xLjQK..."
+*                }]
+*              }
+* @return {undefined}
+*/
+class MultipartParser {
+  /**
+  * @name parse
+  * @summary parse a multipart/form-data body
+  * @param {buffer} body - raw request body
+  * @param {string} contentType - request content-type header
+  * @return {object} result - {fields, files}, throws an Error if the body is malformed
+  */
+  parse(body, contentType) {
+    let boundary = this._getBoundary(contentType);
+    if (!boundary) {
+      throw new Error('Missing multipart boundary');
+    }
+    let delimiter = Buffer.from(`--${boundary}`);
+    let result = {
+      fields: {},
+      files: []
+    };
+    let pos = body.indexOf(delimiter);
+    if (pos < 0) {
+      throw new Error('Malformed multipart body');
+    }
+    pos += delimiter.length;
+    while (body.toString('latin1', pos, pos + 2) !== '--') {
+      let headerStart = pos + CRLF.length;
+      let headerEnd = body.indexOf(HEADER_END, pos);
+      if (headerEnd < 0) {
+        throw new Error('Malformed multipart body');
+      }
+      let next = body.indexOf(Buffer.concat([Buffer.from(CRLF), delimiter]), headerEnd);
+      if (next < 0) {
+        throw new Error('Malformed multipart body');
+      }
+      let headers = this._parseHeaders(body.toString('utf8', headerStart, headerEnd));
+      this._addPart(result, headers, body.slice(headerEnd + HEADER_END.length, next));
+      pos = next + CRLF.length + delimiter.length;
+    }
+    return result;
+  }
+
+  /**
+  * @name _getBoundary
+  * @summary extract the boundary parameter of a content-type header
+  * @private
+  * @param {string} contentType - content-type header
+  * @return {string} boundary - boundary or undefined
+  */
+  _getBoundary(contentType) {
+    let match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType || '');
+    return (match) ? (match[1] || match[2]).trim() : undefined;
+  }
+
+  /**
+  * @name _parseHeaders
+  * @summary parse the headers of a part
+  * @private
+  * @param {string} text - header block
+  * @return {object} headers - lowercase header names mapped to values
+  */
+  _parseHeaders(text) {
+    let headers = {};
+    text.split(CRLF).forEach((line) => {
+      let idx = line.indexOf(':');
+      if (idx > -1) {
+        headers[line.substring(0, idx).trim().toLowerCase()] = line.substring(idx + 1).trim();
+      }
+    });
+    return headers;
+  }
+
+  /**
+  * @name _getParam
+  * @summary extract a parameter of a content-disposition header
+  * @private
+  * @param {string} disposition - content-disposition header
+  * @param {string} name - parameter name
+  * @return {string} value - parameter value or undefined
+  */
+  _getParam(disposition, name) {
+    let match = new RegExp(`(?:^|;)\\s*${name}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition);
+    if (match) {
+      return match[1].replace(/\\(.)/g, '$1');
+    }
+    match = new RegExp(`(?:^|;)\\s*${name}=([^;\\s]+)`, 'i').exec(disposition);
+    return (match) ? match[1] : undefined;
+  }
+
+  /**
+  * @name _addPart
+  * @summary add a parsed part to the result as a field or a file
+  * @private
+  * @param {object} result - parse result
+  * @param {object} headers - part headers
+  * @param {buffer} data - part contents
+  * @return {undefined}
+  */
+  _addPart(result, headers, data) {
+    let disposition = headers['content-disposition'] || '';
+    let name = this._getParam(disposition, 'name');
+    let filename = this._getParam(disposition, 'filename');
+    if (filename !== undefined) {
+      result.files.push({
+        name,
+        filename,
+        contentType: headers['content-type'] || 'application/octet-stream',
+        size: data.length,
+        data: data.toString('base64')
+      });
+      return;
+    }
+    if (name === undefined) {
+      return;
+    }
+    let value = data.toString('utf8');
+    if (result.fields[name] === undefined) {
+      result.fields[name] = value;
+    } else if (Array.isArray(result.fields[name])) {
+      result.fields[name].push(value);
+    } else {
+      result.fields[name] = [result.fields[name], value];
+    }
+  }
+}
+
+module.exports = MultipartParser;
@@ -0,0 +1,143 @@
+'use strict';
+
+const RouteSettings = require('./routesettings');
+
+const DEFAULTS = {
+  path: null,
+  stripPrefix: null,
+  replace: [],
+  addPrefix: null
+};
+
+const PARAM_PATTERN = /\{(\w+)\}/g;
+
+/**
+* @name PathRewriter
+* @summary Rewrite the paths of requests before they are sent to services
+* @description Rules are configured in the rewrites config section, usually
+*              per route, and are applied in order: path, stripPrefix, replace,
+*              then addPrefix. The query string is kept as is.
+*
+*              "rewrites": {
+*                "services": {
+*                  "legacy-svcs": {"stripPrefix": "/api/legacy"}
+*                },
+*                "routes": {
+*                  "[get]/v2/users/:id": {"path": "/user.php/{id}"},
+*                  "/v2/reports/*path": {
+*                    "replace": [{"pattern": "\\.json$", "replacement": ""}],
+*                    "addPrefix": "/reporting"
+*                  }
+*                }
+*              }
+*
+*              path builds a new path from the parameters of the matched route,
+*              which re-maps route parameters onto the path the service expects.
+*              replace lists regular expression substitutions, with optional flags.
+* @return {undefined}
+*/
+class PathRewriter {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.settings = new RouteSettings({}, DEFAULTS);
+    this.expressions = new Map();
+  }
+
+  /**
+  * @name init
+  * @summary initialize using the router config
+  * @param {object} config - configuration object
+  * @return {undefined}
+  */
+  init(config) {
+    this.settings = new RouteSettings(config.rewrites, DEFAULTS);
+    this.expressions = new Map();
+  }
+
+  /**
+  * @name rewrite
+  * @summary rewrite a request url according to the rules of its route
+  * @param {string} requestUrl - request url, with an optional query string
+  * @param {object} matchResult - route match results
+  * @param {string} method - HTTP request method
+  * @return {object} result - {url, rule} where rule is the config key of the
+  *                  applied rules, or null when no rules apply
+  */
+  rewrite(requestUrl, matchResult, method) {
+    let settings = this.settings.get(matchResult.serviceName, method, matchResult.pattern);
+    let replace = [].concat(settings.replace || []);
+    if (!settings.path && !settings.stripPrefix && !replace.length && !settings.addPrefix) {
+      return null;
+    }
+    let idx = requestUrl.indexOf('?');
+    let pathname = (idx > -1) ? requestUrl.substring(0, idx) : requestUrl;
+    let query = (idx > -1) ? requestUrl.substring(idx + 1) : '';
+
+    if (settings.path) {
+      let params = matchResult.params || {};
+      pathname = settings.path.replace(PARAM_PATTERN, (match, name) => {
+        // route parameters are decoded when matched
+        return (params[name] !== undefined) ? params[name].split('/').map(encodeURIComponent).join('/') : '';
+      });
+      let pathQueryIdx = pathname.indexOf('?');
+      if (pathQueryIdx > -1) {
+        query = [pathname.substring(pathQueryIdx + 1), query].filter((part) => part).join('&');
+        pathname = pathname.substring(0, pathQueryIdx);
+      }
+    }
+    if (settings.stripPrefix && this._hasPrefix(pathname, settings.stripPrefix)) {
+      pathname = pathname.substring(settings.stripPrefix.length) || '/';
+      if (!pathname.startsWith('/')) {
+        pathname = `/${pathname}`;
+      }
+    }
+    replace.forEach((rule) => {
+      pathname = pathname.replace(this._getExpression(rule.pattern, rule.flags), rule.replacement || '');
+    });
+    if (settings.addPrefix) {
+      pathname = `${settings.addPrefix.replace(/\/$/, '')}${pathname}`;
+    }
+
+    return {
+      url: (query) ? `${pathname}?${query}` : pathname,
+      rule: this.settings.getScope(matchResult.serviceName, method, matchResult.pattern)
+    };
+  }
+
+  /**
+  * @name _hasPrefix
+  * @summary determine whether a path starts with a prefix on a segment boundary
+  * @private
+  * @param {string} pathname - url path
+  * @param {string} prefix - path prefix
+  * @return {boolean} result - true if the path starts with the prefix
+  */
+  _hasPrefix(pathname, prefix) {
+    if (!pathname.startsWith(prefix)) {
+      return false;
+    }
+    return prefix.endsWith('/') || pathname.length === prefix.length || pathname[prefix.length] === '/';
+  }
+
+  /**
+  * @name _getExpression
+  * @summary compile a replace pattern once
+  * @private
+  * @param {string} pattern - regular expression source
+  * @param {string} flags - regular expression flags
+  * @return {object} expression - RegExp
+  */
+  _getExpression(pattern, flags) {
+    let key = `${flags || ''}/${pattern}`;
+    if (!this.expressions.has(key)) {
+      this.expressions.set(key, new RegExp(pattern, flags || ''));
+    }
+    return this.expressions.get(key);
+  }
+}
+
+module.exports = PathRewriter;
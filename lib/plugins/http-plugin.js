@@ -3,7 +3,52 @@
 const Promise = require('bluebird');
 const hydra = require('hydra');
 const Utils = hydra.getUtilsHelper();
+const RouteSettings = require('../routesettings');
+const JWTVerifier = require('../jwtverifier');
 
+const MODE_NONE = 'none';
+const MODE_SERVICE = 'service';
+const MODE_JWT = 'jwt';
+
+const DEFAULTS = {
+  mode: MODE_NONE,
+  authService: '',
+  authServiceAPI: '',
+  secret: '',
+  jwksFile: '',
+  audience: '',
+  issuer: '',
+  algorithms: [],
+  clockTolerance: 0,
+  claimsHeader: 'x-hydra-claims',
+  claimHeaders: {}
+};
+
+/**
+ * @name HTTPPlugin
+ * @description Authenticates HTTP requests before they are routed. Routes
+ * requiring authentication are configured in the httpAuth section of the
+ * hydra-router config file:
+ *
+ * "httpAuth": {
+ *   "mode": "none",
+ *   "secret": "shared-secret",
+ *   "services": {
+ *     "reports-svcs": {"mode": "service", "authService": "auth-v1-svcs", "authServiceAPI": "v1/auth/http"}
+ *   },
+ *   "routes": {
+ *     "[get]/v1/orders/:id": {"mode": "jwt", "jwksFile": "/config/jwks.json", "audience": "orders"}
+ *   }
+ * }
+ *
+ * The service mode sends the request authorization header to a hydra-enabled
+ * auth service, which is expected to answer with a 200 and the caller's claims
+ * as its result. The jwt mode verifies a bearer token locally.
+ *
+ * Claims are forwarded as JSON in the claimsHeader, and individual claims can
+ * be mapped to headers using claimHeaders, i.e. {"sub": "x-user-id"}. Client
+ * supplied values for these headers are always removed.
+ */
 class HTTPPlugin {
 
   /**
@@ -14,9 +59,155 @@ class HTTPPlugin {
    */
   init(config) {
     this.config = config;
+    this.settings = new RouteSettings(config.httpAuth, DEFAULTS);
+    this.verifiers = {};
   }
 
+  /**
+   * @name authenticate
+   * @summary Authenticate a request using the settings of its route
+   * @param {object} request - Node HTTP request object
+   * @param {object} matchResult - route match results
+   * @returns {promise} resolves to the caller's claims, or to null when the
+   * route doesn't require authentication. Rejects with an error carrying the
+   * HTTP status code to reply with.
+   */
+  authenticate(request, matchResult) {
+    let settings = this.settings.get(matchResult.serviceName, matchResult.settingsMethod, matchResult.pattern);
+    switch (settings.mode) {
+      case MODE_SERVICE:
+        return this._authenticateWithService(settings, request);
+      case MODE_JWT:
+        return Promise.try(() => this._getVerifier(settings))
+          .catch((err) => {
+            hydra.log('error', `HR: unable to load JWT verification keys: ${err.message}`);
+            throw this._createError(500, 'Authentication is unavailable');
+          })
+          .then((verifier) => {
+            try {
+              return verifier.verify(this._getBearerToken(request.headers));
+            } catch (err) {
+              throw this._createError(401, err.message);
+            }
+          });
+      default:
+        return Promise.resolve(null);
+    }
+  }
 
+  /**
+   * @name forwardHeaders
+   * @summary Build the headers forwarded to a service
+   * @param {object} request - Node HTTP request object
+   * @param {object} matchResult - route match results
+   * @param {object} claims - claims resolved by authenticate
+   * @returns {object} headers - copy of the request headers with claims applied
+   */
+  forwardHeaders(request, matchResult, claims) {
+    let settings = this.settings.get(matchResult.serviceName, matchResult.settingsMethod, matchResult.pattern);
+    let claimHeaders = settings.claimHeaders || {};
+    let headers = Object.assign({}, request.headers);
+    if (settings.claimsHeader) {
+      delete headers[settings.claimsHeader.toLowerCase()];
+    }
+    Object.keys(claimHeaders).forEach((claim) => {
+      delete headers[claimHeaders[claim].toLowerCase()];
+    });
+    if (claims) {
+      if (settings.claimsHeader) {
+        headers[settings.claimsHeader.toLowerCase()] = Utils.safeJSONStringify(claims);
+      }
+      Object.keys(claimHeaders).forEach((claim) => {
+        if (claims[claim] !== undefined) {
+          let value = claims[claim];
+          headers[claimHeaders[claim].toLowerCase()] = (typeof value === 'object') ? Utils.safeJSONStringify(value) : String(value);
+        }
+      });
+    }
+    return headers;
+  }
+
+  /**
+   * @name _authenticateWithService
+   * @summary Ask the configured auth service to authenticate a request
+   * @param {object} settings - route auth settings
+   * @param {object} request - Node HTTP request object
+   * @returns {promise} resolves to the claims returned by the auth service
+   */
+  _authenticateWithService(settings, request) {
+    if (!request.headers.authorization) {
+      return Promise.reject(this._createError(401, 'Authorization required'));
+    }
+    return Promise.try(() => hydra.makeAPIRequest({
+      to: `${settings.authService}:[post]/${settings.authServiceAPI}`,
+      from: 'hydra-router',
+      body: {
+        authorization: request.headers.authorization,
+        method: request.method,
+        url: request.url
+      }
+    })).catch((err) => {
+      hydra.log('error', `HR: unable to reach ${settings.authService}: ${err.message}`);
+      throw this._createError(503, `${settings.authService} is unavailable`);
+    }).then((response) => {
+      if (response.statusCode >= 500) {
+        throw this._createError(503, `${settings.authService} is unavailable`);
+      }
+      if (response.statusCode !== 200) {
+        throw this._createError(401, 'Not authenticated');
+      }
+      return response.result || {};
+    });
+  }
+
+  /**
+   * @name _getVerifier
+   * @summary Retrieve a JWT verifier, verifiers are cached as loading JWKS files is costly
+   * @param {object} settings - route auth settings
+   * @returns {object} verifier - JWTVerifier
+   */
+  _getVerifier(settings) {
+    let options = {
+      secret: settings.secret,
+      jwksFile: settings.jwksFile,
+      audience: settings.audience,
+      issuer: settings.issuer,
+      algorithms: settings.algorithms,
+      clockTolerance: settings.clockTolerance
+    };
+    let cacheKey = Utils.safeJSONStringify(options);
+    if (!this.verifiers[cacheKey]) {
+      this.verifiers[cacheKey] = new JWTVerifier(options);
+    }
+    return this.verifiers[cacheKey];
+  }
+
+  /**
+   * @name _getBearerToken
+   * @summary Extract the bearer token from the authorization header
+   * @param {object} headers - request headers
+   * @returns {string} token - bearer token, throws if missing
+   */
+  _getBearerToken(headers) {
+    let authorization = headers.authorization || '';
+    if (authorization.substring(0, 7).toLowerCase() !== 'bearer ') {
+      throw new Error('Bearer token required');
+    }
+    return authorization.substring(7).trim();
+  }
+
+  /**
+   * @name _createError
+   * @summary Create an authentication error
+   * @param {number} statusCode - HTTP status to reply with
+   * @param {string} message - error message
+   * @returns {object} error - Error with a statusCode
+   */
+  _createError(statusCode, message) {
+    let err = new Error(message);
+    err.statusCode = statusCode;
+    return err;
+  }
 };
 
 module.exports = HTTPPlugin;
@@ -1,6 +1,8 @@
 'use strict';
 
 const hydra = require('hydra');
+const url = require('url');
+const JWTVerifier = require('../jwtverifier');
 
 /**
  * @name WebSocketPlugin
@@ -19,6 +21,27 @@ const hydra = require('hydra');
  * "websocketAuthService": "auth-v1-svcs",
  * "websocketAuthServiceAPI": "v1/auth/websocket",
  *
+ * Alternatively bearer JWTs can be verified locally, without calling an auth
+ * service, by adding a websocketAuthJWT key:
+ *
+ * "websocketAuthJWT": {
+ *   "jwksFile": "/config/jwks.json",
+ *   "audience": "hydra-router",
+ *   "issuer": "https://auth.example.com",
+ *   "header": "authorization",
+ *   "subprotocol": "bearer",
+ *   "queryParam": "token"
+ * }
+ *
+ * The token is read from the header (with or without a Bearer prefix), from
+ * the subprotocol entry following the subprotocol marker, i.e.
+ * new WebSocket(url, ['bearer', token]), or from the query param. The secret,
+ * jwksFile, audience, issuer, algorithms and clockTolerance keys are those of
+ * the httpAuth config section.
+ *
+ * Connections are closed once their token's exp claim has passed. Tokens
+ * without an exp claim never expire, so their connections are never closed
+ * for that reason and stay open until the client or router closes them.
  */
 class WebSocketPlugin {
   /**
@@ -29,6 +52,59 @@ class WebSocketPlugin {
    */
    init(config) {
     this.config = config;
+    this.verifier = (config.websocketAuthJWT) ? new JWTVerifier(config.websocketAuthJWT) : null;
+  }
+
+  /**
+   * @name usesJWT
+   * @summary Determine whether connections are authenticated with local JWT verification
+   * @returns {boolean} true if websocketAuthJWT is configured
+   */
+  usesJWT() {
+    return !!this.verifier;
+  }
+
+  /**
+   * @name verifyToken
+   * @summary Verify the bearer JWT supplied on connection
+   * @param {object} req - HTTP upgrade request
+   * @returns {object} claims - token claims, throws if the token is missing or invalid
+   */
+  verifyToken(req) {
+    let token = this._getToken(req);
+    if (!token) {
+      throw new Error('Bearer token must be provided on connection');
+    }
+    return this.verifier.verify(token);
+  }
+
+  /**
+   * @name _getToken
+   * @summary Extract the bearer token from a header, subprotocol or query param
+   * @param {object} req - HTTP upgrade request
+   * @returns {string} token - bearer token or undefined
+   */
+  _getToken(req) {
+    let options = this.config.websocketAuthJWT;
+    let headerName = (options.header || 'authorization').toLowerCase();
+    let marker = options.subprotocol || 'bearer';
+    let queryParam = options.queryParam || 'token';
+
+    let header = req.headers[headerName];
+    if (header) {
+      return (header.substring(0, 7).toLowerCase() === 'bearer ') ? header.substring(7).trim() : header.trim();
+    }
+    if (req.headers['sec-websocket-protocol']) {
+      let protocols = req.headers['sec-websocket-protocol'].split(',').map((protocol) => protocol.trim());
+      let idx = protocols.indexOf(marker);
+      if (idx > -1 && protocols[idx + 1]) {
+        return protocols[idx + 1];
+      }
+    }
+    if (req.url) {
+      return url.parse(req.url, true).query[queryParam];
+    }
+    return undefined;
   }
 
   /**
@@ -0,0 +1,196 @@
+'use strict';
+
+const Promise = require('bluebird');
+const crypto = require('crypto');
+const RouteSettings = require('./routesettings');
+
+const KEY_PREFIX = 'hydra-router:ratelimit';
+const KEY_BY_IP = 'ip';
+const KEY_BY_TOKEN = 'token';
+const KEY_BY_ROUTE = 'route';
+
+const DEFAULTS = {
+  limit: -1, // requests allowed per duration, -1 disables limiting
+  duration: 60, // seconds for an empty bucket to refill
+  burst: 0, // bucket capacity, defaults to limit
+  keyBy: KEY_BY_IP // ip, token or route
+};
+
+// Token bucket update, run atomically so buckets can be shared by every router.
+// Token counts are fractional so they are stored and returned as strings.
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local ttl = tonumber(ARGV[4])
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1])
+local ts = tonumber(bucket[2])
+if tokens == nil or ts == nil then
+  tokens = capacity
+  ts = now
+end
+tokens = math.min(capacity, tokens + (math.max(0, now - ts) * rate))
+local allowed = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+end
+redis.call('HMSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('EXPIRE', KEYS[1], ttl)
+return {allowed, tostring(tokens)}
+`;
+
+/**
+* @name RateLimiter
+* @summary Token bucket rate limiting shared through Redis
+* @description Limits are set per service and per route in the rateLimiter
+*              config section. Buckets are keyed by client IP, by authorization
+*              token (falling back to IP when a request has none) or by route,
+*              in which case every client shares the bucket. Client IPs are
+*              taken from x-forwarded-for only as far as the top-level
+*              trustedProxies setting allows.
+*
+*              "rateLimiter": {
+*                "db": 14,
+*                "limit": -1,
+*                "duration": 60,
+*                "services": {
+*                  "reports-svcs": {"limit": 100, "keyBy": "token"}
+*                },
+*                "routes": {
+*                  "[post]/v1/auth/login": {"limit": 5, "keyBy": "ip"},
+*                  "/v1/search": {"limit": 1000, "burst": 50, "keyBy": "route"}
+*                }
+*              }
+* @return {undefined}
+*/
+class RateLimiter {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.settings = new RouteSettings({}, DEFAULTS);
+    this.db = null;
+  }
+
+  /**
+  * @name init
+  * @summary initialize using the router config
+  * @param {object} redisclient - cloned redis client
+  * @param {object} config - configuration object
+  * @return {promise} promise - resolving when the redis database is selected
+  */
+  init(redisclient, config) {
+    let section = config.rateLimiter || {};
+    this.settings = new RouteSettings(section, DEFAULTS);
+    this.db = redisclient;
+    return new Promise((resolve, reject) => {
+      this.db.select(section.db || 0, (err, _reply) => {
+        (err) ? reject(err) : resolve(this.db);
+      });
+    });
+  }
+
+  /**
+  * @name close
+  * @summary close Redis db
+  * @return {undefined}
+  */
+  close() {
+    if (this.db) {
+      this.db.quit();
+      this.db = null;
+    }
+  }
+
+  /**
+  * @name getSettings
+  * @summary retrieve the limit which applies to a service and route
+  * @param {string} serviceName - name of target service
+  * @param {string} method - HTTP method, if any
+  * @param {string} pattern - matched router table pattern, if any
+  * @return {object} settings - limit settings or null if limiting is disabled
+  */
+  getSettings(serviceName, method, pattern) {
+    let settings = this.settings.get(serviceName, method, pattern);
+    if (!this.db || !(Number(settings.limit) > 0) || !(Number(settings.duration) > 0)) {
+      return null;
+    }
+    return settings;
+  }
+
+  /**
+  * @name consume
+  * @summary take a token from the bucket of a request
+  * @param {object} context - request context: {serviceName, method, pattern, ip, token}
+  * @return {promise} promise - resolving to {allowed, limit, remaining, reset, retryAfter}
+  *                             or to null if limiting is disabled
+  */
+  consume(context) {
+    let settings = this.getSettings(context.serviceName, context.method, context.pattern);
+    if (!settings) {
+      return Promise.resolve(null);
+    }
+    let limit = Number(settings.limit);
+    let capacity = Number(settings.burst) || limit;
+    let rate = limit / (settings.duration * 1000); // tokens per millisecond
+    let ttl = Math.ceil(capacity / rate / 1000) + 1;
+    let key = this._getKey(settings, context);
+    return new Promise((resolve, reject) => {
+      this.db.eval(TOKEN_BUCKET_SCRIPT, 1, key, capacity, rate, Date.now(), ttl, (err, reply) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        let tokens = Number(reply[1]);
+        resolve({
+          allowed: reply[0] === 1,
+          limit: capacity,
+          remaining: Math.floor(tokens),
+          reset: Math.ceil((capacity - tokens) / rate / 1000),
+          retryAfter: Math.max(Math.ceil((1 - tokens) / rate / 1000), 1)
+        });
+      });
+    });
+  }
+
+  /**
+  * @name getHeaders
+  * @summary build the RateLimit response headers for a consume result
+  * @param {object} result - result of consume
+  * @return {object} headers - header names mapped to values
+  */
+  getHeaders(result) {
+    return {
+      'RateLimit-Limit': result.limit,
+      'RateLimit-Remaining': result.remaining,
+      'RateLimit-Reset': result.reset
+    };
+  }
+
+  /**
+  * @name _getKey
+  * @summary build the redis key of the bucket a request draws from
+  * @private
+  * @param {object} settings - limit settings
+  * @param {object} context - request context
+  * @return {string} key - redis key
+  */
+  _getKey(settings, context) {
+    let scope = this.settings.getScope(context.serviceName, context.method, context.pattern);
+    if (settings.keyBy === KEY_BY_ROUTE) {
+      let route = (context.pattern) ? `[${(context.method || '').toLowerCase()}]${context.pattern}` : context.serviceName;
+      return `${KEY_PREFIX}:${KEY_BY_ROUTE}:${scope}:${route}`;
+    }
+    if (settings.keyBy === KEY_BY_TOKEN && context.token) {
+      let digest = crypto.createHash('sha1').update(context.token).digest('hex');
+      return `${KEY_PREFIX}:${KEY_BY_TOKEN}:${scope}:${digest}`;
+    }
+    return `${KEY_PREFIX}:${KEY_BY_IP}:${scope}:${context.ip}`;
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,154 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const DEFAULTS = {
+  secret: '', // signing secret, signatureSharedSecret is used when empty
+  ttl: 86400, // seconds a token can be used to reconnect
+  identityClaim: 'sub' // authResponse field identifying the authenticated user
+};
+
+/**
+* @name ReconnectTokens
+* @summary Signed, expiring tokens which let a client reconnect to its id
+* @description A token is issued with every connection message and names the
+*              client id, the identity the connection was authenticated as and
+*              an expiry time. Reconnecting requires a valid token issued to the
+*              same identity, so a client can't take over another client's id
+*              and queued messages. Routers must share the secret for clients to
+*              reconnect through another router instance.
+*
+*              Configured in the reconnectTokens config section:
+*
+*              "reconnectTokens": {
+*                "secret": "",
+*                "ttl": 86400,
+*                "identityClaim": "sub"
+*              }
+* @return {undefined}
+*/
+class ReconnectTokens {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.settings = Object.assign({}, DEFAULTS);
+    this.secret = null;
+  }
+
+  /**
+  * @name init
+  * @summary initialize using the router config
+  * @param {object} config - configuration object
+  * @return {boolean} shared - false when no secret is configured and tokens are
+  *                            only accepted by this router instance
+  */
+  init(config) {
+    this.settings = Object.assign({}, DEFAULTS, config.reconnectTokens);
+    this.secret = this.settings.secret || config.signatureSharedSecret;
+    if (this.secret) {
+      return true;
+    }
+    this.secret = crypto.randomBytes(32).toString('hex');
+    return false;
+  }
+
+  /**
+  * @name create
+  * @summary issue a token for a client
+  * @param {string} clientID - client id
+  * @param {object} authResponse - authentication result of the connection, if any
+  * @return {string} token - signed token
+  */
+  create(clientID, authResponse) {
+    let payload = this._encode(Buffer.from(JSON.stringify({
+      id: clientID,
+      idt: this._getIdentity(authResponse),
+      exp: Math.floor(Date.now() / 1000) + Number(this.settings.ttl)
+    })));
+    return `${payload}.${this._encode(this._sign(payload))}`;
+  }
+
+  /**
+  * @name verify
+  * @summary verify a token presented by a reconnecting client
+  * @param {string} token - signed token
+  * @param {object} authResponse - authentication result of the reconnecting connection, if any
+  * @return {string} clientID - id the token was issued for, throws an Error if the token is not valid
+  */
+  verify(token, authResponse) {
+    let parts = (typeof token === 'string') ? token.split('.') : [];
+    if (parts.length !== 2) {
+      throw new Error('Malformed reconnect token');
+    }
+    let signature = Buffer.from(parts[1], 'base64');
+    let expected = this._sign(parts[0]);
+    if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+      throw new Error('Invalid reconnect token signature');
+    }
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(parts[0], 'base64').toString('utf8'));
+    } catch (e) {
+      throw new Error('Malformed reconnect token');
+    }
+    if (!payload || !payload.id) {
+      throw new Error('Malformed reconnect token');
+    }
+    if (!(Math.floor(Date.now() / 1000) < Number(payload.exp))) {
+      throw new Error('Reconnect token expired');
+    }
+    if (payload.idt !== this._getIdentity(authResponse)) {
+      throw new Error('Reconnect token was issued to another identity');
+    }
+    return payload.id;
+  }
+
+  /**
+  * @name _getIdentity
+  * @summary derive the identity a token is bound to
+  * @private
+  * @param {object} authResponse - authentication result of a connection, if any
+  * @return {string} identity - identity claim, a digest of the whole authResponse
+  *                             when the claim is missing, or an empty string
+  *                             for unauthenticated connections
+  */
+  _getIdentity(authResponse) {
+    if (!authResponse) {
+      return '';
+    }
+    let claim = this.settings.identityClaim.split('.').reduce((value, key) => {
+      return (value && typeof value === 'object') ? value[key] : undefined;
+    }, authResponse);
+    if (claim !== undefined && claim !== null) {
+      return String(claim);
+    }
+    return crypto.createHash('sha256').update(JSON.stringify(authResponse)).digest('hex');
+  }
+
+  /**
+  * @name _encode
+  * @summary base64url encode a buffer
+  * @private
+  * @param {buffer} buffer - data to encode
+  * @return {string} encoded - base64url encoded data without padding
+  */
+  _encode(buffer) {
+    return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  /**
+  * @name _sign
+  * @summary sign an encoded token payload
+  * @private
+  * @param {string} payload - base64url encoded payload
+  * @return {buffer} signature - HMAC SHA-256 signature
+  */
+  _sign(payload) {
+    return crypto.createHmac('sha256', this.secret).update(payload).digest();
+  }
+}
+
+module.exports = ReconnectTokens;
@@ -0,0 +1,526 @@
+'use strict';
+
+const Promise = require('bluebird');
+const crypto = require('crypto');
+const RouteSettings = require('./routesettings');
+
+const KEY_PREFIX = 'hydra-router:cache';
+const STORE_MEMORY = 'memory';
+const STORE_REDIS = 'redis';
+const SCAN_COUNT = 100;
+
+const DEFAULTS = {
+  enabled: false,
+  store: STORE_MEMORY, // memory or redis
+  db: 0, // redis database number when using the redis store
+  ttl: 0, // seconds, used when responses carry no max-age, 0 to only cache responses which set one
+  maxEntries: 1000, // memory store only
+  maxEntrySize: 1048576 // bytes
+};
+
+// headers sent with 304 responses, see RFC 7232 section 4.1
+const NOT_MODIFIED_HEADERS = ['cache-control', 'content-location', 'date', 'etag', 'expires', 'vary', 'x-hydra-tracer'];
+
+/**
+* @name MemoryStore
+* @summary In-process cache store, evicting the least recently used entries
+* @return {undefined}
+*/
+class MemoryStore {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @param {number} maxEntries - maximum number of entries
+  * @return {undefined}
+  */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+  * @name get
+  * @summary retrieve a value
+  * @param {string} key - key
+  * @return {object} promise - resolving to the value or null
+  */
+  get(key) {
+    let item = this.entries.get(key);
+    if (!item) {
+      return Promise.resolve(null);
+    }
+    this.entries.delete(key);
+    if (item.expiresAt <= Date.now()) {
+      return Promise.resolve(null);
+    }
+    this.entries.set(key, item);
+    return Promise.resolve(item.value);
+  }
+
+  /**
+  * @name set
+  * @summary store a value
+  * @param {string} key - key
+  * @param {object} value - value
+  * @param {number} ttl - time to live in seconds
+  * @return {object} promise - resolving once stored
+  */
+  set(key, value, ttl) {
+    this.entries.delete(key);
+    this.entries.set(key, {value, expiresAt: Date.now() + (ttl * 1000)});
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    return Promise.resolve();
+  }
+
+  /**
+  * @name purge
+  * @summary remove the values whose keys start with a prefix
+  * @param {string} prefix - key prefix
+  * @param {function} filter - optional test applied to keys
+  * @return {object} promise - resolving to the number of values removed
+  */
+  purge(prefix, filter) {
+    let count = 0;
+    Array.from(this.entries.keys()).forEach((key) => {
+      if (key.indexOf(prefix) === 0 && (!filter || filter(key))) {
+        this.entries.delete(key);
+        count++;
+      }
+    });
+    return Promise.resolve(count);
+  }
+
+  /**
+  * @name size
+  * @summary number of stored values
+  * @return {number} size - number of values, including expired ones not yet evicted
+  */
+  size() {
+    return this.entries.size;
+  }
+}
+
+/**
+* @name RedisStore
+* @summary Cache store shared by every router through Redis
+* @return {undefined}
+*/
+class RedisStore {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @param {object} redisclient - redis client with its database selected
+  * @return {undefined}
+  */
+  constructor(redisclient) {
+    this.db = redisclient;
+  }
+
+  /**
+  * @name get
+  * @summary retrieve a value
+  * @param {string} key - key
+  * @return {object} promise - resolving to the value or null
+  */
+  get(key) {
+    return new Promise((resolve, reject) => {
+      this.db.get(key, (err, reply) => {
+        (err) ? reject(err) : resolve((reply) ? JSON.parse(reply) : null);
+      });
+    });
+  }
+
+  /**
+  * @name set
+  * @summary store a value
+  * @param {string} key - key
+  * @param {object} value - value, stored as JSON
+  * @param {number} ttl - time to live in seconds
+  * @return {object} promise - resolving once stored
+  */
+  set(key, value, ttl) {
+    return new Promise((resolve, reject) => {
+      this.db.set(key, JSON.stringify(value), 'EX', ttl, (err) => {
+        (err) ? reject(err) : resolve();
+      });
+    });
+  }
+
+  /**
+  * @name purge
+  * @summary remove the values whose keys start with a prefix
+  * @param {string} prefix - key prefix
+  * @param {function} filter - optional test applied to keys
+  * @return {object} promise - resolving to the number of values removed
+  */
+  purge(prefix, filter) {
+    let pattern = `${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`;
+    let count = 0;
+    let scan = (cursor) => {
+      return new Promise((resolve, reject) => {
+        this.db.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT, (err, reply) => {
+          (err) ? reject(err) : resolve(reply);
+        });
+      }).then(([nextCursor, keys]) => {
+        keys = (filter) ? keys.filter(filter) : keys;
+        let removed = (keys.length) ? new Promise((resolve, reject) => {
+          this.db.del(keys, (err, reply) => {
+            (err) ? reject(err) : resolve(reply);
+          });
+        }) : Promise.resolve(0);
+        return removed.then((reply) => {
+          count += reply;
+          return (nextCursor === '0') ? count : scan(nextCursor);
+        });
+      });
+    };
+    return scan('0');
+  }
+
+  /**
+  * @name size
+  * @summary number of stored values, not tracked for redis
+  * @return {number} size - undefined
+  */
+  size() {
+    return undefined;
+  }
+}
+
+/**
+* @name ResponseCache
+* @summary Cache GET responses of services
+* @description Caching is enabled per service and per route in the cache config
+*              section. Responses are cached according to their cache-control,
+*              expires and vary headers, and entries are kept in memory or in
+*              Redis so that every router shares them.
+*
+*              "cache": {
+*                "enabled": false,
+*                "store": "memory",
+*                "services": {
+*                  "catalog-svcs": {"enabled": true}
+*                },
+*                "routes": {
+*                  "[get]/v1/catalog/search": {"enabled": true, "ttl": 30}
+*                }
+*              }
+*
+*              Only 200 responses without set-cookie are cached. Requests with
+*              an authorization header are only cached when the response is
+*              marked public or sets s-maxage. Entries are stored unencoded, so
+*              compression is negotiated when they are served.
+* @return {undefined}
+*/
+class ResponseCache {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.settings = new RouteSettings({}, DEFAULTS);
+    this.store = null;
+    this.stats = {hits: 0, misses: 0, stores: 0};
+  }
+
+  /**
+  * @name init
+  * @summary initialize using the router config
+  * @param {object} config - configuration object
+  * @param {function} getRedisClient - returns a redis client, called when the redis store is used
+  * @return {object} promise - resolving when the store is ready
+  */
+  init(config, getRedisClient) {
+    this.settings = new RouteSettings(config.cache, DEFAULTS);
+    this.stats = {hits: 0, misses: 0, stores: 0};
+    let defaults = this.settings.defaults;
+    if (defaults.store !== STORE_REDIS) {
+      this.store = new MemoryStore(defaults.maxEntries);
+      return Promise.resolve();
+    }
+    let redisclient = getRedisClient();
+    return new Promise((resolve, reject) => {
+      redisclient.select(defaults.db, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        this.store = new RedisStore(redisclient);
+        resolve();
+      });
+    });
+  }
+
+  /**
+  * @name isEnabled
+  * @summary determine whether a request may be served from or stored in the cache
+  * @param {object} request - Node HTTP request object
+  * @param {object} matchResult - route match results
+  * @return {boolean} enabled - true if the cache applies
+  */
+  isEnabled(request, matchResult) {
+    if (!this.store || (request.method !== 'GET' && request.method !== 'HEAD')) {
+      return false;
+    }
+    let settings = this.settings.get(matchResult.serviceName, 'get', matchResult.pattern);
+    return !!settings.enabled && !this._parseCacheControl(request.headers['cache-control'])['no-store'];
+  }
+
+  /**
+  * @name lookup
+  * @summary retrieve the cached response for a request
+  * @param {object} request - Node HTTP request object
+  * @param {object} matchResult - route match results
+  * @return {object} promise - resolving to {statusCode, headers, payLoad} or null
+  */
+  lookup(request, matchResult) {
+    let requestCacheControl = this._parseCacheControl(request.headers['cache-control']);
+    if (requestCacheControl['no-cache'] || requestCacheControl['max-age'] === '0' ||
+        (request.headers['pragma'] || '').indexOf('no-cache') > -1) {
+      this.stats.misses++;
+      return Promise.resolve(null);
+    }
+    let primaryKey = this._getPrimaryKey(matchResult.serviceName, request.url);
+    return this.store.get(`${primaryKey}vary`)
+      .then((vary) => {
+        return (vary) ? this.store.get(this._getVariantKey(primaryKey, vary, request.headers)) : null;
+      })
+      .then((entry) => {
+        if (!entry) {
+          this.stats.misses++;
+          return null;
+        }
+        this.stats.hits++;
+        let headers = Object.assign({}, entry.headers, {
+          'age': Math.max(Math.floor((Date.now() - entry.storedAt) / 1000), 0)
+        });
+        return {
+          statusCode: entry.statusCode,
+          headers,
+          payLoad: Buffer.from(entry.payLoad, 'base64')
+        };
+      });
+  }
+
+  /**
+  * @name createEntry
+  * @summary build a cache entry for a service response, if it may be cached
+  * @description An etag is derived from the payload when the response has none,
+  *              so conditional requests can be answered from the cache.
+  * @param {object} request - Node HTTP request object
+  * @param {object} matchResult - route match results
+  * @param {number} statusCode - response status
+  * @param {object} headers - response headers, with lowercase names
+  * @param {mixed} payLoad - response payload, buffer or string
+  * @return {object} entry - cache entry or null
+  */
+  createEntry(request, matchResult, statusCode, headers, payLoad) {
+    if (statusCode !== 200 || headers['set-cookie']) {
+      return null;
+    }
+    let cacheControl = this._parseCacheControl(headers['cache-control']);
+    if (cacheControl['no-store'] || cacheControl['no-cache'] || cacheControl['private']) {
+      return null;
+    }
+    if (request.headers['authorization'] && !cacheControl['public'] && cacheControl['s-maxage'] === undefined) {
+      return null;
+    }
+    let vary = (headers['vary'] || '').split(',')
+      .map((name) => name.trim().toLowerCase())
+      .filter((name) => name && name !== 'accept-encoding');
+    if (vary.indexOf('*') > -1) {
+      return null;
+    }
+    let settings = this.settings.get(matchResult.serviceName, 'get', matchResult.pattern);
+    let ttl = this._getTTL(cacheControl, headers, settings.ttl);
+    payLoad = (Buffer.isBuffer(payLoad)) ? payLoad : Buffer.from(payLoad || '', 'utf8');
+    if (ttl <= 0 || payLoad.length > settings.maxEntrySize) {
+      return null;
+    }
+    let entryHeaders = Object.assign({}, headers);
+    delete entryHeaders['x-hydra-tracer'];
+    if (!entryHeaders['etag']) {
+      entryHeaders['etag'] = `"${crypto.createHash('sha1').update(payLoad).digest('base64')}"`;
+    }
+    return {
+      key: this._getPrimaryKey(matchResult.serviceName, request.url),
+      vary,
+      requestHeaders: request.headers,
+      ttl,
+      statusCode,
+      headers: entryHeaders,
+      payLoad
+    };
+  }
+
+  /**
+  * @name save
+  * @summary store an entry built by createEntry
+  * @param {object} entry - cache entry
+  * @return {object} promise - resolving once stored
+  */
+  save(entry) {
+    this.stats.stores++;
+    return Promise.all([
+      this.store.set(`${entry.key}vary`, entry.vary, entry.ttl),
+      this.store.set(this._getVariantKey(entry.key, entry.vary, entry.requestHeaders), {
+        statusCode: entry.statusCode,
+        headers: entry.headers,
+        payLoad: entry.payLoad.toString('base64'),
+        storedAt: Date.now()
+      }, entry.ttl)
+    ]);
+  }
+
+  /**
+  * @name purge
+  * @summary remove cached responses
+  * @param {string} serviceName - only purge responses of this service, optional
+  * @param {string} url - only purge responses for this url, optional
+  * @return {object} promise - resolving to the number of keys removed
+  */
+  purge(serviceName, url) {
+    if (!this.store) {
+      return Promise.resolve(0);
+    }
+    if (serviceName && url) {
+      return this.store.purge(this._getPrimaryKey(serviceName, url));
+    }
+    if (serviceName) {
+      return this.store.purge(`${KEY_PREFIX}:${serviceName}:`);
+    }
+    if (url) {
+      return this.store.purge(`${KEY_PREFIX}:`, (key) => key.substring(0, key.lastIndexOf('#')).endsWith(`:${url}`));
+    }
+    return this.store.purge(`${KEY_PREFIX}:`);
+  }
+
+  /**
+  * @name getStats
+  * @summary retrieve cache statistics
+  * @return {object} stats - {store, entries, hits, misses, stores}
+  */
+  getStats() {
+    return Object.assign({
+      store: this.settings.defaults.store,
+      entries: (this.store) ? this.store.size() : 0
+    }, this.stats);
+  }
+
+  /**
+  * @name isNotModified
+  * @summary evaluate the conditional headers of a request against a response
+  * @param {object} request - Node HTTP request object
+  * @param {object} headers - response headers, with lowercase names
+  * @return {boolean} notModified - true if a 304 should be sent
+  */
+  isNotModified(request, headers) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      return false;
+    }
+    let ifNoneMatch = request.headers['if-none-match'];
+    if (ifNoneMatch) {
+      if (!headers['etag']) {
+        return false;
+      }
+      let etag = headers['etag'].replace(/^W\//, '');
+      return ifNoneMatch.split(',').some((tag) => {
+        tag = tag.trim();
+        return tag === '*' || tag.replace(/^W\//, '') === etag;
+      });
+    }
+    let ifModifiedSince = Date.parse(request.headers['if-modified-since']);
+    let lastModified = Date.parse(headers['last-modified']);
+    return !isNaN(ifModifiedSince) && !isNaN(lastModified) && lastModified <= ifModifiedSince;
+  }
+
+  /**
+  * @name getNotModifiedHeaders
+  * @summary select the response headers sent with a 304
+  * @param {object} headers - response headers, with lowercase names
+  * @return {object} headers - 304 headers
+  */
+  getNotModifiedHeaders(headers) {
+    let result = {};
+    Object.keys(headers).forEach((name) => {
+      if (NOT_MODIFIED_HEADERS.indexOf(name.toLowerCase()) > -1 || name.toLowerCase().indexOf('access-control-') === 0) {
+        result[name] = headers[name];
+      }
+    });
+    return result;
+  }
+
+  /**
+  * @name _parseCacheControl
+  * @summary parse a cache-control header
+  * @private
+  * @param {string} header - cache-control header
+  * @return {object} directives - lowercase directive names mapped to values, or true
+  */
+  _parseCacheControl(header) {
+    let directives = {};
+    (header || '').split(',').forEach((directive) => {
+      let [name, value] = directive.split('=');
+      name = name.trim().toLowerCase();
+      if (name) {
+        directives[name] = (value !== undefined) ? value.trim().replace(/^"|"$/g, '') : true;
+      }
+    });
+    return directives;
+  }
+
+  /**
+  * @name _getTTL
+  * @summary compute how long a response stays fresh
+  * @private
+  * @param {object} cacheControl - parsed cache-control header
+  * @param {object} headers - response headers
+  * @param {number} defaultTTL - configured ttl in seconds
+  * @return {number} ttl - seconds
+  */
+  _getTTL(cacheControl, headers, defaultTTL) {
+    if (cacheControl['s-maxage'] !== undefined) {
+      return Number(cacheControl['s-maxage']) || 0;
+    }
+    if (cacheControl['max-age'] !== undefined) {
+      return Number(cacheControl['max-age']) || 0;
+    }
+    if (headers['expires']) {
+      let date = Date.parse(headers['date']) || Date.now();
+      let expires = Date.parse(headers['expires']);
+      return (isNaN(expires)) ? 0 : Math.floor((expires - date) / 1000);
+    }
+    return Number(defaultTTL) || 0;
+  }
+
+  /**
+  * @name _getPrimaryKey
+  * @summary build the key prefix shared by every variant of a url
+  * @private
+  * @param {string} serviceName - name of service
+  * @param {string} url - request url
+  * @return {string} key - key prefix
+  */
+  _getPrimaryKey(serviceName, url) {
+    return `${KEY_PREFIX}:${serviceName}:${url}#`;
+  }
+
+  /**
+  * @name _getVariantKey
+  * @summary build the key of the variant selected by the vary headers of a request
+  * @private
+  * @param {string} primaryKey - key prefix of the url
+  * @param {array} vary - lowercase names of the headers the response varies on
+  * @param {object} requestHeaders - request headers
+  * @return {string} key - variant key
+  */
+  _getVariantKey(primaryKey, vary, requestHeaders) {
+    let values = vary.map((name) => `${name}=${requestHeaders[name] || ''}`).join('\n');
+    return `${primaryKey}v:${crypto.createHash('sha1').update(values).digest('hex')}`;
+  }
+}
+
+module.exports = ResponseCache;
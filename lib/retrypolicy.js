@@ -0,0 +1,101 @@
+'use strict';
+
+const RouteSettings = require('./routesettings');
+
+const DEFAULTS = {
+  maxAttempts: 1, // total attempts including the first, 1 disables retries
+  baseDelay: 100, // milliseconds
+  maxDelay: 2000, // milliseconds
+  retryOn: [502, 503, 504], // response status codes which are retried
+  methods: ['get', 'head', 'options', 'put', 'delete'] // idempotent methods
+};
+
+/**
+* @name RetryPolicy
+* @summary Retry policies for requests proxied to services
+* @description Policies are set per service and per route in the retry config
+*              section. Only idempotent methods are retried unless the methods
+*              list is overridden. Delays grow exponentially from baseDelay up
+*              to maxDelay using full jitter.
+*
+*              "retry": {
+*                "maxAttempts": 1,
+*                "services": {
+*                  "catalog-svcs": {"maxAttempts": 3}
+*                },
+*                "routes": {
+*                  "[get]/v1/catalog/search": {"maxAttempts": 2, "retryOn": [503]}
+*                }
+*              }
+* @return {undefined}
+*/
+class RetryPolicy {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.settings = new RouteSettings({}, DEFAULTS);
+  }
+
+  /**
+  * @name init
+  * @summary initialize using the router config
+  * @param {object} config - configuration object
+  * @return {undefined}
+  */
+  init(config) {
+    this.settings = new RouteSettings(config.retry, DEFAULTS);
+  }
+
+  /**
+  * @name getPolicy
+  * @summary retrieve the policy for a request
+  * @param {string} serviceName - name of target service
+  * @param {string} method - HTTP method
+  * @param {string} pattern - matched router table pattern, if any
+  * @return {object} policy - retry policy
+  */
+  getPolicy(serviceName, method, pattern) {
+    let policy = this.settings.get(serviceName, method, pattern);
+    policy.method = method.toLowerCase();
+    return policy;
+  }
+
+  /**
+  * @name isRetryable
+  * @summary determine whether a request may be attempted more than once
+  * @param {object} policy - retry policy
+  * @return {boolean} retryable - true if retries are possible
+  */
+  isRetryable(policy) {
+    return policy.maxAttempts > 1 && policy.methods.indexOf(policy.method) > -1;
+  }
+
+  /**
+  * @name shouldRetry
+  * @summary determine whether a failed attempt should be retried
+  * @param {object} policy - retry policy
+  * @param {number} attempt - number of the attempt which just completed
+  * @param {number} statusCode - HTTP status of the attempt
+  * @return {boolean} retry - true if another attempt should be made
+  */
+  shouldRetry(policy, attempt, statusCode) {
+    return this.isRetryable(policy) && attempt < policy.maxAttempts && policy.retryOn.indexOf(statusCode) > -1;
+  }
+
+  /**
+  * @name getDelay
+  * @summary compute the delay before the next attempt
+  * @param {object} policy - retry policy
+  * @param {number} attempt - number of the attempt which just completed
+  * @return {number} delay - delay in milliseconds
+  */
+  getDelay(policy, attempt) {
+    let ceiling = Math.min(policy.maxDelay, policy.baseDelay * Math.pow(2, attempt - 1));
+    return Math.floor(Math.random() * ceiling);
+  }
+}
+
+module.exports = RetryPolicy;
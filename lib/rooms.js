@@ -0,0 +1,218 @@
+'use strict';
+
+const DEFAULTS = {
+  identityClaim: 'sub', // authResponse field recorded as a member's userID
+  notifyMembers: true, // send room.join and room.leave messages to room members
+  eventServices: [] // services sent room.join and room.leave messages
+};
+
+/**
+* @name Rooms
+* @summary Directory of the named rooms joined by clients of router instances
+* @description Memberships are kept per router instance, like the client
+*              directory, with the metadata each client joined with:
+*
+*              {
+*                "<routerID>": {
+*                  "<room>": {"<clientID>": {clientID, routerID, userID, metadata, joinedAt}}
+*                }
+*              }
+*
+*              Room names come from clients, so the directory is built from
+*              objects without a prototype.
+*
+*              Configured in the rooms config section:
+*
+*              "rooms": {
+*                "identityClaim": "sub",
+*                "notifyMembers": true,
+*                "eventServices": ["chat-svcs"]
+*              }
+* @return {undefined}
+*/
+class Rooms {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @param {object} config - configuration object
+  * @return {undefined}
+  */
+  constructor(config) {
+    this.settings = Object.assign({}, DEFAULTS, config && config.rooms);
+    this.directory = Object.create(null);
+  }
+
+  /**
+  * @name createMember
+  * @summary describe a client joining a room
+  * @param {string} routerID - router instance the client is connected to
+  * @param {object} ws - websocket or other client connection
+  * @param {object} metadata - metadata provided by the client
+  * @return {object} member - {clientID, routerID, userID, metadata, joinedAt}
+  */
+  createMember(routerID, ws, metadata) {
+    let member = {
+      clientID: ws.id,
+      routerID
+    };
+    let userID = this.settings.identityClaim.split('.').reduce((value, key) => {
+      return (value && typeof value === 'object') ? value[key] : undefined;
+    }, ws.authResponse);
+    if (userID !== undefined && userID !== null) {
+      member.userID = userID;
+    }
+    member.metadata = (metadata && typeof metadata === 'object') ? metadata : {};
+    member.joinedAt = new Date().toISOString();
+    return member;
+  }
+
+  /**
+  * @name join
+  * @summary add a member to a room
+  * @param {string} room - room name
+  * @param {object} member - member created using createMember
+  * @return {boolean} added - false when the client was already a member
+  */
+  join(room, member) {
+    let rooms = this.directory[member.routerID] = this.directory[member.routerID] || Object.create(null);
+    let members = rooms[room] = rooms[room] || Object.create(null);
+    let added = !members[member.clientID];
+    members[member.clientID] = member;
+    return added;
+  }
+
+  /**
+  * @name leave
+  * @summary remove a client from a room
+  * @param {string} routerID - router instance the client is connected to
+  * @param {string} clientID - client id
+  * @param {string} room - room name
+  * @return {object} member - the member removed, null when the client wasn't a member
+  */
+  leave(routerID, clientID, room) {
+    let rooms = this.directory[routerID];
+    let member = rooms && rooms[room] && rooms[room][clientID];
+    if (!member) {
+      return null;
+    }
+    delete rooms[room][clientID];
+    if (!Object.keys(rooms[room]).length) {
+      delete rooms[room];
+    }
+    return member;
+  }
+
+  /**
+  * @name getClientRooms
+  * @summary retrieve the rooms a client is a member of
+  * @param {string} routerID - router instance the client is connected to
+  * @param {string} clientID - client id
+  * @return {array} rooms - room names
+  */
+  getClientRooms(routerID, clientID) {
+    let rooms = this.getRouterRooms(routerID);
+    return Object.keys(rooms).filter((room) => !!rooms[room][clientID]);
+  }
+
+  /**
+  * @name isMember
+  * @summary determine whether a client is a member of a room
+  * @param {string} routerID - router instance the client is connected to
+  * @param {string} clientID - client id
+  * @param {string} room - room name
+  * @return {boolean} result - true for members
+  */
+  isMember(routerID, clientID, room) {
+    let rooms = this.directory[routerID];
+    return !!(rooms && rooms[room] && rooms[room][clientID]);
+  }
+
+  /**
+  * @name getRouterRooms
+  * @summary retrieve the memberships held by a router instance
+  * @param {string} routerID - router instance
+  * @return {object} rooms - room names mapped to members by client id
+  */
+  getRouterRooms(routerID) {
+    return this.directory[routerID] || Object.create(null);
+  }
+
+  /**
+  * @name setRouterRooms
+  * @summary replace the memberships held by a router instance
+  * @param {string} routerID - router instance
+  * @param {object} rooms - room names mapped to members by client id
+  * @return {undefined}
+  */
+  setRouterRooms(routerID, rooms) {
+    let copy = Object.create(null);
+    Object.keys(rooms || {}).forEach((room) => {
+      copy[room] = Object.assign(Object.create(null), rooms[room]);
+    });
+    this.directory[routerID] = copy;
+  }
+
+  /**
+  * @name removeRouter
+  * @summary forget the memberships held by a router instance
+  * @param {string} routerID - router instance
+  * @return {undefined}
+  */
+  removeRouter(routerID) {
+    delete this.directory[routerID];
+  }
+
+  /**
+  * @name getLocalMembers
+  * @summary retrieve the clients of a router instance which are members of a room
+  * @param {string} routerID - router instance
+  * @param {string} room - room name
+  * @return {array} clientIDs - member client ids
+  */
+  getLocalMembers(routerID, room) {
+    return Object.keys(this.getRouterRooms(routerID)[room] || {});
+  }
+
+  /**
+  * @name getMembers
+  * @summary retrieve the members of a room across all router instances
+  * @param {string} room - room name
+  * @return {array} members - members ordered by the time they joined
+  */
+  getMembers(room) {
+    let members = [];
+    Object.keys(this.directory).forEach((routerID) => {
+      let roomMembers = this.directory[routerID][room] || {};
+      Object.keys(roomMembers).forEach((clientID) => members.push(roomMembers[clientID]));
+    });
+    return members.sort((a, b) => String(a.joinedAt).localeCompare(String(b.joinedAt)));
+  }
+
+  /**
+  * @name hasRemoteMembers
+  * @summary determine whether other router instances have members in a room
+  * @param {string} routerID - router instance to leave out
+  * @param {string} room - room name
+  * @return {boolean} result - true when another router has members
+  */
+  hasRemoteMembers(routerID, room) {
+    return Object.keys(this.directory).some((id) => id !== routerID && this.getLocalMembers(id, room).length > 0);
+  }
+
+  /**
+  * @name getCounts
+  * @summary count the members of each room across all router instances
+  * @return {object} counts - room names mapped to member counts
+  */
+  getCounts() {
+    let counts = Object.create(null);
+    Object.keys(this.directory).forEach((routerID) => {
+      Object.keys(this.directory[routerID]).forEach((room) => {
+        counts[room] = (counts[room] || 0) + Object.keys(this.directory[routerID][room]).length;
+      });
+    });
+    return counts;
+  }
+}
+
+module.exports = Rooms;
@@ -0,0 +1,276 @@
+'use strict';
+
+const Route = require('route-parser');
+
+const SEGMENT_STATIC = 0;
+const SEGMENT_PARAM = 1;
+const SEGMENT_OPTIONAL = 2;
+const SEGMENT_SPLAT = 3;
+const STATIC_SEGMENT = /^[^:*()]*$/;
+const PARAM_SEGMENT = /^:\w+$/;
+
+/**
+* @name RouteMatcher
+* @summary Resolves request paths against the router table in a deterministic order
+* @description Routes are ordered by explicit priority (highest first), then by
+*              specificity: static segments beat params, params beat optional
+*              segments and splats, and longer patterns beat shorter ones.
+*
+*              The ordered routes are compiled into a prefix tree keyed on path
+*              segments. A lookup walks the tree to collect the few candidate
+*              routes for a path, which are then confirmed using their route-parser
+*              Route in precedence order. Patterns using optional groups, splats or
+*              mixed literal/param segments are kept as candidates at the deepest
+*              node their plain leading segments reach.
+* @return {undefined}
+*/
+class RouteMatcher {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.routes = [];
+    this.tree = this._createNode();
+  }
+
+  /**
+  * @name createRouteItems
+  * @summary Convert registered routes into router table entries
+  * @param {array} routes - route strings, i.e. [get]/v1/users/:id, or
+  *                objects of the form {route: '[get]/v1/users/:id', priority: 10}
+  * @return {array} routeItems - entries holding the HTTP method, pattern, priority and compiled route
+  */
+  static createRouteItems(routes) {
+    let routeItems = [];
+    routes.forEach((routeDef) => {
+      let routePattern = (typeof routeDef === 'string') ? routeDef : routeDef.route;
+      let priority = (typeof routeDef === 'object' && routeDef.priority) ? Number(routeDef.priority) : 0;
+      let method = '';
+      let idx = routePattern.indexOf(']');
+      if (routePattern.startsWith('[') && idx > -1) {
+        method = routePattern.substring(1, idx).toLowerCase();
+        routePattern = routePattern.substring(idx + 1);
+      }
+      routeItems.push({
+        method,
+        priority,
+        pattern: routePattern,
+        route: new Route(routePattern)
+      });
+    });
+    return routeItems;
+  }
+
+  /**
+  * @name _segmentRanks
+  * @summary rank each path segment of a route pattern by how specific it is
+  * @private
+  * @param {string} pattern - route pattern
+  * @return {array} ranks - one rank per segment, lower is more specific
+  */
+  _segmentRanks(pattern) {
+    return pattern.split('/').slice(1).map((segment) => {
+      if (segment.indexOf('*') > -1) {
+        return SEGMENT_SPLAT;
+      } else if (segment.indexOf('(') > -1) {
+        return SEGMENT_OPTIONAL;
+      } else if (segment.indexOf(':') > -1) {
+        return SEGMENT_PARAM;
+      }
+      return SEGMENT_STATIC;
+    });
+  }
+
+  /**
+  * @name _compare
+  * @summary sort comparator placing the route which should win first
+  * @private
+  * @param {object} a - route entry
+  * @param {object} b - route entry
+  * @return {number} order - negative when a wins over b
+  */
+  _compare(a, b) {
+    if (a.priority !== b.priority) {
+      return b.priority - a.priority;
+    }
+    let len = Math.min(a.ranks.length, b.ranks.length);
+    for (let i = 0; i < len; i += 1) {
+      if (a.ranks[i] !== b.ranks[i]) {
+        return a.ranks[i] - b.ranks[i];
+      }
+    }
+    if (a.ranks.length !== b.ranks.length) {
+      return b.ranks.length - a.ranks.length;
+    }
+    if (!a.method !== !b.method) {
+      return (a.method) ? -1 : 1;
+    }
+    let keyA = `${a.pattern} ${a.serviceName} ${a.method}`;
+    let keyB = `${b.pattern} ${b.serviceName} ${b.method}`;
+    if (keyA === keyB) {
+      return 0;
+    }
+    return (keyA < keyB) ? -1 : 1;
+  }
+
+  /**
+  * @name _createNode
+  * @summary create an empty prefix tree node
+  * @private
+  * @return {object} node - tree node
+  */
+  _createNode() {
+    return {
+      children: new Map(), // static segment => node
+      param: null, // node for a segment consisting of a single :param
+      entries: [], // routes ending exactly at this node
+      tails: [] // routes whose remaining segments need a full route match
+    };
+  }
+
+  /**
+  * @name _insert
+  * @summary add a route entry to the prefix tree
+  * @private
+  * @param {object} routeEntry - route entry
+  * @return {undefined}
+  */
+  _insert(routeEntry) {
+    let node = this.tree;
+    if (!routeEntry.pattern.startsWith('/')) {
+      node.tails.push(routeEntry);
+      return;
+    }
+    for (let segment of routeEntry.pattern.split('/').slice(1)) {
+      if (STATIC_SEGMENT.test(segment)) {
+        if (!node.children.has(segment)) {
+          node.children.set(segment, this._createNode());
+        }
+        node = node.children.get(segment);
+      } else if (PARAM_SEGMENT.test(segment)) {
+        if (!node.param) {
+          node.param = this._createNode();
+        }
+        node = node.param;
+      } else {
+        node.tails.push(routeEntry);
+        return;
+      }
+    }
+    node.entries.push(routeEntry);
+  }
+
+  /**
+  * @name _collect
+  * @summary gather the candidate routes for a list of path segments
+  * @private
+  * @param {object} node - tree node to search from
+  * @param {array} segments - path segments
+  * @param {number} index - index of the segment to match against node's children
+  * @param {array} candidates - accumulated candidate route entries
+  * @return {undefined}
+  */
+  _collect(node, segments, index, candidates) {
+    for (let routeEntry of node.tails) {
+      candidates.push(routeEntry);
+    }
+    if (index === segments.length) {
+      for (let routeEntry of node.entries) {
+        candidates.push(routeEntry);
+      }
+      return;
+    }
+    let segment = segments[index];
+    let child = node.children.get(segment);
+    if (child) {
+      this._collect(child, segments, index + 1, candidates);
+    }
+    if (node.param && segment !== '') {
+      this._collect(node.param, segments, index + 1, candidates);
+    }
+  }
+
+  /**
+  * @name compile
+  * @summary Build the ordered route list from a router table
+  * @param {object} routerTable - service names mapped to route entries
+  * @return {undefined}
+  */
+  compile(routerTable) {
+    let routes = [];
+    Object.keys(routerTable).forEach((serviceName) => {
+      routerTable[serviceName].forEach((routeEntry) => {
+        routes.push(Object.assign({
+          serviceName,
+          ranks: this._segmentRanks(routeEntry.pattern)
+        }, routeEntry));
+      });
+    });
+    routes.sort((a, b) => this._compare(a, b));
+
+    this.tree = this._createNode();
+    routes.forEach((routeEntry, idx) => {
+      routeEntry.rank = idx;
+      this._insert(routeEntry);
+    });
+    this.routes = routes;
+  }
+
+  /**
+  * @name match
+  * @summary Match an HTTP method and path against the compiled routes
+  * @param {string} method - HTTP request method
+  * @param {string} pathname - url path
+  * @return {object} routeInfo - matching route info, {allow: [methods]} when
+  *                  the path only matches under other HTTP methods, or null.
+  *                  HEAD requests also match GET routes.
+  */
+  match(method, pathname) {
+    let allow = [];
+    let candidates = [];
+    method = method.toLowerCase();
+    this._collect(this.tree, pathname.startsWith('/') ? pathname.split('/').slice(1) : [], 0, candidates);
+    candidates.sort((a, b) => a.rank - b.rank);
+    for (let routeEntry of candidates) {
+      let matchTest = routeEntry.route.match(pathname);
+      if (matchTest) {
+        if (!routeEntry.method || routeEntry.method === method || (method === 'head' && routeEntry.method === 'get')) {
+          return {
+            serviceName: routeEntry.serviceName,
+            params: matchTest,
+            method: routeEntry.method,
+            pattern: routeEntry.pattern
+          };
+        }
+        if (allow.indexOf(routeEntry.method) < 0) {
+          allow.push(routeEntry.method);
+        }
+      }
+    }
+    if (allow.length) {
+      return {
+        allow: allow.map((m) => m.toUpperCase())
+      };
+    }
+    return null;
+  }
+
+  /**
+  * @name getRoutes
+  * @summary Retrieve the routes in the order they are matched
+  * @return {array} routes - list of {serviceName, route, priority}
+  */
+  getRoutes() {
+    return this.routes.map((routeEntry) => {
+      return {
+        serviceName: routeEntry.serviceName,
+        route: (routeEntry.method) ? `[${routeEntry.method}]${routeEntry.pattern}` : routeEntry.pattern,
+        priority: routeEntry.priority
+      };
+    });
+  }
+}
+
+module.exports = RouteMatcher;
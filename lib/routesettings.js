@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+* @name RouteSettings
+* @summary Resolve a config section into settings for a service and route
+* @description Sections share the following layout, where top level values act
+*              as defaults for every service and route:
+*
+*              "sectionName": {
+*                "someSetting": 1,
+*                "services": {
+*                  "service-name": {"someSetting": 2}
+*                },
+*                "routes": {
+*                  "/v1/reports/:id": {"someSetting": 3},
+*                  "[get]/v1/reports/:id": {"someSetting": 4}
+*                }
+*              }
+*
+*              Route keys are router table patterns, optionally prefixed with
+*              an HTTP method. More specific entries override less specific ones.
+* @return {undefined}
+*/
+class RouteSettings {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @param {object} section - config section
+  * @param {object} defaults - built-in default values
+  * @return {undefined}
+  */
+  constructor(section, defaults) {
+    section = section || {};
+    this.defaults = Object.assign({}, defaults);
+    Object.keys(section).forEach((key) => {
+      if (key !== 'services' && key !== 'routes') {
+        this.defaults[key] = section[key];
+      }
+    });
+    this.services = section.services || {};
+    this.routes = section.routes || {};
+  }
+
+  /**
+  * @name get
+  * @summary retrieve the settings which apply to a service and route
+  * @param {string} serviceName - name of target service
+  * @param {string} method - HTTP method of the matched route, if any
+  * @param {string} pattern - matched router table pattern, if any
+  * @return {object} settings - merged settings
+  */
+  get(serviceName, method, pattern) {
+    let settings = Object.assign({}, this.defaults, this.services[serviceName]);
+    if (pattern) {
+      Object.assign(settings, this.routes[pattern]);
+      if (method) {
+        Object.assign(settings, this.routes[`[${method.toLowerCase()}]${pattern}`]);
+      }
+    }
+    return settings;
+  }
+
+  /**
+  * @name getScope
+  * @summary retrieve the most specific config key which applies to a service and route
+  * @description Useful to tell apart state kept for different settings, for
+  *              instance counters shared by every route of a service.
+  * @param {string} serviceName - name of target service
+  * @param {string} method - HTTP method of the matched route, if any
+  * @param {string} pattern - matched router table pattern, if any
+  * @return {string} scope - route key, service name or '*' for the defaults
+  */
+  getScope(serviceName, method, pattern) {
+    if (pattern) {
+      if (method && this.routes[`[${method.toLowerCase()}]${pattern}`]) {
+        return `[${method.toLowerCase()}]${pattern}`;
+      }
+      if (this.routes[pattern]) {
+        return pattern;
+      }
+    }
+    if (this.services[serviceName]) {
+      return serviceName;
+    }
+    return '*';
+  }
+}
+
+module.exports = RouteSettings;
@@ -14,15 +14,33 @@ const websocketPlugin = new WebSocketPlugin();
 
 const ServerResponse = hydra.getServerResponseHelper();
 const serverResponse = new ServerResponse;
-const zlib = require('zlib');
 const url = require('url');
 const path = require('path');
 const fs = require('fs');
 const querystring = require('querystring');
-const Route = require('route-parser');
 const version = require('../package.json').version;
 const Queuer = require('./queuer');
 const Stats = require('./stats');
+const RouteMatcher = require('./routematcher');
+const LoadBalancer = require('./loadbalancer');
+const CircuitBreaker = require('./circuitbreaker');
+const RetryPolicy = require('./retrypolicy');
+const RouteSettings = require('./routesettings');
+const RateLimiter = require('./ratelimiter');
+const HTTPProxy = require('./httpproxy');
+const MultipartParser = require('./multipartparser');
+const Compressor = require('./compressor');
+const ResponseCache = require('./responsecache');
+const HeaderRewriter = require('./headerrewriter');
+const PathRewriter = require('./pathrewriter');
+const Upstreams = require('./upstreams');
+const SSEClient = require('./sseclient');
+const LongPollClient = require('./longpollclient');
+const Topics = require('./topics');
+const Rooms = require('./rooms');
+const ClientRegistry = require('./clientregistry');
+const WSHeartbeat = require('./wsheartbeat');
+const ReconnectTokens = require('./reconnecttokens');
 
 const INFO = 'info';
 const ERROR = 'error';
@@ -33,6 +51,12 @@ const ISSUE_LOG_CLEANUP_DELAY = 30000; // thirty seconds
 const MAX_SERVICE_LOG_LENGTH = 3;
 const GC_INTERVAL = 60000; // every one minute
 const HR_MESSAGE_QUEUE = 'hydra-router:message:queue';
+const HTTP_GATEWAY_TIMEOUT = 504;
+const DEFAULT_TIMEOUT_HEADER = 'x-hydra-timeout';
+const MULTIPART_FORM_DATA = 'multipart/form-data';
+const MAX_TIMER_DELAY = 2147483647; // largest setTimeout delay in milliseconds
+const RECONNECT_TOKEN_HEADER = 'x-hydra-reconnect-token';
+const RESERVED_NAMES = ['__proto__', 'constructor', 'prototype']; // names which can't be topics or rooms
 
 /**
 * @name ServiceRouter
@@ -46,6 +70,20 @@ class ServiceRouter {
   constructor() {
     this.config = null;
     this.routerTable = null;
+    this.routeMatcher = new RouteMatcher();
+    this.loadBalancer = new LoadBalancer();
+    this.circuitBreaker = new CircuitBreaker();
+    this.retryPolicy = new RetryPolicy();
+    this.rateLimiter = new RateLimiter();
+    this.httpProxy = new HTTPProxy();
+    this.multipartParser = new MultipartParser();
+    this.compressor = new Compressor();
+    this.responseCache = new ResponseCache();
+    this.headerRewriter = new HeaderRewriter();
+    this.pathRewriter = new PathRewriter();
+    this.upstreams = new Upstreams();
+    this.wsHeartbeat = new WSHeartbeat();
+    this.reconnectTokens = new ReconnectTokens();
     this.serviceNames = {};
     this.issueLog = [];
     this.issueLogCleanupScheduled = false;
@@ -54,6 +92,7 @@ class ServiceRouter {
     this.wsStats = new Stats();
     this.httpStats = new Stats();
     this.errorStats = new Stats();
+    this.wsReapStats = new Stats();
 
     // control node V8 garbage collection
     // In the future use metrics tracking to determine a more intelligent and dynamic interval.
@@ -75,29 +114,51 @@ class ServiceRouter {
     this.config = config;
     websocketPlugin.init(config);
     httpPlugin.init(config);
-    this.requestTimeout = this.config.requestTimeout || FIVE_SECONDS;
+    this.loadBalancer.init(config);
+    this.circuitBreaker.init(config);
+    this.retryPolicy.init(config);
+    this.compressor.init(config);
+    this.headerRewriter.init(config);
+    this.pathRewriter.init(config);
+    this.upstreams.init(config);
+    this.wsHeartbeat.init(config, (ws, reason) => this._reapWebSocket(ws, reason));
+    if (!this.reconnectTokens.init(config)) {
+      this.log(INFO, 'HR: no reconnect token secret configured, clients can only reconnect through this router instance');
+    }
+    this.requestTimeout = Number(this.config.requestTimeout) || FIVE_SECONDS;
+    this.timeoutSettings = new RouteSettings(this.config.timeouts, {
+      timeout: this.requestTimeout,
+      clientHeader: DEFAULT_TIMEOUT_HEADER,
+      maxClientTimeout: 0
+    });
+    this.proxySettings = new RouteSettings(this.config.proxy, {
+      streaming: false,
+      maxBodySize: 0,
+      parseMultipart: false
+    });
     this.serviceName = hydra.getServiceName();
     this.serviceIntanceID = hydra.getInstanceID();
     this.wsLocalClients = {};
     this.wsClients = {
       [this.serviceIntanceID]: {}
     };
+    this.topics = new Topics();
+    this.rooms = new Rooms(config);
+    this.clientRegistry = new ClientRegistry(config);
+    if (this.clientRegistry.isEnabled()) {
+      this.clientRegistry.init(hydra.getClonedRedisClient(), this.serviceIntanceID, () => Object.keys(this.wsLocalClients), (err) => {
+        this.log(ERROR, `HR: client registry heartbeat failed: ${err.message}`);
+      })
+        .catch((err) => {
+          this.log(ERROR, `HR: unable to initialize client registry: ${err.message}`);
+        });
+    }
 
     Object.keys(routesObj).forEach((serviceName) => {
-      let newRouteItems = [];
-      let routes = routesObj[serviceName];
-      routes.forEach((routePattern) => {
-        this.debugLog(INFO, `HR: ${serviceName} adding ${routePattern}`);
-        let idx = routePattern.indexOf(']');
-        if (idx > -1) {
-          routePattern = routePattern.substring(idx + 1);
-        }
-        newRouteItems.push({
-          pattern: routePattern,
-          route: new Route(routePattern)
-        });
+      routesObj[serviceName].forEach((routeDef) => {
+        this.debugLog(INFO, `HR: ${serviceName} adding ${(typeof routeDef === 'string') ? routeDef : routeDef.route}`);
       });
-      routesObj[serviceName] = newRouteItems;
+      routesObj[serviceName] = RouteMatcher.createRouteItems(routesObj[serviceName]);
     });
     hydra.on('message', this._handleIncomingChannelMessage);
 
@@ -105,8 +166,22 @@ class ServiceRouter {
     let queuerDB = config.hydra.queuerDB ? config.hydra.queuerDB : 0;
     this.queuer.init(hydra.getClonedRedisClient(), queuerDB);
 
+    if (config.rateLimiter) {
+      this.rateLimiter.init(hydra.getClonedRedisClient(), config)
+        .catch((err) => {
+          this.log(ERROR, `HR: unable to initialize rate limiter: ${err.message}`);
+          this.rateLimiter.close();
+        });
+    }
+
+    this.responseCache.init(config, () => hydra.getClonedRedisClient())
+      .catch((err) => {
+        this.log(ERROR, `HR: unable to initialize response cache: ${err.message}`);
+      });
+
     this.hostName = os.hostname();
     this.routerTable = routesObj;
+    this.routeMatcher.compile(this.routerTable);
     this._refreshRoutes();
 
     hydra.sendBroadcastMessage(UMFMessage.createMessage({
@@ -136,6 +211,12 @@ class ServiceRouter {
           routerID: this.serviceIntanceID
         }
       }));
+      if (this.clientRegistry.isEnabled()) {
+        this.clientRegistry.close()
+          .catch((err) => {
+            this.log(ERROR, `HR: unable to remove clients from registry: ${err.message}`);
+          });
+      }
       setTimeout(() => {
         resolve();
       }, 1000);
@@ -232,9 +313,15 @@ class ServiceRouter {
           break;
         case 'wsdir.del': // remove client from directory
           delete this.wsClients[message.body.routerID][message.body.clientID];
+          this.topics.removeClient(message.body.routerID, message.body.clientID);
+          this.rooms.getClientRooms(message.body.routerID, message.body.clientID).forEach((room) => {
+            this.rooms.leave(message.body.routerID, message.body.clientID, room);
+          });
           break;
         case 'wsdir.rem': // remove directory for remote hydra router instance
           delete this.wsClients[message.body.routerID];
+          this.topics.removeRouter(message.body.routerID);
+          this.rooms.removeRouter(message.body.routerID);
           break;
         case 'wsdir.sha': // share directory with remote hydra router instance
           hydra.sendBroadcastMessage(UMFMessage.createMessage({
@@ -243,12 +330,59 @@ class ServiceRouter {
             type: 'wsdir.dir',
             body: {
               routerID: this.serviceIntanceID,
-              directory: this.wsClients[this.serviceIntanceID]
+              // clients are looked up in the client registry when it is used
+              directory: (this.clientRegistry.isEnabled()) ? {} : this.wsClients[this.serviceIntanceID],
+              topics: this.topics.getRouterTopics(this.serviceIntanceID),
+              rooms: this.rooms.getRouterRooms(this.serviceIntanceID)
             }
           }));
           break;
         case 'wsdir.dir': // add remote hydra router directory to this router instance
           this.wsClients[message.body.routerID] = message.body.directory;
+          this.topics.setRouterTopics(message.body.routerID, message.body.topics);
+          this.rooms.setRouterRooms(message.body.routerID, message.body.rooms);
+          break;
+        case 'topic.sub': // client of remote hydra router instance subscribed to a topic
+          if (!this._isValidName(message.body.topic)) {
+            break;
+          }
+          this.topics.subscribe(message.body.routerID, message.body.clientID, message.body.topic);
+          break;
+        case 'topic.uns': // client of remote hydra router instance unsubscribed from a topic
+          if (!this._isValidName(message.body.topic)) {
+            break;
+          }
+          this.topics.unsubscribe(message.body.routerID, message.body.clientID, message.body.topic);
+          break;
+        case 'topic.pub': // message published on a remote hydra router instance
+          if (!this._isValidName(message.body.topic)) {
+            break;
+          }
+          this._deliverToTopic(message.body.topic, message.body.message);
+          break;
+        case 'room.join': // client of remote hydra router instance joined a room
+          if (!this._isValidName(message.body.room) || !message.body.member) {
+            break;
+          }
+          if (this.rooms.join(message.body.room, message.body.member)) {
+            this._notifyRoomMembers('room.join', message.body.room, message.body.member);
+          }
+          break;
+        case 'room.leave': { // client of remote hydra router instance left a room
+          if (!this._isValidName(message.body.room)) {
+            break;
+          }
+          let member = this.rooms.leave(message.body.routerID, message.body.clientID, message.body.room);
+          if (member) {
+            this._notifyRoomMembers('room.leave', message.body.room, member);
+          }
+          break;
+        }
+        case 'room.msg': // message broadcast to a room on a remote hydra router instance
+          if (!this._isValidName(message.body.room)) {
+            break;
+          }
+          this._deliverToRoom(message.body.room, message.body.message);
           break;
         default:
           break;
@@ -256,6 +390,15 @@ class ServiceRouter {
       return;
     }
 
+    if (message.type === 'publish' && !message.via && !message.forward) {
+      this.publish(message);
+      return;
+    }
+    if (message.type === 'broadcast' && !message.via && !message.forward) {
+      this.broadcastToRoom(message);
+      return;
+    }
+
     if (message.via) {
       let found = false;
       let viaRoute = UMFMessage.parseRoute(message.via);
@@ -307,7 +450,25 @@ class ServiceRouter {
     });
 
     try {
-      let data = await hydra.makeAPIRequest(longMessage.toJSON(), {timeout: this.requestTimeout});
+      let toRoute = UMFMessage.parseRoute(longMessage.to);
+      let breaker = this.circuitBreaker.check(toRoute.serviceName);
+      if (!breaker.allowed) {
+        this.errorStats.log(toRoute.serviceName);
+        replyMessage.body = {
+          error: true,
+          result: `${toRoute.serviceName} is unavailable, retry after ${breaker.retryAfter} seconds`
+        };
+        this._sendWSMessage(ws, replyMessage.toJSON());
+        return;
+      }
+      let routeMatch = this.routeMatcher.match(toRoute.httpMethod, toRoute.apiRoute.split('?')[0]);
+      let data = await this._requestWithRetries(longMessage.mid, longMessage.toJSON(), {
+        headers: ws.headers,
+        key: ws.id,
+        method: toRoute.httpMethod,
+        pattern: (routeMatch && !routeMatch.allow) ? routeMatch.pattern : undefined,
+        timeout: this._getRequestTimeout(toRoute.serviceName, toRoute.httpMethod, (routeMatch && !routeMatch.allow) ? routeMatch.pattern : undefined)
+      });
       replyMessage.body = {};
       if (data.payLoad) {
         replyMessage.body = data.payLoad.toString('utf8');
@@ -346,33 +507,39 @@ class ServiceRouter {
   */
   sendConnectMessage(ws, id, req) {
     ws.id = id || Utils.shortID();
+    if (req && req.headers) {
+      ws.headers = req.headers;
+    }
+    this.wsHeartbeat.track(ws);
     if (!this.wsLocalClients[ws.id]) {
       this.wsLocalClients[ws.id] = ws;
       this.wsClients[this.serviceIntanceID][ws.id] = 1;
 
-      hydra.sendBroadcastMessage(UMFMessage.createMessage({
-        to: `${this.serviceName}:/`,
-        from: `${this.serviceIntanceID}@${this.serviceName}:/`,
-        type: 'wsdir.add',
-        body: {
-          routerID: this.serviceIntanceID,
-          clientID: ws.id
-        }
-      }));
+      if (this.clientRegistry.isEnabled()) {
+        this.clientRegistry.register(ws.id)
+          .catch((err) => {
+            this.log(ERROR, `HR: unable to register client ${ws.id}: ${err.message}`);
+          });
+      } else {
+        hydra.sendBroadcastMessage(UMFMessage.createMessage({
+          to: `${this.serviceName}:/`,
+          from: `${this.serviceIntanceID}@${this.serviceName}:/`,
+          type: 'wsdir.add',
+          body: {
+            routerID: this.serviceIntanceID,
+            clientID: ws.id
+          }
+        }));
+      }
     }
     let ip;
     try {
-      if (req && req.headers && req.headers['x-forwarded-for']) {
-        ip = req.headers['x-forwarded-for'];
-      } else {
-        if (req.connection !== null && req.connection.remoteAddress !== null) {
-          ip = req.connection.remoteAddress;
-        }
-      }
+      ip = this._getClientIP(req.headers['x-forwarded-for'], req.connection.remoteAddress);
     } catch (e) {
       ip = 'unknown';
     }
     ws.ipAddr = ip;
+    ws.reconnectToken = this.reconnectTokens.create(ws.id, ws.authResponse);
     this.debugLog(INFO, `HR: sendConnectMessage detected IP: ${ip}`);
     let welcomeMessage = UMFMessage.createMessage({
       to: `${ws.id}@client:/`,
@@ -381,7 +548,8 @@ class ServiceRouter {
       body: {
         id: ws.id,
         ip,
-        authResponse: ws.authResponse
+        authResponse: ws.authResponse,
+        reconnectToken: ws.reconnectToken
       }
     });
     this.debugLog(INFO, `HR: Sending connection message to new websocket client ${Utils.safeJSONStringify(welcomeMessage)}`);
@@ -389,6 +557,27 @@ class ServiceRouter {
     this._sendWSMessage(ws, welcomeMessage.toJSON());
   }
 
+  /**
+  * @name _drainClientQueue
+  * @summary Send a client the messages queued while it was not connected
+  * @private
+  * @param {object} ws - websocket or other client connection
+  * @return {object} promise - resolving once the queue is empty
+  */
+  async _drainClientQueue(ws) {
+    let queueName = `${HR_MESSAGE_QUEUE}:${ws.id}`;
+    try {
+      let obj = await this.queuer.dequeue(queueName);
+      while (obj) {
+        this._sendWSMessage(ws, UMFMessage.createMessage(obj).toJSON());
+        await this.queuer.complete(queueName, obj);
+        obj = await this.queuer.dequeue(queueName);
+      }
+    } catch (err) {
+      this.log(ERROR, `HR: unable to drain message queue of ${ws.id}: ${err.message}`);
+    }
+  }
+
   /**
   * @name routeWSMessage
   * @summary Route a websocket message
@@ -396,7 +585,8 @@ class ServiceRouter {
   * @param {string} message - UMF message in string format
   * @return {undefined}
   */
-  routeWSMessage(ws, message) {
+  async routeWSMessage(ws, message) {
+    this.wsHeartbeat.touch(ws);
     let invalidMessage = (msg, errorMsg) => {
       msg = typeof msg === 'string' ? msg : Utils.safeJSONStringify(msg);
       let errMessage = (!errorMsg) ? `HR: Invalid UMF message: ${msg} closing connection` : errorMsg;
@@ -455,6 +645,24 @@ class ServiceRouter {
       }
     }
 
+    let rateLimitContext = {
+      serviceName: toRoute.serviceName,
+      ip: ws.ipAddr,
+      token: ws.headers && ws.headers.authorization
+    };
+    if (toRoute.httpMethod) {
+      let matchResult = this.routeMatcher.match(toRoute.httpMethod, url.parse(toRoute.apiRoute).pathname);
+      if (matchResult && matchResult.pattern) {
+        rateLimitContext.method = toRoute.httpMethod;
+        rateLimitContext.pattern = matchResult.pattern;
+      }
+    }
+    let limit = await this._checkRateLimit(rateLimitContext);
+    if (limit && !limit.allowed) {
+      invalidMessage(message, `Rate limit exceeded, retry after ${limit.retryAfter} seconds`);
+      return;
+    }
+
     if (msg.to.indexOf('[') > -1 && msg.to.indexOf(']') > -1) {
       // does route point to an HTTP method? If so, route through HTTP
       // i.e. [get] [post] etc...
@@ -487,65 +695,93 @@ class ServiceRouter {
               this.wsDisconnect(ws);
               return;
             }
+            if (!this._verifyReconnectToken(ws, msg.body.token, msg.body.id)) {
+              invalidMessage(message, 'Invalid reconnect token');
+              this.wsDisconnect(ws);
+              return;
+            }
             this.debugLog(INFO, `HR: WS reconnecting to ${msg.body.id}`);
 
-            delete this.wsLocalClients[ws.id];
-            if (this.wsClients[this.serviceIntanceID][ws.id]) {
-              delete this.wsClients[this.serviceIntanceID][ws.id];
+            this._unregisterClient(ws);
+            this.sendConnectMessage(ws, msg.body.id, null);
+            this._drainClientQueue(ws);
+            return;
+          }
+          case 'subscribe':
+          case 'unsubscribe': {
+            if (!this._isValidName(msg.body.topic)) {
+              invalidMessage(message, `${msg.type} message missing topic`);
+              return;
             }
-            hydra.sendBroadcastMessage(UMFMessage.createMessage({
-              to: `${this.serviceName}:/`,
-              from: `${this.serviceIntanceID}@${this.serviceName}:/`,
-              type: 'wsdir.del',
+            this._updateSubscription(ws, msg.body.topic, msg.type === 'subscribe');
+            this._sendWSMessage(ws, UMFMessage.createMessage({
+              to: msg.from,
+              rmid: msg.mid,
               body: {
-                routerID: this.serviceIntanceID,
-                clientID: ws.id
+                topic: msg.body.topic,
+                subscribed: msg.type === 'subscribe'
               }
-            }));
-
-            this.sendConnectMessage(ws, msg.body.id, null);
-            let iid = setInterval(() => {
-              let queueName = `${HR_MESSAGE_QUEUE}:${msg.body.id}`;
-              this.queuer.dequeue(queueName)
-                .then((obj) => {
-                  if (!obj) {
-                    clearInterval(iid);
-                  } else {
-                    this._sendWSMessage(ws, UMFMessage.createMessage(obj).toJSON());
-                    this.queuer.complete(queueName, obj);
-                  }
-                });
-            }, 0);
+            }).toJSON());
+            return;
+          }
+          case 'publish': {
+            if (!this._isValidName(msg.body.topic)) {
+              invalidMessage(message, 'publish message missing topic');
+              return;
+            }
+            this.publish(msg);
+            return;
+          }
+          case 'join':
+          case 'leave': {
+            if (!this._isValidName(msg.body.room)) {
+              invalidMessage(message, `${msg.type} message missing room`);
+              return;
+            }
+            let joined = msg.type === 'join';
+            if (joined) {
+              this._joinRoom(ws, msg.body.room, msg.body.metadata);
+            } else {
+              this._leaveRoom(ws, msg.body.room);
+            }
+            let body = {
+              room: msg.body.room,
+              joined
+            };
+            if (joined) {
+              body.members = this.rooms.getMembers(msg.body.room);
+            }
+            this._sendWSMessage(ws, UMFMessage.createMessage({
+              to: msg.from,
+              rmid: msg.mid,
+              body
+            }).toJSON());
+            return;
+          }
+          case 'broadcast': {
+            if (!this._isValidName(msg.body.room)) {
+              invalidMessage(message, 'broadcast message missing room');
+              return;
+            }
+            if (!this.rooms.isMember(this.serviceIntanceID, ws.id, msg.body.room)) {
+              invalidMessage(message, `Not a member of room ${msg.body.room}`);
+              return;
+            }
+            this.broadcastToRoom(msg);
             return;
           }
           case 'wsdir.loc':
             {
               // locate a client on directory
-              let foundClient = false;
-              for (let routerID of Object.keys(this.wsClients)) {
-                if (this.wsClients[routerID][msg.body.clientID]) {
-                  this._sendWSMessage(ws, UMFMessage.createMessage({
-                    to: msg.from,
-                    rmid: msg.mid,
-                    body: {
-                      routerID,
-                      clientID: msg.body.clientID
-                    }
-                  }).toJSON());
-                  foundClient = true;
-                  break;
+              let routerID = await this._locateClient(msg.body.clientID);
+              this._sendWSMessage(ws, UMFMessage.createMessage({
+                to: msg.from,
+                rmid: msg.mid,
+                body: {
+                  routerID: routerID || '',
+                  clientID: msg.body.clientID
                 }
-              }
-              if (!foundClient) {
-                this._sendWSMessage(ws, UMFMessage.createMessage({
-                  to: msg.from,
-                  rmid: msg.mid,
-                  body: {
-                    routerID: '',
-                    clientID: msg.body.clientID
-                  }
-                }).toJSON());
-              }
+              }).toJSON());
             }
             return;
           default:
@@ -571,16 +807,8 @@ class ServiceRouter {
               this.queuer.enqueue(`${HR_MESSAGE_QUEUE}:${instance}`, msg);
             }
           } else {
-            let foundRouter = false;
-            let foundRouterID = '';
-            for (let routerID of Object.keys(this.wsClients)) {
-              if (this.wsClients[routerID][instance]) {
-                foundRouter = true;
-                foundRouterID = routerID;
-                break;
-              }
-            }
-            if (foundRouter) {
+            let foundRouterID = await this._locateClient(instance);
+            if (foundRouterID) {
               hydra.getServicePresence(this.serviceName)
                 .then((results) => {
                   let foundClient = false;
@@ -626,9 +854,10 @@ class ServiceRouter {
               this.errorStats.log(toRoute.serviceName);
               invalidMessage(message, `No ${toRoute.serviceName} instances available`);
             } else {
+              let instance = this.loadBalancer.selectInstance(toRoute.serviceName, results, {headers: ws.headers, key: ws.id});
               let newMsg = UMFMessage.createMessage({
                 mid: msg.mid,
-                to: `${results[0].instanceID}@${results[0].serviceName}:${toRoute.apiRoute}`,
+                to: `${instance.instanceID}@${instance.serviceName}:${toRoute.apiRoute}`,
                 via: `${this.serviceIntanceID}-${ws.id}@${this.serviceName}:/`
               });
               let wsMsg = Object.assign(msg.toJSON(), newMsg.toJSON());
@@ -642,180 +871,1000 @@ class ServiceRouter {
   }
 
   /**
-   * @name wsAuthenticate
-   * @summary authenticate a HTTP-style Basic auth string
-   * @param {string} key
-   * @return {promise} which resolves if authenticated, else rejects
-   */
-  wsAuthenticate(key) {
-    return websocketPlugin.authenticate(key);
+  * @name publish
+  * @summary Deliver a message to the subscribers of a topic on all router instances
+  * @description Subscribers receive a publish message carrying the body of the
+  *              published message, so the topic name is included.
+  * @param {object} message - UMF message whose body names the topic
+  * @return {undefined}
+  */
+  publish(message) {
+    let topic = message.body && message.body.topic;
+    if (!this._isValidName(topic)) {
+      this.debugLog(INFO, `HR: Ignoring publish message without topic ${Utils.safeJSONStringify(message)}`);
+      return;
+    }
+    let body = Object.assign({}, message.body);
+    delete body.authResponse; // added for services, not meant for other clients
+    let published = {
+      mid: message.mid,
+      from: message.from,
+      type: 'publish',
+      body
+    };
+    this._deliverToTopic(topic, published);
+    if (this.topics.hasRemoteSubscribers(this.serviceIntanceID, topic)) {
+      hydra.sendBroadcastMessage(UMFMessage.createMessage({
+        to: `${this.serviceName}:/`,
+        from: `${this.serviceIntanceID}@${this.serviceName}:/`,
+        type: 'topic.pub',
+        body: {
+          routerID: this.serviceIntanceID,
+          topic,
+          message: published
+        }
+      }));
+    }
   }
 
   /**
-  * @name wsDisconnect
-  * @summary handle websocket disconnect
-  * @param {object} ws - websocket
+  * @name _deliverToTopic
+  * @summary Send a published message to the local clients subscribed to a topic
+  * @private
+  * @param {string} topic - topic name
+  * @param {object} message - published message without a to field
   * @return {undefined}
   */
-  wsDisconnect(ws) {
-    this.debugLog(INFO, `HR: WS close connection ${ws.id}`);
-    delete this.wsLocalClients[ws.id];
-    delete this.wsClients[this.serviceIntanceID][ws.id];
-
-    hydra.sendBroadcastMessage(UMFMessage.createMessage({
-      to: `${this.serviceName}:/`,
-      from: `${this.serviceIntanceID}@${this.serviceName}:/`,
-      type: 'wsdir.del',
-      body: {
-        routerID: this.serviceIntanceID,
-        clientID: ws.id
+  _deliverToTopic(topic, message) {
+    this.topics.getSubscribers(this.serviceIntanceID, topic).forEach((clientID) => {
+      let ws = this.wsLocalClients[clientID];
+      if (ws) {
+        this._sendWSMessage(ws, Object.assign({}, message, {
+          to: `${clientID}@client:/`
+        }));
       }
-    }));
-    ws.close();
+    });
   }
 
   /**
-  * @name _matchRoute
-  * @summary Matches a route url against router table
+  * @name _updateSubscription
+  * @summary Subscribe or unsubscribe a local client and share the change with other routers
   * @private
-  * @param {object} urlData - information about the url request
-  * @return {object} routeInfo - object containing matching route info or null
-  */
-  _matchRoute(urlData) {
-    for (let serviceName of Object.keys(this.routerTable)) {
-      for (let routeEntry of this.routerTable[serviceName]) {
-        let matchTest = routeEntry.route.match(urlData.pathname);
-        if (matchTest) {
-          return {
-            serviceName,
-            params: matchTest,
-            pattern: routeEntry.pattern
-          };
+  * @param {object} ws - websocket or other client connection
+  * @param {string} topic - topic name
+  * @param {boolean} subscribe - true to subscribe, false to unsubscribe
+  * @return {undefined}
+  */
+  _updateSubscription(ws, topic, subscribe) {
+    let changed = (subscribe) ?
+      this.topics.subscribe(this.serviceIntanceID, ws.id, topic) :
+      this.topics.unsubscribe(this.serviceIntanceID, ws.id, topic);
+    if (changed) {
+      this.debugLog(INFO, `HR: ${ws.id} ${(subscribe) ? 'subscribed to' : 'unsubscribed from'} ${topic}`);
+      hydra.sendBroadcastMessage(UMFMessage.createMessage({
+        to: `${this.serviceName}:/`,
+        from: `${this.serviceIntanceID}@${this.serviceName}:/`,
+        type: (subscribe) ? 'topic.sub' : 'topic.uns',
+        body: {
+          routerID: this.serviceIntanceID,
+          clientID: ws.id,
+          topic
         }
-      }
+      }));
     }
-    this.debugLog(INFO, `HR: ${urlData.pathname} was not matched to a route`);
-    return null;
   }
 
   /**
-  * @name routeRequest
-  * @summary Routes a request to an available service
-  * @param {object} request - Node HTTP request object
-  * @param {object} response - Node HTTP response object
-  * @return {object} Promise - promise resolving if success or rejection otherwise
+  * @name broadcastToRoom
+  * @summary Deliver a message to the members of a room on all router instances
+  * @description Members receive a broadcast message carrying the body of the
+  *              original message, so the room name is included.
+  * @param {object} message - UMF message whose body names the room
+  * @return {undefined}
   */
-  routeRequest(request, response) {
-    return new Promise((resolve, _reject) => {
-      if (request.method === 'OPTIONS') {
-        let extraHeaders = {
-          'headers': {
-            'Content-Type': 'text/plain; charset=utf-8',
-            'Access-Control-Expose-Headers': 'Content-Length, Content-Range'
-          }
-        };
-        serverResponse.sendResponse(ServerResponse.HTTP_NO_CONTENT, response, extraHeaders);
-        return;
-      }
+  broadcastToRoom(message) {
+    let room = message.body && message.body.room;
+    if (!this._isValidName(room)) {
+      this.debugLog(INFO, `HR: Ignoring broadcast message without room ${Utils.safeJSONStringify(message)}`);
+      return;
+    }
+    let body = Object.assign({}, message.body);
+    delete body.authResponse; // added for services, not meant for other clients
+    let broadcast = {
+      mid: message.mid,
+      from: message.from,
+      type: 'broadcast',
+      body
+    };
+    this._deliverToRoom(room, broadcast);
+    if (this.rooms.hasRemoteMembers(this.serviceIntanceID, room)) {
+      hydra.sendBroadcastMessage(UMFMessage.createMessage({
+        to: `${this.serviceName}:/`,
+        from: `${this.serviceIntanceID}@${this.serviceName}:/`,
+        type: 'room.msg',
+        body: {
+          routerID: this.serviceIntanceID,
+          room,
+          message: broadcast
+        }
+      }));
+    }
+  }
 
-      let tracer = Utils.shortID();
-      if (this.config.debugLogging &&
-          (request.url.indexOf('/v1/router') < 0) &&
-          (request.headers['user-agent'] && request.headers['user-agent'].indexOf('ELB-HealthChecker') < 0)) {
-        this.log(INFO, {
-          tracer: `HR: tracer=${tracer}`,
-          url: request.url,
-          method: request.method,
-          originalUrl: request.originalUrl,
-          callerIP: request.headers['x-forwarded-for'] || request.connection.remoteAddress,
-          body: (request.method === 'POST') ? request.body : {},
-          host: request.headers['host'],
-          userAgent: request.headers['user-agent']
-        });
+  /**
+  * @name _deliverToRoom
+  * @summary Send a message to the local clients which are members of a room
+  * @private
+  * @param {string} room - room name
+  * @param {object} message - message without a to field
+  * @param {string} excludeClientID - client which isn't sent the message
+  * @return {undefined}
+  */
+  _deliverToRoom(room, message, excludeClientID) {
+    this.rooms.getLocalMembers(this.serviceIntanceID, room).forEach((clientID) => {
+      let ws = this.wsLocalClients[clientID];
+      if (ws && clientID !== excludeClientID) {
+        this._sendWSMessage(ws, Object.assign({}, message, {
+          to: `${clientID}@client:/`
+        }));
       }
+    });
+  }
 
-      let requestUrl = request.url;
-      let urlPath = `http://${request.headers['host']}${requestUrl}`;
-      let urlData = url.parse(urlPath);
-
-      if (request.url.indexOf('/v1/router') < 0) {
-        if (this.config.debugLogging) {
-          if (request.headers['referer']) {
-            this.log(INFO, `HR: [${tracer}] Access ${urlPath} via ${request.headers['referer']}`);
-            this.log(INFO, request.headers['referer']);
-          } else {
-            this.log(INFO, `HR: [${tracer}] Request for ${urlPath}`);
-          }
-        }
+  /**
+  * @name _notifyRoomMembers
+  * @summary Tell the local members of a room that a client joined or left
+  * @private
+  * @param {string} type - room.join or room.leave
+  * @param {string} room - room name
+  * @param {object} member - member which joined or left
+  * @return {undefined}
+  */
+  _notifyRoomMembers(type, room, member) {
+    if (!this.rooms.settings.notifyMembers) {
+      return;
+    }
+    this._deliverToRoom(room, {
+      from: `${this.serviceIntanceID}@${this.serviceName}:/`,
+      type,
+      body: {
+        room,
+        member
       }
+    }, member.clientID);
+  }
 
-      let matchResult = this._matchRoute(urlData);
-      if (!matchResult) {
-        if (request.headers['referer']) {
-          let k = Object.keys(this.serviceNames);
-          for (let i = 0; i < k.length; i += 1) {
-            let serviceName = k[i];
-            if (request.headers['referer'].indexOf(`/${serviceName}`) > -1) {
-              matchResult = {
-                serviceName
-              };
-              break;
-            }
-          }
-        }
-      }
+  /**
+  * @name _sendRoomEvent
+  * @summary Tell other routers, the room members and the configured services that a client joined or left
+  * @private
+  * @param {string} type - room.join or room.leave
+  * @param {string} room - room name
+  * @param {object} member - local member which joined or left
+  * @return {undefined}
+  */
+  _sendRoomEvent(type, room, member) {
+    let body = {
+      routerID: this.serviceIntanceID,
+      room
+    };
+    if (type === 'room.join') {
+      body.member = member;
+    } else {
+      body.clientID = member.clientID;
+    }
+    hydra.sendBroadcastMessage(UMFMessage.createMessage({
+      to: `${this.serviceName}:/`,
+      from: `${this.serviceIntanceID}@${this.serviceName}:/`,
+      type,
+      body
+    }));
+    this._notifyRoomMembers(type, room, member);
+    this.rooms.settings.eventServices.forEach((serviceName) => {
+      hydra.sendMessage(UMFMessage.createMessage({
+        to: `${serviceName}:/`,
+        from: `${this.serviceIntanceID}@${this.serviceName}:/`,
+        type,
+        body: {
+          room,
+          member
+        }
+      }));
+    });
+  }
+
+  /**
+  * @name _joinRoom
+  * @summary Add a local client to a room, replacing its metadata when already a member
+  * @private
+  * @param {object} ws - websocket or other client connection
+  * @param {string} room - room name
+  * @param {object} metadata - metadata provided by the client
+  * @return {undefined}
+  */
+  _joinRoom(ws, room, metadata) {
+    let member = this.rooms.createMember(this.serviceIntanceID, ws, metadata);
+    if (this.rooms.join(room, member)) {
+      this.debugLog(INFO, `HR: ${ws.id} joined room ${room}`);
+      this._sendRoomEvent('room.join', room, member);
+    } else {
+      // share the new metadata without announcing the client again
+      hydra.sendBroadcastMessage(UMFMessage.createMessage({
+        to: `${this.serviceName}:/`,
+        from: `${this.serviceIntanceID}@${this.serviceName}:/`,
+        type: 'room.join',
+        body: {
+          routerID: this.serviceIntanceID,
+          room,
+          member
+        }
+      }));
+    }
+  }
+
+  /**
+  * @name _leaveRoom
+  * @summary Remove a local client from a room
+  * @private
+  * @param {object} ws - websocket or other client connection
+  * @param {string} room - room name
+  * @return {undefined}
+  */
+  _leaveRoom(ws, room) {
+    let member = this.rooms.leave(this.serviceIntanceID, ws.id, room);
+    if (member) {
+      this.debugLog(INFO, `HR: ${ws.id} left room ${room}`);
+      this._sendRoomEvent('room.leave', room, member);
+    }
+  }
+
+  /**
+  * @name _leaveAllRooms
+  * @summary Remove a local client from every room it joined
+  * @private
+  * @param {object} ws - websocket or other client connection
+  * @return {undefined}
+  */
+  _leaveAllRooms(ws) {
+    this.rooms.getClientRooms(this.serviceIntanceID, ws.id).forEach((room) => {
+      this._leaveRoom(ws, room);
+    });
+  }
+
+  /**
+  * @name _isValidName
+  * @summary determine whether a value can be used as a topic or room name
+  * @private
+  * @param {string} name - topic or room name
+  * @return {boolean} result - true for non-empty strings other than Object property names
+  */
+  _isValidName(name) {
+    return typeof name === 'string' && name !== '' && RESERVED_NAMES.indexOf(name) === -1;
+  }
+
+  /**
+   * @name wsAuthenticate
+   * @summary authenticate a HTTP-style Basic auth string
+   * @param {string} key
+   * @return {promise} which resolves if authenticated, else rejects
+   */
+  wsAuthenticate(key) {
+    return websocketPlugin.authenticate(key);
+  }
+
+  /**
+   * @name wsAuthenticateConnection
+   * @summary authenticate a new client connection when requireWebsocketAuth is set
+   * @description Connections authenticate with a bearer JWT when websocketAuthJWT
+   *              is configured, or else with a Basic auth header or url checked
+   *              by wsAuthenticate.
+   * @param {object} ws - websocket or other client connection
+   * @param {object} req - HTTP request which opened the connection
+   * @return {promise} resolves to true if the client may connect
+   */
+  async wsAuthenticateConnection(ws, req) {
+    if (!this.config.requireWebsocketAuth) {
+      return true;
+    }
+    try {
+      if (this.wsUsesJWTAuth()) {
+        this.wsAuthenticateToken(ws, req);
+        return true;
+      }
+      let auth;
+      if (req.headers.authorization) {
+        auth = Buffer.from(req.headers.authorization.slice(6), 'base64').toString();
+      } else if (req.url && req.url.length > 1) {
+        auth = req.url;
+      }
+      // parse the auth string if provided
+      if (!auth) {
+        hydra.log('error', 'Auth must be provided on connection');
+        return false;
+      }
+      const response = await this.wsAuthenticate(auth);
+      if (response.statusCode !== 200) {
+        hydra.log('error', 'Invalid auth api response');
+        return false;
+      }
+      ws.authResponse = response.result;
+      return true;
+    } catch (e) {
+      hydra.log('error', e);
+      return false;
+    }
+  }
+
+  /**
+   * @name wsUsesJWTAuth
+   * @summary determine whether websocket connections are authenticated with local JWT verification
+   * @return {boolean} true if websocketAuthJWT is configured
+   */
+  wsUsesJWTAuth() {
+    return websocketPlugin.usesJWT();
+  }
+
+  /**
+   * @name wsAuthenticateToken
+   * @summary verify the bearer JWT of a websocket connection
+   * @description The verified claims are kept as the connection's authResponse
+   *              and the connection is closed when the token expires.
+   * @param {object} ws - websocket
+   * @param {object} req - HTTP upgrade request
+   * @return {undefined} throws if the token is missing or invalid
+   */
+  wsAuthenticateToken(ws, req) {
+    ws.authResponse = websocketPlugin.verifyToken(req);
+    this._scheduleWSAuthExpiry(ws);
+  }
+
+  /**
+   * @name _scheduleWSAuthExpiry
+   * @summary close a websocket connection once its token expires
+   * @description Tokens without an exp claim don't expire, so their connections
+   *              are never closed here.
+   * @private
+   * @param {object} ws - websocket
+   * @return {undefined}
+   */
+  _scheduleWSAuthExpiry(ws) {
+    if (!ws.authResponse || ws.authResponse.exp === undefined) {
+      return;
+    }
+    let delay = (Number(ws.authResponse.exp) * 1000) - Date.now();
+    ws.authExpiryTimer = setTimeout(() => {
+      if (Number(ws.authResponse.exp) * 1000 > Date.now()) {
+        this._scheduleWSAuthExpiry(ws); // delay was capped
+        return;
+      }
+      this.debugLog(INFO, `HR: WS auth token expired for ${ws.id}`);
+      this._sendWSMessage(ws, UMFMessage.createMessage({
+        to: `${ws.id}@client:/`,
+        from: `${this.serviceIntanceID}@${this.serviceName}:/`,
+        body: {
+          error: 'Authentication token expired'
+        }
+      }).toJSON());
+      this.wsDisconnect(ws);
+    }, Math.min(Math.max(delay, 0), MAX_TIMER_DELAY));
+  }
+
+  /**
+  * @name wsDisconnect
+  * @summary handle websocket disconnect
+  * @param {object} ws - websocket
+  * @return {undefined}
+  */
+  wsDisconnect(ws) {
+    this.debugLog(INFO, `HR: WS close connection ${ws.id}`);
+    if (ws.authExpiryTimer) {
+      clearTimeout(ws.authExpiryTimer);
+      ws.authExpiryTimer = null;
+    }
+    this.wsHeartbeat.untrack(ws);
+    this._unregisterClient(ws);
+    ws.close();
+  }
+
+  /**
+  * @name _reapWebSocket
+  * @summary Disconnect a websocket which stopped answering pings or went idle
+  * @private
+  * @param {object} ws - websocket
+  * @param {string} reason - missedPings or idleTimeout
+  * @return {undefined}
+  */
+  _reapWebSocket(ws, reason) {
+    this.debugLog(INFO, `HR: WS reaping connection ${ws.id} on ${ws.ipAddr}, reason: ${reason}`);
+    this.wsReapStats.log(reason);
+    this.wsDisconnect(ws);
+    if (reason === WSHeartbeat.MISSED_PINGS) {
+      // the peer is gone, so don't wait for a close handshake
+      ws.terminate();
+    }
+  }
+
+  /**
+  * @name _verifyReconnectToken
+  * @summary Check the token a client presents to reconnect, logging rejected attempts
+  * @private
+  * @param {object} ws - websocket or other client connection
+  * @param {string} token - reconnect token from a connection message
+  * @param {string} clientID - id the client asks for, if it names one
+  * @return {string} clientID - id the token was issued for, or null when the token isn't valid
+  */
+  _verifyReconnectToken(ws, token, clientID) {
+    try {
+      let tokenID = this.reconnectTokens.verify(token, ws.authResponse);
+      if (clientID && tokenID !== clientID) {
+        throw new Error(`Reconnect token was issued to client ${tokenID}`);
+      }
+      return tokenID;
+    } catch (err) {
+      let from = (ws.id && ws.id !== clientID) ? ` from ${ws.id}` : '';
+      this.log(ERROR, `HR: rejected reconnect token for ${clientID || 'a client'}${from}: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+  * @name _unregisterClient
+  * @summary Remove a local client from the client directory, its topics and its rooms
+  * @description Other routers are sent a wsdir.del message, unless the client
+  *              registry is used and they don't hold subscriptions of the client.
+  * @private
+  * @param {object} ws - websocket or other client connection
+  * @return {undefined}
+  */
+  _unregisterClient(ws) {
+    delete this.wsLocalClients[ws.id];
+    delete this.wsClients[this.serviceIntanceID][ws.id];
+    let topics = this.topics.removeClient(this.serviceIntanceID, ws.id);
+    this._leaveAllRooms(ws);
+
+    if (this.clientRegistry.isEnabled()) {
+      this.clientRegistry.unregister(ws.id)
+        .catch((err) => {
+          this.log(ERROR, `HR: unable to unregister client ${ws.id}: ${err.message}`);
+        });
+      if (!topics.length) {
+        return;
+      }
+    }
+    hydra.sendBroadcastMessage(UMFMessage.createMessage({
+      to: `${this.serviceName}:/`,
+      from: `${this.serviceIntanceID}@${this.serviceName}:/`,
+      type: 'wsdir.del',
+      body: {
+        routerID: this.serviceIntanceID,
+        clientID: ws.id
+      }
+    }));
+  }
+
+  /**
+  * @name _locateClient
+  * @summary Find the router instance a client is connected to
+  * @private
+  * @param {string} clientID - client id
+  * @return {object} promise - resolving to the router id, or null when the client isn't found
+  */
+  _locateClient(clientID) {
+    if (this.clientRegistry.isEnabled()) {
+      return this.clientRegistry.locate(clientID)
+        .catch((err) => {
+          this.log(ERROR, `HR: unable to locate client ${clientID}: ${err.message}`);
+          return null;
+        });
+    }
+    let routerID = Object.keys(this.wsClients).find((id) => !!this.wsClients[id][clientID]);
+    return Promise.resolve(routerID || null);
+  }
+
+  /**
+  * @name _matchRoute
+  * @summary Matches a route url and HTTP method against router table
+  * @private
+  * @param {object} urlData - information about the url request
+  * @param {string} method - HTTP request method
+  * @return {object} routeInfo - object containing matching route info or null.
+  *                  When the path matches but only under other HTTP methods
+  *                  routeInfo.allow lists the methods which are accepted.
+  */
+  _matchRoute(urlData, method) {
+    let matchResult = this.routeMatcher.match(method, urlData.pathname);
+    if (!matchResult) {
+      this.debugLog(INFO, `HR: ${urlData.pathname} was not matched to a route`);
+    } else if (matchResult.allow) {
+      this.debugLog(INFO, `HR: ${urlData.pathname} was not matched to a route for ${method}`);
+    }
+    return matchResult;
+  }
+
+  /**
+  * @name routeRequest
+  * @summary Routes a request to an available service
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @return {object} Promise - promise resolving if success or rejection otherwise
+  */
+  routeRequest(request, response) {
+    return new Promise((resolve, _reject) => {
+      if (request.method === 'OPTIONS') {
+        let extraHeaders = {
+          'headers': {
+            'Content-Type': 'text/plain; charset=utf-8',
+            'Access-Control-Expose-Headers': 'Content-Length, Content-Range'
+          }
+        };
+        serverResponse.sendResponse(ServerResponse.HTTP_NO_CONTENT, response, extraHeaders);
+        return;
+      }
+
+      let tracer = Utils.shortID();
+      if (this.config.debugLogging &&
+          (request.url.indexOf('/v1/router') < 0) &&
+          (request.headers['user-agent'] && request.headers['user-agent'].indexOf('ELB-HealthChecker') < 0)) {
+        this.log(INFO, {
+          tracer: `HR: tracer=${tracer}`,
+          url: request.url,
+          method: request.method,
+          originalUrl: request.originalUrl,
+          callerIP: request.headers['x-forwarded-for'] || request.connection.remoteAddress,
+          body: (request.method === 'POST') ? request.body : {},
+          host: request.headers['host'],
+          userAgent: request.headers['user-agent']
+        });
+      }
+
+      let requestUrl = request.url;
+      let urlPath = `http://${request.headers['host']}${requestUrl}`;
+      let urlData = url.parse(urlPath);
+
+      if (request.url.indexOf('/v1/router') < 0) {
+        if (this.config.debugLogging) {
+          if (request.headers['referer']) {
+            this.log(INFO, `HR: [${tracer}] Access ${urlPath} via ${request.headers['referer']}`);
+            this.log(INFO, request.headers['referer']);
+          } else {
+            this.log(INFO, `HR: [${tracer}] Request for ${urlPath}`);
+          }
+        }
+      }
+
+      let matchResult = this._matchRoute(urlData, request.method);
+      if (matchResult && matchResult.allow) {
+        this.debugLog(ERROR, `HR: [${tracer}] Method ${request.method} not allowed for ${request.url}`);
+        serverResponse.sendResponse(ServerResponse.HTTP_METHOD_NOT_ALLOWED, response, {
+          result: {
+            reason: `Method ${request.method} not allowed for ${urlData.pathname}`
+          },
+          headers: {
+            'Allow': matchResult.allow.join(', ')
+          },
+          tracer
+        });
+        resolve();
+        return;
+      }
+      if (!matchResult) {
+        if (request.headers['referer']) {
+          let k = Object.keys(this.serviceNames);
+          for (let i = 0; i < k.length; i += 1) {
+            let serviceName = k[i];
+            if (request.headers['referer'].indexOf(`/${serviceName}`) > -1) {
+              matchResult = {
+                serviceName
+              };
+              break;
+            }
+          }
+        }
+      }
+
+      let segs = urlData.path.split('/');
+      if (!matchResult) {
+        if (this.serviceNames[segs[1]]) {
+          matchResult = {
+            serviceName: segs[1]
+          };
+          segs.splice(1, 1);
+          requestUrl = segs.join('/');
+          if (requestUrl === '/') {
+            requestUrl = '';
+          }
+        }
+      }
+
+      if (!matchResult) {
+        this.debugLog(ERROR, `HR: [${tracer}] No service match for ${request.url}`);
+        serverResponse.sendNotFound(response);
+        resolve();
+        return;
+      }
+
+      // HEAD requests matched to GET routes are handled with the settings of the GET route
+      matchResult.settingsMethod = (request.method === 'HEAD' && matchResult.method === 'get') ? 'GET' : request.method;
+
+      // is this a hydra-router API call?
+      if (matchResult.serviceName === this.serviceName) {
+        this._handleRouterRequest(urlData, matchResult, request, response);
+        resolve();
+        return;
+      }
+
+      let rewrite = this.pathRewriter.rewrite(requestUrl || '/', matchResult, matchResult.settingsMethod);
+      if (rewrite) {
+        this.debugLog(INFO, `HR: [${tracer}] Rewrote ${requestUrl} to ${rewrite.url} using rewrite rule ${rewrite.rule}`);
+        requestUrl = rewrite.url;
+      }
+
+      this._forwardHTTPRequest(tracer, matchResult, requestUrl, request, response, resolve)
+        .catch((err) => {
+          this.log(FATAL, `HR: [${tracer}] ERROR: ${err.message}`);
+          this.log(FATAL, err);
+          if (!response.headersSent) {
+            serverResponse.sendServerError(response, {
+              result: {
+                reason: err.message
+              },
+              tracer
+            });
+          }
+          resolve();
+        });
+    });
+  }
+
+  /**
+  * @name _forwardHTTPRequest
+  * @summary Forward a request matched to a service
+  * @description Requests are admitted first so bodies of rejected requests are
+  *              never read. Bodies are then either buffered into a UMF message
+  *              or streamed directly to an instance.
+  * @private
+  * @param {string} tracer - tag to mark HTTP call
+  * @param {object} matchResult - route match results
+  * @param {string} requestUrl - request url
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @param {function} resolve - promise resolve handler
+  * @return {object} promise - resolving once the request is handled, rejecting on unexpected errors
+  */
+  async _forwardHTTPRequest(tracer, matchResult, requestUrl, request, response, resolve) {
+    let admission = await this._admitHTTPRequest(tracer, matchResult, request, response);
+    if (!admission) {
+      resolve();
+      return;
+    }
+
+    let proxySettings = this.proxySettings.get(matchResult.serviceName, matchResult.settingsMethod, matchResult.pattern);
+    let maxBodySize = Number(proxySettings.maxBodySize) || 0;
+    if (maxBodySize && Number(request.headers['content-length']) > maxBodySize) {
+      this._sendBodyTooLarge(tracer, response, maxBodySize);
+      resolve();
+      return;
+    }
+
+    if (proxySettings.streaming || (this._hasBody(request) && !this._isUMFBody(request, proxySettings))) {
+      await this._streamHTTPRequest(tracer, admission.claims, maxBodySize, matchResult, requestUrl, request, response, resolve);
+      return;
+    }
+
+    if (!this._hasBody(request)) {
+      await this._processHTTPRequest(tracer, null, admission.claims, matchResult, requestUrl, request, response, resolve);
+      return;
+    }
+
+    let body = await new Promise((bodyResolve) => {
+      let chunks = [];
+      let received = 0;
+      let tooLarge = false;
+      request.on('data', (data) => {
+        received += data.length;
+        if (maxBodySize && received > maxBodySize) {
+          if (!tooLarge) {
+            tooLarge = true;
+            chunks = [];
+            this._sendBodyTooLarge(tracer, response, maxBodySize);
+            resolve();
+          }
+          return;
+        }
+        chunks.push(data);
+      });
+      request.on('end', () => {
+        bodyResolve((tooLarge) ? null : Buffer.concat(chunks));
+      });
+    });
+    if (!body) {
+      return;
+    }
+
+    if (request.headers['content-encoding']) {
+      try {
+        body = await this.compressor.decompress(body, request.headers['content-encoding'], maxBodySize);
+      } catch (err) {
+        if (err.code === Compressor.ERR_TOO_LARGE) {
+          this._sendBodyTooLarge(tracer, response, maxBodySize);
+          resolve();
+          return;
+        }
+        this.debugLog(ERROR, `HR: [${tracer}] Unable to decode request body: ${err.message}`);
+        serverResponse.sendResponse(ServerResponse.HTTP_BAD_REQUEST, response, {
+          result: {
+            reason: `Unable to decode request body: ${err.message}`
+          },
+          tracer
+        });
+        resolve();
+        return;
+      }
+    }
+    await this._processHTTPRequest(tracer, body, admission.claims, matchResult, requestUrl, request, response, resolve);
+  }
+
+  /**
+  * @name _hasBody
+  * @summary Determine whether a request carries a body, whatever its method
+  * @private
+  * @param {object} request - Node HTTP request object
+  * @return {boolean} hasBody - true if the request has a body to read
+  */
+  _hasBody(request) {
+    return request.headers['transfer-encoding'] !== undefined || Number(request.headers['content-length']) > 0;
+  }
+
+  /**
+  * @name _getContentType
+  * @summary Retrieve the media type of a request, without parameters
+  * @private
+  * @param {object} request - Node HTTP request object
+  * @return {string} contentType - lowercase media type or an empty string
+  */
+  _getContentType(request) {
+    return (request.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  }
+
+  /**
+  * @name _isUMFBody
+  * @summary Determine whether a request body can be carried in a UMF message
+  * @description UMF bodies are JSON, so JSON and form bodies are converted.
+  *              Other bodies are proxied byte-for-byte with their content-type,
+  *              except multipart bodies when parseMultipart is set.
+  * @private
+  * @param {object} request - Node HTTP request object
+  * @param {object} proxySettings - proxy settings of the route
+  * @return {boolean} umf - true if the body is sent in a UMF message
+  */
+  _isUMFBody(request, proxySettings) {
+    let contentType = this._getContentType(request);
+    if (contentType === MULTIPART_FORM_DATA) {
+      return !!proxySettings.parseMultipart;
+    }
+    return contentType === '' ||
+      contentType === 'application/json' ||
+      contentType.endsWith('+json') ||
+      contentType === 'application/x-www-form-urlencoded';
+  }
+
+  /**
+  * @name _admitHTTPRequest
+  * @summary Apply rate limits and authentication to a request
+  * @private
+  * @param {string} tracer - tag to mark HTTP call
+  * @param {object} matchResult - route match results
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @return {object} promise - resolving to {claims} when the request may proceed,
+  *                  or to null when a rejection has been sent
+  */
+  async _admitHTTPRequest(tracer, matchResult, request, response) {
+    let serviceName = matchResult.serviceName;
+    this.httpStats.log(serviceName);
 
-      let segs = urlData.path.split('/');
-      if (!matchResult) {
-        if (this.serviceNames[segs[1]]) {
-          matchResult = {
-            serviceName: segs[1]
-          };
-          segs.splice(1, 1);
-          requestUrl = segs.join('/');
-          if (requestUrl === '/') {
-            requestUrl = '';
-          }
-        }
+    let limit = await this._checkRateLimit({
+      serviceName,
+      method: matchResult.settingsMethod,
+      pattern: matchResult.pattern,
+      ip: this._getClientIP(request.headers['x-forwarded-for'], request.connection.remoteAddress),
+      token: request.headers.authorization
+    });
+    if (limit) {
+      let limitHeaders = this.rateLimiter.getHeaders(limit);
+      if (!limit.allowed) {
+        this.debugLog(ERROR, `HR: [${tracer}] Rate limit exceeded for ${serviceName}`);
+        serverResponse.sendResponse(ServerResponse.HTTP_TOO_MANY_REQUEST, response, {
+          result: {
+            reason: 'Too many requests'
+          },
+          headers: Object.assign(limitHeaders, {
+            'Retry-After': limit.retryAfter
+          }),
+          tracer
+        });
+        return null;
       }
+      Object.keys(limitHeaders).forEach((header) => {
+        response.setHeader(header, limitHeaders[header]);
+      });
+    }
 
-      if (!matchResult) {
-        this.debugLog(ERROR, `HR: [${tracer}] No service match for ${request.url}`);
-        serverResponse.sendNotFound(response);
-        resolve();
-        return;
-      }
+    try {
+      let claims = await httpPlugin.authenticate(request, matchResult);
+      return {claims};
+    } catch (err) {
+      let statusCode = err.statusCode || ServerResponse.HTTP_UNAUTHORIZED;
+      this.debugLog(ERROR, `HR: [${tracer}] Authentication failed for ${request.url}: ${err.message}`);
+      serverResponse.sendResponse(statusCode, response, {
+        result: {
+          reason: err.message
+        },
+        headers: (statusCode === ServerResponse.HTTP_UNAUTHORIZED) ? {'WWW-Authenticate': 'Bearer'} : {},
+        tracer
+      });
+      return null;
+    }
+  }
 
-      // is this a hydra-router API call?
-      if (matchResult.serviceName === this.serviceName) {
-        this._handleRouterRequest(urlData, matchResult, request, response);
-        resolve();
-        return;
-      }
+  /**
+  * @name _sendBodyTooLarge
+  * @summary Reject a request whose body exceeds the configured maximum
+  * @private
+  * @param {string} tracer - tag to mark HTTP call
+  * @param {object} response - Node HTTP response object
+  * @param {number} maxBodySize - maximum body size in bytes
+  * @return {undefined}
+  */
+  _sendBodyTooLarge(tracer, response, maxBodySize) {
+    this.debugLog(ERROR, `HR: [${tracer}] Request body exceeds ${maxBodySize} bytes`);
+    serverResponse.sendResponse(ServerResponse.HTTP_TOO_LARGE, response, {
+      result: {
+        reason: `Request body exceeds ${maxBodySize} bytes`
+      },
+      headers: {
+        'Connection': 'close'
+      },
+      tracer
+    });
+  }
 
-      if (request.method === 'POST' || request.method === 'PUT') {
-        let body = [];
-        request.on('data', (data) => {
-          body.push(data);
-        });
-        request.on('end', () => {
-          let newBody = Buffer.concat(body);
-          if (request.headers['content-encoding'] && request.headers['content-encoding'].includes('gzip')) {
-            zlib.gunzip(newBody, (err, unzipped) => {
-              if (err) {
-                this.log(ERROR, err);
-              } else {
-                let newerBody = unzipped.toString('utf-8');
-                this._processHTTPRequest(tracer, newerBody, matchResult.serviceName, requestUrl, request, response, resolve);
-              }
-            });
-          } else {
-            this._processHTTPRequest(tracer, newBody, matchResult.serviceName, requestUrl, request, response, resolve);
-          }
-        });
+  /**
+  * @name _streamHTTPRequest
+  * @summary Stream a request to a service instance and its response back to the client
+  * @description Streamed requests are not retried as their bodies can't be replayed.
+  * @private
+  * @param {string} tracer - tag to mark HTTP call
+  * @param {object} claims - claims of an authenticated request, if any
+  * @param {number} maxBodySize - maximum body size in bytes, 0 for no limit
+  * @param {object} matchResult - route match results
+  * @param {string} requestUrl - request url
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @param {function} resolve - promise resolve handler
+  * @return {undefined}
+  */
+  async _streamHTTPRequest(tracer, claims, maxBodySize, matchResult, requestUrl, request, response, resolve) {
+    let serviceName = matchResult.serviceName;
+    let breaker = this.circuitBreaker.check(serviceName);
+    if (!breaker.allowed) {
+      this.errorStats.log(serviceName);
+      this.debugLog(ERROR, `HR: [${tracer}] ${serviceName} circuit breaker is open`);
+      serverResponse.sendResponse(ServerResponse.HTTP_SERVICE_UNAVAILABLE, response, {
+        result: {
+          reason: `${serviceName} is unavailable`
+        },
+        headers: {
+          'Retry-After': breaker.retryAfter
+        },
+        tracer
+      });
+      resolve();
+      return;
+    }
+
+    let instance = await this._selectInstance(serviceName, {headers: request.headers}, []);
+    if (!instance) {
+      this.circuitBreaker.release(serviceName);
+      this.errorStats.log(serviceName);
+      serverResponse.sendResponse(ServerResponse.HTTP_SERVICE_UNAVAILABLE, response, {
+        result: {
+          reason: `An instance of ${serviceName} is unavailable`
+        },
+        tracer
+      });
+      resolve();
+      return;
+    }
+
+    let rewriteContext = this._getRewriteContext(tracer, claims, matchResult, request);
+    let headers = this.headerRewriter.rewriteRequest(httpPlugin.forwardHeaders(request, matchResult, claims), rewriteContext);
+    let clientIP = request.connection.remoteAddress;
+    headers['x-forwarded-for'] = (headers['x-forwarded-for']) ? `${headers['x-forwarded-for']}, ${clientIP}` : clientIP;
+    headers['x-hydra-tracer'] = tracer;
+    if (this.upstreams.has(serviceName)) {
+      headers['host'] = instance.host;
+    }
+    let timeout = this._getRequestTimeout(serviceName, matchResult.settingsMethod, matchResult.pattern, request.headers);
+
+    this.debugLog(INFO, `HR: [${tracer}] Streaming ${request.method} ${requestUrl} to ${instance.instanceID}@${serviceName} at ${instance.ip}:${instance.port}`);
+    this.loadBalancer.requestStarted(instance.instanceID);
+    try {
+      let statusCode = await this.httpProxy.forward(request, response, {
+        ip: instance.ip,
+        port: instance.port,
+        protocol: instance.protocol,
+        path: (this.upstreams.has(serviceName)) ? this.upstreams.getPath(instance, requestUrl) : requestUrl || '/',
+        headers,
+        responseHeaders: Object.assign({'x-hydra-tracer': tracer}, this.config.cors || {}),
+        rewriteResponseHeaders: (responseHeaders) => this.headerRewriter.rewriteResponse(responseHeaders, rewriteContext),
+        timeout,
+        maxBodySize
+      });
+      if (statusCode > 201) {
+        this.errorStats.log(serviceName);
+      }
+      if (statusCode >= ServerResponse.HTTP_SERVER_ERROR) {
+        this.log(FATAL, `HR: [${tracer}] ${serviceName} reported: HTTP:${statusCode}`);
+        this.circuitBreaker.recordFailure(serviceName, false);
       } else {
-        this._processHTTPRequest(tracer, null, matchResult.serviceName, requestUrl, request, response, resolve);
+        this.circuitBreaker.recordSuccess(serviceName);
+      }
+    } catch (err) {
+      this._handleStreamError(tracer, serviceName, timeout, maxBodySize, err, response);
+    } finally {
+      this.loadBalancer.requestEnded(instance.instanceID);
+    }
+    resolve();
+  }
+
+  /**
+  * @name _handleStreamError
+  * @summary Report a failed streamed request to the breaker and the client
+  * @private
+  * @param {string} tracer - tag to mark HTTP call
+  * @param {string} serviceName - name of target service
+  * @param {number} timeout - idle timeout in seconds
+  * @param {number} maxBodySize - maximum body size in bytes
+  * @param {object} err - error raised by the proxy
+  * @param {object} response - Node HTTP response object
+  * @return {undefined}
+  */
+  _handleStreamError(tracer, serviceName, timeout, maxBodySize, err, response) {
+    if (err.code === HTTPProxy.ERR_TOO_LARGE) {
+      this.circuitBreaker.release(serviceName);
+      if (!response.headersSent) {
+        this._sendBodyTooLarge(tracer, response, maxBodySize);
       }
+      return;
+    }
+    if (response.headersSent || response.destroyed) {
+      // the client went away or the instance failed mid-response
+      this.log(ERROR, `HR: [${tracer}] Streaming ${serviceName} response failed: ${err.message}`);
+      this.circuitBreaker.release(serviceName);
+      response.destroy();
+      return;
+    }
+    this.errorStats.log(serviceName);
+    if (err.code === HTTPProxy.ERR_TIMEOUT) {
+      this.circuitBreaker.recordFailure(serviceName, true);
+      serverResponse.sendResponse(HTTP_GATEWAY_TIMEOUT, response, {
+        statusMessage: 'Gateway Timeout',
+        statusDescription: 'The service did not respond in time',
+        result: {
+          reason: `${serviceName} did not respond within ${timeout} seconds`
+        },
+        tracer
+      });
+      return;
+    }
+    this.log(FATAL, `HR: [${tracer}] Streaming to ${serviceName} failed: ${err.message}`);
+    this.circuitBreaker.recordFailure(serviceName, false);
+    serverResponse.sendResponse(ServerResponse.HTTP_SERVICE_UNAVAILABLE, response, {
+      result: {
+        reason: `${serviceName} is unavailable`
+      },
+      tracer
     });
   }
 
@@ -823,30 +1872,95 @@ class ServiceRouter {
   * @name _processHTTPRequest
   * @summary Process HTTP requests
   * @param {string} tracer - tag to mark HTTP call
-  * @param {object} body - Body for POST and PUT calls
-  * @param {string} serviceName - name of target service
+  * @param {object} body - request body, null if the request has none
+  * @param {object} claims - claims of an authenticated request, if any
+  * @param {object} matchResult - route match results
   * @param {string} requestUrl - request url
   * @param {object} request - Node HTTP request object
   * @param {object} response - Node HTTP response object
   * @param {function} resolve - promise resolve handler
   * @return {undefined}
   */
-  async _processHTTPRequest(tracer, body, serviceName, requestUrl, request, response, resolve) {
-    this.httpStats.log(serviceName);
+  async _processHTTPRequest(tracer, body, claims, matchResult, requestUrl, request, response, resolve) {
+    let serviceName = matchResult.serviceName;
+    let rewriteContext = this._getRewriteContext(tracer, claims, matchResult, request);
+
+    let cacheable = this.responseCache.isEnabled(request, matchResult);
+    if (cacheable) {
+      let cached = await this.responseCache.lookup(request, matchResult)
+        .catch((err) => {
+          this.log(ERROR, `HR: [${tracer}] response cache lookup failed: ${err.message}`);
+          return null;
+        });
+      if (cached) {
+        this.debugLog(INFO, `HR: [${tracer}] Serving ${request.url} from the response cache`);
+        let headers = Object.assign({
+          'x-hydra-tracer': tracer,
+          'x-hydra-cache': 'HIT'
+        }, cached.headers);
+        try {
+          await this._sendServiceResponse(request, response, cached.statusCode, headers, cached.payLoad, rewriteContext);
+        } catch (err) {
+          this._sendProcessingError(tracer, err, response);
+        }
+        resolve();
+        return;
+      }
+    }
+
+    let breaker = this.circuitBreaker.check(serviceName);
+    if (!breaker.allowed) {
+      this.errorStats.log(serviceName);
+      this.debugLog(ERROR, `HR: [${tracer}] ${serviceName} circuit breaker is open`);
+      serverResponse.sendResponse(ServerResponse.HTTP_SERVICE_UNAVAILABLE, response, {
+        result: {
+          reason: `${serviceName} is unavailable`
+        },
+        headers: {
+          'Retry-After': breaker.retryAfter
+        },
+        tracer
+      });
+      resolve();
+      return;
+    }
 
+    // HEAD requests matched to GET routes are sent as GETs, node drops the response body
+    let method = matchResult.settingsMethod.toLowerCase();
     let message = {
-      to: `${serviceName}:[${request.method.toLowerCase()}]${requestUrl}`,
+      to: `${serviceName}:[${method}]${requestUrl}`,
       from: `${this.serviceIntanceID}@${this.serviceName}:/`,
-      headers: Object.assign({}, request.headers)
+      headers: this.headerRewriter.rewriteRequest(httpPlugin.forwardHeaders(request, matchResult, claims), rewriteContext)
     };
 
-    if (request.headers['content-type'] === 'application/x-www-form-urlencoded') {
+    // upstream pools receive bodies as sent by the client
+    let upstream = this.upstreams.has(serviceName);
+    let contentType = this._getContentType(request);
+    if (upstream) {
+      message.body = {};
+    } else if (contentType === 'application/x-www-form-urlencoded') {
       message.headers['content-type'] = 'application/json';
       try {
         message.body = querystring.parse(body.toString());
       } catch (e) {
         message.body = {};
       }
+    } else if (contentType === MULTIPART_FORM_DATA && body) {
+      message.headers['content-type'] = 'application/json';
+      try {
+        message.body = this.multipartParser.parse(Buffer.from(body), request.headers['content-type']);
+      } catch (e) {
+        this.debugLog(ERROR, `HR: [${tracer}] Unable to parse multipart body: ${e.message}`);
+        this.circuitBreaker.release(serviceName);
+        serverResponse.sendResponse(ServerResponse.HTTP_BAD_REQUEST, response, {
+          result: {
+            reason: e.message
+          },
+          tracer
+        });
+        resolve();
+        return;
+      }
     } else {
       message.body = Utils.safeJSONParse(body) || {};
     }
@@ -855,13 +1969,10 @@ class ServiceRouter {
       message.authorization = request.headers['authorization'];
     }
 
-    // don't pass encoding / compression headers to remote service
-    if (message.headers['accept-encoding'] && message.headers['accept-encoding'].includes('gzip')) {
-      delete message.headers['accept-encoding'];
-    }
-    if (message.headers['content-encoding'] && message.headers['content-encoding'].includes('gzip')) {
-      delete message.headers['content-encoding'];
-    }
+    // don't pass encoding / compression headers to remote service, bodies
+    // are decoded here and responses are encoded by the router
+    delete message.headers['accept-encoding'];
+    delete message.headers['content-encoding'];
 
     message.headers['x-hydra-tracer'] = tracer;
     let msg = UMFMessage.createMessage(message).toJSON();
@@ -871,7 +1982,13 @@ class ServiceRouter {
     this.debugLog(INFO, msg);
 
     try {
-      let data = await hydra.makeAPIRequest(msg, {timeout: this.requestTimeout});
+      let data = await this._requestWithRetries(tracer, msg, {
+        headers: request.headers,
+        method: matchResult.settingsMethod,
+        pattern: matchResult.pattern,
+        timeout: this._getRequestTimeout(serviceName, matchResult.settingsMethod, matchResult.pattern, request.headers),
+        body: (upstream && body) ? Buffer.from(body) : null
+      });
       if (data.statusCode > 201) {
         this.errorStats.log(serviceName);
       }
@@ -886,37 +2003,41 @@ class ServiceRouter {
           'x-hydra-tracer': tracer
         }, data.headers, this.config.cors || {});
 
+        let payLoad;
         let ct = headers['content-type'];
-        if (ct && ct.indexOf('json') > -1) {
+        if (ct && ct.indexOf('json') > -1 && !upstream) {
           if (data.headers['cache-control']) {
             headers['cache-control'] = data.headers['cache-control'];
           }
           delete data.headers;
           data = Object.assign(data, Utils.safeJSONParse(data.payLoad));
           delete data.payLoad;
-          let newPayLoad;
-          if (request.headers['accept-encoding'] && request.headers['accept-encoding'].includes('gzip')) {
-            headers['content-encoding'] = 'gzip';
-            newPayLoad = Buffer.from(Utils.safeJSONStringify(data), 'utf-8');
-            zlib.gzip(newPayLoad, (err, compressData) => {
-              headers['content-length'] = Buffer.byteLength(compressData);
-              response.writeHead(data.statusCode, headers);
-              response.end(compressData);
-            });
-          } else {
-            newPayLoad = Utils.safeJSONStringify(data);
-            headers['content-length'] = Buffer.byteLength(newPayLoad);
-            response.writeHead(data.statusCode, headers);
-            response.write(newPayLoad);
-            response.end();
-          }
+          payLoad = Utils.safeJSONStringify(data);
         } else {
-          response.writeHead(data.statusCode, headers);
-          response.write(data.payLoad);
-          response.end();
+          payLoad = data.payLoad;
+        }
+        let entry = null;
+        if (cacheable) {
+          entry = this.responseCache.createEntry(request, matchResult, data.statusCode, headers, payLoad);
+          if (entry) {
+            headers = Object.assign({
+              'x-hydra-tracer': tracer
+            }, entry.headers);
+          }
+          headers['x-hydra-cache'] = 'MISS';
+        }
+        await this._sendServiceResponse(request, response, data.statusCode, headers, payLoad, rewriteContext);
+        // only responses which could be sent are cached
+        if (entry) {
+          this.responseCache.save(entry)
+            .catch((err) => {
+              this.log(ERROR, `HR: [${tracer}] unable to cache response: ${err.message}`);
+            });
         }
       } else {
         serverResponse.sendResponse(data.statusCode, response, {
+          statusMessage: data.statusMessage,
+          statusDescription: data.statusDescription,
           result: {
             reason: data.result.reason
           },
@@ -925,19 +2046,302 @@ class ServiceRouter {
       }
       resolve();
     } catch (err) {
-      this.log(FATAL, `HR: [${tracer}] ERROR: ${err.message}`);
-      this.log(FATAL, err);
-      let msg = err.result.reason;
-      serverResponse.sendResponse(err.statusCode, response, {
-        result: {
-          reason: msg
-        },
-        tracer
-      });
+      this._sendProcessingError(tracer, err, response);
       resolve();
     }
   }
 
+  /**
+  * @name _sendProcessingError
+  * @summary Answer a request which failed while calling a service or sending its response
+  * @private
+  * @param {string} tracer - tag to mark HTTP call
+  * @param {object} err - error
+  * @param {object} response - Node HTTP response object
+  * @return {undefined}
+  */
+  _sendProcessingError(tracer, err, response) {
+    this.log(FATAL, `HR: [${tracer}] ERROR: ${err.message}`);
+    this.log(FATAL, err);
+    if (response.headersSent) {
+      // failed while sending the response, there is nothing left to answer with
+      response.destroy();
+      return;
+    }
+    let msg;
+    if (err.result && err.result.reason) {
+      msg = err.result.reason;
+    } else {
+      msg = err.message;
+    }
+    serverResponse.sendResponse(err.statusCode || ServerResponse.HTTP_SERVER_ERROR, response, {
+      result: {
+        reason: msg
+      },
+      tracer
+    });
+  }
+
+  /**
+  * @name _getRewriteContext
+  * @summary Collect the values available to header rewrite templates
+  * @private
+  * @param {string} tracer - tag to mark HTTP call
+  * @param {object} claims - claims of an authenticated request, if any
+  * @param {object} matchResult - route match results
+  * @param {object} request - Node HTTP request object
+  * @return {object} context - header rewrite context
+  */
+  _getRewriteContext(tracer, claims, matchResult, request) {
+    return {
+      serviceName: matchResult.serviceName,
+      method: matchResult.settingsMethod,
+      pattern: matchResult.pattern,
+      tracer,
+      clientIP: this._getClientIP(request.headers['x-forwarded-for'], request.connection.remoteAddress),
+      claims
+    };
+  }
+
+  /**
+  * @name _sendServiceResponse
+  * @summary Send a service response, answering conditional requests with a 304
+  * @private
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @param {number} statusCode - response status
+  * @param {object} headers - response headers
+  * @param {mixed} payLoad - response payload, buffer or string
+  * @param {object} rewriteContext - header rewrite context
+  * @return {object} promise - resolving once the response is sent
+  */
+  async _sendServiceResponse(request, response, statusCode, headers, payLoad, rewriteContext) {
+    headers = this.headerRewriter.rewriteResponse(headers, rewriteContext);
+    if (statusCode === ServerResponse.HTTP_OK && this.responseCache.isNotModified(request, headers)) {
+      response.writeHead(ServerResponse.HTTP_NOT_MODIFIED, this.responseCache.getNotModifiedHeaders(headers));
+      response.end();
+      return;
+    }
+    let encoded = await this.compressor.compressResponse(request.headers['accept-encoding'], headers, payLoad);
+    response.writeHead(statusCode, encoded.headers);
+    response.end(encoded.payLoad);
+  }
+
+  /**
+  * @name _getClientIP
+  * @summary determine the client address of a request
+  * @description Clients can send any x-forwarded-for header, so entries are only
+  *              used when the router runs behind trusted proxies. Set trustedProxies
+  *              in the config to the number of proxies in front of the router, each
+  *              of which appends the address it received the request from.
+  * @private
+  * @param {string} forwardedFor - x-forwarded-for header, if any
+  * @param {string} remoteAddress - socket address
+  * @return {string} ip - client address
+  */
+  _getClientIP(forwardedFor, remoteAddress) {
+    let hops = Number(this.config.trustedProxies) || 0;
+    let addresses = (forwardedFor) ? forwardedFor.split(',').map((address) => address.trim()) : [];
+    addresses.push(remoteAddress);
+    return addresses[Math.max(addresses.length - 1 - hops, 0)] || 'unknown';
+  }
+
+  /**
+  * @name _checkRateLimit
+  * @summary take a token from the rate limit bucket of a request
+  * @description Limiting fails open, requests are allowed when Redis is unavailable.
+  * @private
+  * @param {object} context - request context: {serviceName, method, pattern, ip, token}
+  * @return {object} promise - resolving to the rate limit result or null if not limited
+  */
+  _checkRateLimit(context) {
+    return this.rateLimiter.consume(context)
+      .catch((err) => {
+        this.log(ERROR, `HR: rate limiter unavailable, allowing request: ${err.message}`);
+        return null;
+      });
+  }
+
+  /**
+  * @name _selectInstance
+  * @summary Select a service instance using the service's load-balancing strategy
+  * @private
+  * @param {string} serviceName - name of target service
+  * @param {object} context - request context passed to the load balancer
+  * @param {array} exclude - instance IDs to avoid when others are present. When
+  *                provided an instance is always selected, as retries need to
+  *                know which instance each attempt went to.
+  * @return {object} instance - promise resolving to a presence entry, or to null
+  *                  when hydra should pick the instance itself. Upstream pools
+  *                  always have an instance selected.
+  */
+  async _selectInstance(serviceName, context, exclude) {
+    let upstream = this.upstreams.has(serviceName);
+    if (!upstream && !exclude && this.loadBalancer.getStrategy(serviceName) === LoadBalancer.STRATEGY_DEFAULT) {
+      return null;
+    }
+    try {
+      let instances = (upstream) ? this.upstreams.getInstances(serviceName) : await hydra.getServicePresence(serviceName);
+      if (exclude && exclude.length) {
+        let remaining = instances.filter((instance) => exclude.indexOf(instance.instanceID) < 0);
+        if (remaining.length) {
+          instances = remaining;
+        }
+      }
+      return this.loadBalancer.selectInstance(serviceName, instances, context);
+    } catch (err) {
+      this.debugLog(ERROR, `HR: Unable to select ${serviceName} instance: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+  * @name _requestWithRetries
+  * @summary Make an API request to a service applying its retry policy
+  * @description Each attempt goes to a newly selected instance, avoiding instances
+  *              which already failed where others are present. Messages already
+  *              addressed to a specific instance are sent once.
+  * @private
+  * @param {string} tracer - tag used to log attempts
+  * @param {object} msg - UMF message in long form
+  * @param {object} context - request context: {headers, key, method, pattern, timeout, body}
+  *                 where body is the raw request body sent to upstream pools
+  * @return {object} promise - resolving to the hydra API response of the last attempt,
+  *                  rejecting with its error when the last attempt failed outright
+  */
+  async _requestWithRetries(tracer, msg, context) {
+    let toRoute = UMFMessage.parseRoute(msg.to);
+    let serviceName = toRoute.serviceName;
+    let policy = this.retryPolicy.getPolicy(serviceName, context.method, context.pattern);
+    let retryable = (toRoute.instance === '') && this.retryPolicy.isRetryable(policy);
+    let to = msg.to;
+    let tried = [];
+    let attempt = 0;
+    let data,
+      error,
+      retry;
+    do {
+      attempt += 1;
+      let instance = null;
+      if (toRoute.instance === '') {
+        instance = await this._selectInstance(serviceName, context, (retryable) ? tried : null);
+      }
+      msg.to = (instance) ? `${instance.instanceID}@${to}` : to;
+      if (retryable) {
+        if (msg.headers) {
+          msg.headers['x-hydra-attempt'] = `${attempt}`;
+        }
+        this.debugLog(INFO, `HR: [${tracer}] attempt ${attempt} of ${policy.maxAttempts} calling ${msg.to}`);
+      }
+
+      try {
+        data = await this._makeServiceRequest(msg, instance, context.timeout, context.body);
+        error = null;
+      } catch (err) {
+        // requests which fail outright are retried like an unavailable instance
+        data = {statusCode: ServerResponse.HTTP_SERVICE_UNAVAILABLE};
+        error = err;
+      }
+      let outcome = (error) ? `failed with ${error.message}` : `returned HTTP:${data.statusCode}`;
+
+      retry = retryable && this.retryPolicy.shouldRetry(policy, attempt, data.statusCode);
+      if (retry && !this.circuitBreaker.check(serviceName).allowed) {
+        this.log(ERROR, `HR: [${tracer}] attempt ${attempt} of ${policy.maxAttempts} to ${msg.to} ${outcome}, not retrying as ${serviceName} circuit breaker is open`);
+        retry = false;
+      }
+      if (retry) {
+        if (instance) {
+          tried.push(instance.instanceID);
+        }
+        let delay = this.retryPolicy.getDelay(policy, attempt);
+        this.log(ERROR, `HR: [${tracer}] attempt ${attempt} of ${policy.maxAttempts} to ${msg.to} ${outcome}, retrying in ${delay}ms`);
+        await Promise.delay(delay);
+      }
+    } while (retry);
+    if (error) {
+      throw error;
+    }
+    return data;
+  }
+
+  /**
+  * @name _getRequestTimeout
+  * @summary Determine the timeout of a proxied request
+  * @description Timeouts are set per service and route in the timeouts config
+  *              section and default to requestTimeout. When maxClientTimeout is
+  *              set clients may pick their own timeout using the clientHeader,
+  *              capped at maxClientTimeout.
+  * @private
+  * @param {string} serviceName - name of target service
+  * @param {string} method - HTTP method
+  * @param {string} pattern - matched router table pattern, if any
+  * @param {object} headers - client request headers, if any
+  * @return {number} timeout - timeout in seconds
+  */
+  _getRequestTimeout(serviceName, method, pattern, headers) {
+    let settings = this.timeoutSettings.get(serviceName, method, pattern);
+    let timeout = Number(settings.timeout) || this.requestTimeout;
+    let maxClientTimeout = Number(settings.maxClientTimeout);
+    if (headers && maxClientTimeout > 0) {
+      let clientTimeout = Number(headers[settings.clientHeader.toLowerCase()]);
+      if (clientTimeout > 0) {
+        timeout = Math.min(clientTimeout, maxClientTimeout);
+      }
+    }
+    return timeout;
+  }
+
+  /**
+  * @name _makeServiceRequest
+  * @summary Make an API request to a service, tracking requests in flight per
+  *          instance and reporting the outcome to the service's circuit breaker
+  * @description Requests to upstream pools are sent directly over HTTP rather
+  *              than through hydra.
+  * @private
+  * @param {object} msg - UMF message
+  * @param {object} instance - selected presence entry or null
+  * @param {number} timeout - request timeout in seconds
+  * @param {buffer} body - raw request body for upstream pools, optional
+  * @return {object} promise - resolving to the hydra API response, or to a
+  *                  504 response object if the service didn't respond in time
+  */
+  async _makeServiceRequest(msg, instance, timeout, body) {
+    let serviceName = UMFMessage.parseRoute(msg.to).serviceName;
+    timeout = timeout || this.requestTimeout;
+    if (instance) {
+      this.loadBalancer.requestStarted(instance.instanceID);
+    }
+    try {
+      let request = (this.upstreams.has(serviceName)) ?
+        this.upstreams.request(instance, msg, body, timeout) :
+        hydra.makeAPIRequest(msg, {timeout});
+      let data = await Promise.resolve(request).timeout(timeout * 1000);
+      if (data.statusCode >= ServerResponse.HTTP_SERVER_ERROR) {
+        this.circuitBreaker.recordFailure(serviceName, false);
+      } else {
+        this.circuitBreaker.recordSuccess(serviceName);
+      }
+      return data;
+    } catch (err) {
+      if (err instanceof Promise.TimeoutError) {
+        this.circuitBreaker.recordFailure(serviceName, true);
+        return serverResponse.createResponseObject(HTTP_GATEWAY_TIMEOUT, {
+          statusMessage: 'Gateway Timeout',
+          statusDescription: 'The service did not respond in time',
+          result: {
+            reason: `${serviceName} did not respond within ${timeout} seconds`
+          }
+        });
+      }
+      this.circuitBreaker.recordFailure(serviceName, false);
+      throw err;
+    } finally {
+      if (instance) {
+        this.loadBalancer.requestEnded(instance.instanceID);
+      }
+    }
+  }
+
   /**
   * @name _handleRouterRequest
   * @summary Handles requests intended for this router service.
@@ -949,6 +2353,16 @@ class ServiceRouter {
   * @return {undefined}
   */
   _handleRouterRequest(urlData, matchResult, request, response) {
+    // client transports are open to clients, unlike the router's own API
+    if (matchResult.pattern === '/v1/router/events') {
+      this._handleEventStream(request, response);
+      return;
+    }
+    if (matchResult.pattern.indexOf('/v1/router/poll') === 0) {
+      this._handleLongPoll(matchResult, request, response);
+      return;
+    }
+
     let allowRouterCall = !(this.config.disableRouterEndpoint === true);
     if (allowRouterCall && this.config.routerToken !== '') {
       let qs = querystring.parse(urlData.query);
@@ -1040,11 +2454,17 @@ class ServiceRouter {
         this._handleRouteListNodes(response);
       } else if (matchResult.params.thing === 'wsdir') {
         this._handleRouteListWSDir(response);
+      } else if (matchResult.params.thing === 'topics') {
+        this._handleRouteListTopics(response);
+      } else if (matchResult.params.thing === 'rooms') {
+        this._handleRouteListRooms(response);
       } else {
         serverResponse.sendNotFound(response);
       }
     } else if (matchResult.pattern === '/v1/router/stream/:name') {
       this._handleStreamMessage(request, response);
+    } else if (matchResult.pattern === '/v1/router/rooms/:room') {
+      this._handleRouteRoomMembers(matchResult.params.room, response);
     } else if (matchResult.pattern.indexOf('/v1/router/clear') > -1) {
       this._clearServices(response);
     } else if (matchResult.pattern.indexOf('/v1/router/health') > -1) {
@@ -1058,18 +2478,230 @@ class ServiceRouter {
       this._handleRouteLog(response);
     } else if (matchResult.pattern.indexOf('/v1/router/stats') > -1) {
       this._handleRouteStats(response);
+    } else if (matchResult.pattern.indexOf('/v1/router/breakers') > -1) {
+      this._handleRouteBreakers(response);
+    } else if (matchResult.pattern.indexOf('/v1/router/cache') > -1) {
+      this._handleRouteCache(urlData, request, response);
     } else if (matchResult.pattern.indexOf('/v1/router/message') > -1) {
       this._handleMessage(request, response);
     } else if (matchResult.pattern.indexOf('/v1/router/send') > -1) {
       this._handleSendMessage(request, response);
     } else if (matchResult.pattern.indexOf('/v1/router/queue') > -1) {
       this._handleQueueMessage(request, response);
+    } else if (matchResult.pattern.indexOf('/v1/router/publish') > -1) {
+      this._handlePublishMessage(request, response);
+    } else if (matchResult.pattern.indexOf('/v1/router/broadcast') > -1) {
+      this._handleBroadcastMessage(request, response);
     } else {
       serverResponse.sendNotFound(response);
       this.log(INFO, `HR: ${matchResult.pattern} was not matched to a route`);
     }
   }
 
+  /**
+  * @name _handleEventStream
+  * @summary Connect a Server-Sent Events client. /v1/router/events
+  * @description The client is registered like a websocket client and receives
+  *              the connection message as its first event. Clients reconnecting
+  *              with a Last-Event-ID header holding a valid reconnect token keep
+  *              their id and receive the messages queued while they were away.
+  * @private
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @return {undefined}
+  */
+  async _handleEventStream(request, response) {
+    let client = new SSEClient(response, this.config);
+    response.on('close', () => {
+      if (client.id && !client.closed) {
+        this.wsDisconnect(client);
+      }
+    });
+    if (!await this.wsAuthenticateConnection(client, request)) {
+      serverResponse.sendResponse(ServerResponse.HTTP_UNAUTHORIZED, response, {
+        result: {
+          reason: 'Authentication required'
+        }
+      });
+      return;
+    }
+    if (response.writableEnded || response.destroyed) {
+      return;
+    }
+    client.open(this.config.cors);
+
+    let reconnectToken = SSEClient.parseLastEventID(request.headers['last-event-id']);
+    let clientID = (reconnectToken) ? this._verifyReconnectToken(client, reconnectToken) : null;
+    if (clientID) {
+      this.debugLog(INFO, `HR: SSE client reconnecting to ${clientID}`);
+      if (this.wsLocalClients[clientID]) {
+        this.wsDisconnect(this.wsLocalClients[clientID]);
+      }
+    }
+    this.sendConnectMessage(client, clientID, request);
+    if (clientID) {
+      this._drainClientQueue(client);
+    }
+  }
+
+  /**
+  * @name _handleLongPoll
+  * @summary Handle long-polling client requests. /v1/router/poll
+  * @description POST /v1/router/poll connects a client and returns its connection
+  *              message. With the client id, GET waits for messages, POST routes
+  *              a UMF message as if it was received on a websocket and DELETE
+  *              disconnects the client. Polls return a list of UMF messages.
+  *              Requests for a client id must carry the client's reconnect token
+  *              in the x-hydra-reconnect-token header, since client ids are not
+  *              secret. Polling for an id unknown to this router registers the
+  *              client again, so clients may be served by any router.
+  * @private
+  * @param {object} matchResult - route match results
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @return {undefined}
+  */
+  async _handleLongPoll(matchResult, request, response) {
+    let clientID = matchResult.params.id;
+    let client = (clientID) ? this.wsLocalClients[clientID] : null;
+    if (client && !(client instanceof LongPollClient)) {
+      serverResponse.sendResponse(ServerResponse.HTTP_CONFLICT, response, {
+        result: {
+          reason: `Client ${clientID} is not a polling client`
+        }
+      });
+      return;
+    }
+    if (client && !this._verifyReconnectToken(client, request.headers[RECONNECT_TOKEN_HEADER], clientID)) {
+      serverResponse.sendForbidden(response, {
+        result: {
+          reason: 'Invalid reconnect token'
+        }
+      });
+      return;
+    }
+    if (request.method === 'DELETE') {
+      if (client) {
+        this.wsDisconnect(client);
+      }
+      serverResponse.sendOk(response);
+      return;
+    }
+
+    if (!client) {
+      client = new LongPollClient(this.config, this.queuer, HR_MESSAGE_QUEUE, (expired) => {
+        this.debugLog(INFO, `HR: polling client ${expired.id} stopped polling`);
+        this.wsDisconnect(expired);
+      });
+      if (!await this.wsAuthenticateConnection(client, request)) {
+        serverResponse.sendResponse(ServerResponse.HTTP_UNAUTHORIZED, response, {
+          result: {
+            reason: 'Authentication required'
+          }
+        });
+        return;
+      }
+      if (!clientID) {
+        // the connection message answers the connect request
+        client.wait(response, []);
+        this.sendConnectMessage(client, null, request);
+        return;
+      }
+      if (!this._verifyReconnectToken(client, request.headers[RECONNECT_TOKEN_HEADER], clientID)) {
+        serverResponse.sendForbidden(response, {
+          result: {
+            reason: 'Invalid reconnect token'
+          }
+        });
+        return;
+      }
+      this.sendConnectMessage(client, clientID, request);
+    }
+
+    client.touch();
+    if (request.method === 'POST') {
+      this._routeLongPollMessage(client, request, response);
+      return;
+    }
+    let messages = await this._dequeueClientMessages(client);
+    client.wait(response, messages);
+  }
+
+  /**
+  * @name _routeLongPollMessage
+  * @summary Read a message posted by a polling client and route it
+  * @description Messages larger than the longPolling maxMessageSize setting are
+  *              rejected with a 413 without being read in full.
+  * @private
+  * @param {object} client - LongPollClient
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @return {undefined}
+  */
+  _routeLongPollMessage(client, request, response) {
+    let maxMessageSize = Number(client.settings.maxMessageSize) || 0;
+    if (maxMessageSize && Number(request.headers['content-length']) > maxMessageSize) {
+      this._sendBodyTooLarge(client.id, response, maxMessageSize);
+      return;
+    }
+    let body = [];
+    let received = 0;
+    let tooLarge = false;
+    request.on('data', (data) => {
+      received += data.length;
+      if (maxMessageSize && received > maxMessageSize) {
+        if (!tooLarge) {
+          tooLarge = true;
+          body = [];
+          this._sendBodyTooLarge(client.id, response, maxMessageSize);
+        }
+        return;
+      }
+      body.push(data);
+    });
+    request.on('end', async() => {
+      if (tooLarge) {
+        return;
+      }
+      try {
+        await this.routeWSMessage(client, Buffer.concat(body).toString('utf8'));
+        serverResponse.sendResponse(ServerResponse.HTTP_ACCEPTED, response);
+      } catch (err) {
+        this.log(ERROR, `HR: unable to route message of polling client ${client.id}: ${err.message}`);
+        serverResponse.sendServerError(response, {
+          result: {
+            reason: err.message
+          }
+        });
+      }
+    });
+  }
+
+  /**
+  * @name _dequeueClientMessages
+  * @summary Take the messages waiting in a polling client's queue
+  * @private
+  * @param {object} client - LongPollClient
+  * @return {object} promise - resolving to a list of serialized messages
+  */
+  async _dequeueClientMessages(client) {
+    let queueName = client.getQueueName();
+    let messages = [];
+    try {
+      while (messages.length < client.settings.maxMessages) {
+        let obj = await this.queuer.dequeue(queueName);
+        if (!obj) {
+          break;
+        }
+        messages.push(Utils.safeJSONStringify(UMFMessage.createMessage(obj).toShort()));
+        await this.queuer.complete(queueName, obj);
+      }
+    } catch (err) {
+      this.log(ERROR, `HR: unable to read message queue of ${client.id}: ${err.message}`);
+    }
+    return messages;
+  }
+
   /**
   * @name _handleRouterRequestWS
   * @summary Handle router request via websockets
@@ -1097,9 +2729,16 @@ class ServiceRouter {
         this._handleRouteListNodes(null, ws, responseMessage);
       } else if (route.apiRoute.indexOf('wsdir') < -1) {
         this._handleRouteListWSDir(null, ws, responseMessage);
+      } else if (route.apiRoute.indexOf('topics') > -1) {
+        this._handleRouteListTopics(null, ws, responseMessage);
+      } else if (route.apiRoute.indexOf('rooms') > -1) {
+        this._handleRouteListRooms(null, ws, responseMessage);
       } else {
         err = true;
       }
+    } else if (route.apiRoute.indexOf('/v1/router/rooms/') > -1) {
+      let room = decodeURIComponent(url.parse(route.apiRoute).pathname.substring('/v1/router/rooms/'.length));
+      this._handleRouteRoomMembers(room, null, ws, responseMessage);
     } else if (route.apiRoute.indexOf('/v1/router/clear') > -1) {
       this._clearServices(null, ws, responseMessage);
     } else if (route.apiRoute.indexOf('/v1/router/health') > -1) {
@@ -1110,6 +2749,8 @@ class ServiceRouter {
       this._handleRouteVersion(null, ws, responseMessage);
     } else if (route.apiRoute.indexOf('/v1/router/stats') > -1) {
       this._handleRouteStats(null, ws, responseMessage);
+    } else if (route.apiRoute.indexOf('/v1/router/breakers') > -1) {
+      this._handleRouteBreakers(null, ws, responseMessage);
     } else {
       err = true;
     }
@@ -1201,11 +2842,13 @@ class ServiceRouter {
     let httpStats = this.httpStats.getRawStats();
     let wsStats = this.wsStats.getRawStats();
     let errorStats = this.errorStats.getRawStats();
+    let wsReapStats = this.wsReapStats.getRawStats();
 
     let result = {
       httpStats,
       wsStats,
-      errorStats
+      errorStats,
+      wsReapStats
     };
 
     if (response) {
@@ -1218,9 +2861,70 @@ class ServiceRouter {
     }
   }
 
+  /**
+  * @name _handleRouteBreakers
+  * @summary Handle circuit breaker state requests. /v1/router/breakers
+  * @private
+  * @param {object} response - Node HTTP response object
+  * @param {object} ws - websocket object
+  * @param {object} responseMessage - WS message to use for response
+  * @return {undefined}
+  */
+  _handleRouteBreakers(response, ws, responseMessage) {
+    let result = this.circuitBreaker.getBreakers();
+    if (response) {
+      serverResponse.sendOk(response, {
+        result
+      });
+    } else {
+      responseMessage.body = result;
+      this._sendWSMessage(ws, responseMessage.toJSON());
+    }
+  }
+
+  /**
+  * @name _handleRouteCache
+  * @summary Handle response cache requests. /v1/router/cache
+  * @description GET returns cache statistics. DELETE purges cached responses,
+  *              optionally limited by the service and url query parameters.
+  * @private
+  * @param {object} urlData - information about the url request
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @return {undefined}
+  */
+  _handleRouteCache(urlData, request, response) {
+    if (request.method !== 'DELETE') {
+      serverResponse.sendOk(response, {
+        result: this.responseCache.getStats()
+      });
+      return;
+    }
+    let query = querystring.parse(urlData.query);
+    this.responseCache.purge(query.service, query.url)
+      .then((purged) => {
+        this.log(INFO, `HR: purged ${purged} response cache keys`);
+        serverResponse.sendOk(response, {
+          result: {
+            purged
+          }
+        });
+      })
+      .catch((err) => {
+        this.log(ERROR, `HR: unable to purge response cache: ${err.message}`);
+        serverResponse.sendServerError(response, {
+          result: {
+            reason: err.message
+          }
+        });
+      });
+  }
+
   /**
   * @name _handleRouteListRoutes
   * @summary Handle list routes requests. /v1/router/list/routes.
+  * @description The HTTP response also carries the precedence list, which is the
+  *              order in which routes are matched against incoming requests.
   * @private
   * @param {object} response - Node HTTP response object
   * @param {object} ws - websocket object
@@ -1232,7 +2936,7 @@ class ServiceRouter {
     for (let route of Object.keys(this.routerTable)) {
       let routes = [];
       for (let routeElement of this.routerTable[route]) {
-        routes.push(routeElement.pattern);
+        routes.push(routeElement.method ? `[${routeElement.method}]${routeElement.pattern}` : routeElement.pattern);
       }
       routeList.push({
         serviceName: route,
@@ -1241,7 +2945,8 @@ class ServiceRouter {
     }
     if (response) {
       serverResponse.sendOk(response, {
-        result: routeList
+        result: routeList,
+        precedence: this.routeMatcher.getRoutes()
       });
     } else {
       responseMessage.body = routeList;
@@ -1362,6 +3067,73 @@ class ServiceRouter {
     }
   }
 
+  /**
+  * @name _handleRouteListTopics
+  * @summary Handle request to list topics with their subscriber counts. /v1/router/list/topics.
+  * @private
+  * @param {object} response - Node HTTP response object
+  * @param {object} ws - websocket object
+  * @param {object} responseMessage - WS message to use for response
+  * @return {undefined}
+  */
+  _handleRouteListTopics(response, ws, responseMessage) {
+    let counts = this.topics.getCounts();
+    if (response) {
+      serverResponse.sendOk(response, {
+        result: counts
+      });
+    } else {
+      responseMessage.body = counts;
+      this._sendWSMessage(ws, responseMessage.toJSON());
+    }
+  }
+
+  /**
+  * @name _handleRouteListRooms
+  * @summary Handle request to list rooms with their member counts. /v1/router/list/rooms.
+  * @private
+  * @param {object} response - Node HTTP response object
+  * @param {object} ws - websocket object
+  * @param {object} responseMessage - WS message to use for response
+  * @return {undefined}
+  */
+  _handleRouteListRooms(response, ws, responseMessage) {
+    let counts = this.rooms.getCounts();
+    if (response) {
+      serverResponse.sendOk(response, {
+        result: counts
+      });
+    } else {
+      responseMessage.body = counts;
+      this._sendWSMessage(ws, responseMessage.toJSON());
+    }
+  }
+
+  /**
+  * @name _handleRouteRoomMembers
+  * @summary Handle request to list the members of a room. /v1/router/rooms/:room.
+  * @private
+  * @param {string} room - room name
+  * @param {object} response - Node HTTP response object
+  * @param {object} ws - websocket object
+  * @param {object} responseMessage - WS message to use for response
+  * @return {undefined}
+  */
+  _handleRouteRoomMembers(room, response, ws, responseMessage) {
+    let result = {
+      room,
+      members: this.rooms.getMembers(room)
+    };
+    if (response) {
+      serverResponse.sendOk(response, {
+        result
+      });
+    } else {
+      responseMessage.body = result;
+      this._sendWSMessage(ws, responseMessage.toJSON());
+    }
+  }
+
   /**
   * @name _handleMessage
   * @summary Route incoming UMF message.
@@ -1472,6 +3244,84 @@ class ServiceRouter {
     });
   }
 
+  /**
+  * @name _handlePublishMessage
+  * @summary Publish an incoming HTTP UMF message to the subscribers of its topic
+  * @private
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @return {undefined}
+  */
+  _handlePublishMessage(request, response) {
+    let umf = '';
+    request.on('data', (data) => {
+      umf += data;
+    });
+    request.on('end', () => {
+      try {
+        umf = UMFMessage.createMessage(Utils.safeJSONParse(umf));
+      } catch (err) {
+        this.log(FATAL, `HR: ${err.message}`);
+        this.log(FATAL, err);
+        serverResponse.sendInvalidRequest(response);
+        return;
+      }
+      if (!umf.body || !this._isValidName(umf.body.topic)) {
+        serverResponse.sendInvalidRequest(response, {
+          result: {
+            reason: 'Message body is missing a topic'
+          }
+        });
+        return;
+      }
+      this.publish(umf);
+      serverResponse.sendOk(response, {
+        result: {
+          mid: umf.mid
+        }
+      });
+    });
+  }
+
+  /**
+  * @name _handleBroadcastMessage
+  * @summary Broadcast an incoming HTTP UMF message to the members of its room
+  * @private
+  * @param {object} request - Node HTTP request object
+  * @param {object} response - Node HTTP response object
+  * @return {undefined}
+  */
+  _handleBroadcastMessage(request, response) {
+    let umf = '';
+    request.on('data', (data) => {
+      umf += data;
+    });
+    request.on('end', () => {
+      try {
+        umf = UMFMessage.createMessage(Utils.safeJSONParse(umf));
+      } catch (err) {
+        this.log(FATAL, `HR: ${err.message}`);
+        this.log(FATAL, err);
+        serverResponse.sendInvalidRequest(response);
+        return;
+      }
+      if (!umf.body || !this._isValidName(umf.body.room)) {
+        serverResponse.sendInvalidRequest(response, {
+          result: {
+            reason: 'Message body is missing a room'
+          }
+        });
+        return;
+      }
+      this.broadcastToRoom(umf);
+      serverResponse.sendOk(response, {
+        result: {
+          mid: umf.mid
+        }
+      });
+    });
+  }
+
   /**
   * @name _handleStreamMessage
   * @summary Route incoming HTTP UMF message to a named channel stream
@@ -1574,21 +3424,10 @@ class ServiceRouter {
       Object.keys(routesObj).forEach((serviceName) => {
         this.serviceNames[serviceName] = true;
         if (!service || service == serviceName) {
-          let newRouteItems = [];
-          let routes = routesObj[serviceName];
-          routes.forEach((routePattern) => {
-            let idx = routePattern.indexOf(']');
-            if (idx > -1) {
-              routePattern = routePattern.substring(idx + 1);
-            }
-            newRouteItems.push({
-              pattern: routePattern,
-              route: new Route(routePattern)
-            });
-          });
-          this.routerTable[serviceName] = newRouteItems;
+          this.routerTable[serviceName] = RouteMatcher.createRouteItems(routesObj[serviceName]);
         }
       });
+      this.routeMatcher.compile(this.routerTable);
     } catch (err) {
       this.log(FATAL, `HR: ${err.message}`);
       this.log(FATAL, err);
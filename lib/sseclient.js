@@ -0,0 +1,105 @@
+'use strict';
+
+const DEFAULTS = {
+  heartbeatInterval: 15, // seconds between keep-alive comments, 0 to disable
+  retry: 3000 // milliseconds browsers wait before reconnecting
+};
+
+/**
+* @name SSEClient
+* @summary A Server-Sent Events connection which can stand in for a websocket
+* @description Exposes the send and close methods the router uses on websockets,
+*              so SSE clients are registered in the client directory and receive
+*              forwarded messages like websocket clients do. Each message is sent
+*              as an event whose id is <reconnectToken>:<sequence>, which browsers
+*              send back in the Last-Event-ID header when they reconnect.
+*
+*              Configured in the eventStream config section:
+*
+*              "eventStream": {
+*                "heartbeatInterval": 15,
+*                "retry": 3000
+*              }
+* @return {undefined}
+*/
+class SSEClient {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @param {object} response - Node HTTP response object
+  * @param {object} config - configuration object
+  * @return {undefined}
+  */
+  constructor(response, config) {
+    this.response = response;
+    this.settings = Object.assign({}, DEFAULTS, config.eventStream);
+    this.id = null;
+    this.reconnectToken = null;
+    this.sequence = 0;
+    this.closed = false;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+  * @name open
+  * @summary send the response headers and start the keep-alive heartbeat
+  * @param {object} headers - additional response headers
+  * @return {undefined}
+  */
+  open(headers) {
+    this.response.writeHead(200, Object.assign({
+      'content-type': 'text/event-stream; charset=utf-8',
+      'cache-control': 'no-cache, no-transform',
+      'connection': 'keep-alive',
+      'x-accel-buffering': 'no' // keep nginx from buffering events
+    }, headers));
+    this.response.write(`retry: ${this.settings.retry}\n\n`);
+    if (this.settings.heartbeatInterval > 0) {
+      this.heartbeatTimer = setInterval(() => {
+        this.response.write(': keep-alive\n\n');
+      }, this.settings.heartbeatInterval * 1000);
+    }
+  }
+
+  /**
+  * @name send
+  * @summary send a message as an event
+  * @param {string} data - serialized message
+  * @return {undefined}
+  */
+  send(data) {
+    if (this.closed) {
+      throw new Error('Event stream is closed');
+    }
+    this.sequence++;
+    let lines = String(data).split(/\r\n|\r|\n/).map((line) => `data: ${line}`).join('\n');
+    this.response.write(`id: ${this.reconnectToken}:${this.sequence}\n${lines}\n\n`);
+  }
+
+  /**
+  * @name close
+  * @summary end the event stream
+  * @return {undefined}
+  */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    clearInterval(this.heartbeatTimer);
+    this.response.end();
+  }
+
+  /**
+  * @name parseLastEventID
+  * @summary extract the reconnect token from a Last-Event-ID header
+  * @param {string} lastEventID - Last-Event-ID request header
+  * @return {string} reconnectToken - reconnect token or null
+  */
+  static parseLastEventID(lastEventID) {
+    let idx = (lastEventID) ? lastEventID.lastIndexOf(':') : -1;
+    return (idx > 0) ? lastEventID.substring(0, idx) : null;
+  }
+}
+
+module.exports = SSEClient;
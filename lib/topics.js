@@ -0,0 +1,155 @@
+'use strict';
+
+/**
+* @name Topics
+* @summary Directory of the topic subscriptions held by router instances
+* @description Subscriptions are kept per router instance, like the client
+*              directory, so each router knows which of its own clients to
+*              deliver a published message to and whether any other router
+*              instance has subscribers for the topic:
+*
+*              {
+*                "<routerID>": {
+*                  "<topic>": {"<clientID>": 1}
+*                }
+*              }
+*
+*              Topic names come from clients, so the directory is built from
+*              objects without a prototype.
+* @return {undefined}
+*/
+class Topics {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.directory = Object.create(null);
+  }
+
+  /**
+  * @name subscribe
+  * @summary add a client to a topic
+  * @param {string} routerID - router instance the client is connected to
+  * @param {string} clientID - client id
+  * @param {string} topic - topic name
+  * @return {boolean} added - false when the client was already subscribed
+  */
+  subscribe(routerID, clientID, topic) {
+    let topics = this.directory[routerID] = this.directory[routerID] || Object.create(null);
+    let subscribers = topics[topic] = topics[topic] || Object.create(null);
+    if (subscribers[clientID]) {
+      return false;
+    }
+    subscribers[clientID] = 1;
+    return true;
+  }
+
+  /**
+  * @name unsubscribe
+  * @summary remove a client from a topic
+  * @param {string} routerID - router instance the client is connected to
+  * @param {string} clientID - client id
+  * @param {string} topic - topic name
+  * @return {boolean} removed - false when the client wasn't subscribed
+  */
+  unsubscribe(routerID, clientID, topic) {
+    let topics = this.directory[routerID];
+    if (!topics || !topics[topic] || !topics[topic][clientID]) {
+      return false;
+    }
+    delete topics[topic][clientID];
+    if (!Object.keys(topics[topic]).length) {
+      delete topics[topic];
+    }
+    return true;
+  }
+
+  /**
+  * @name removeClient
+  * @summary remove a client from all of its topics
+  * @param {string} routerID - router instance the client was connected to
+  * @param {string} clientID - client id
+  * @return {array} topics - names of the topics the client was removed from
+  */
+  removeClient(routerID, clientID) {
+    return Object.keys(this.directory[routerID] || {}).filter((topic) => {
+      return this.unsubscribe(routerID, clientID, topic);
+    });
+  }
+
+  /**
+  * @name getRouterTopics
+  * @summary retrieve the subscriptions held by a router instance
+  * @param {string} routerID - router instance
+  * @return {object} topics - topic names mapped to subscribed client ids
+  */
+  getRouterTopics(routerID) {
+    return this.directory[routerID] || Object.create(null);
+  }
+
+  /**
+  * @name setRouterTopics
+  * @summary replace the subscriptions held by a router instance
+  * @param {string} routerID - router instance
+  * @param {object} topics - topic names mapped to subscribed client ids
+  * @return {undefined}
+  */
+  setRouterTopics(routerID, topics) {
+    let copy = Object.create(null);
+    Object.keys(topics || {}).forEach((topic) => {
+      copy[topic] = Object.assign(Object.create(null), topics[topic]);
+    });
+    this.directory[routerID] = copy;
+  }
+
+  /**
+  * @name removeRouter
+  * @summary forget the subscriptions held by a router instance
+  * @param {string} routerID - router instance
+  * @return {undefined}
+  */
+  removeRouter(routerID) {
+    delete this.directory[routerID];
+  }
+
+  /**
+  * @name getSubscribers
+  * @summary retrieve the clients of a router instance subscribed to a topic
+  * @param {string} routerID - router instance
+  * @param {string} topic - topic name
+  * @return {array} clientIDs - subscribed client ids
+  */
+  getSubscribers(routerID, topic) {
+    return Object.keys(this.getRouterTopics(routerID)[topic] || {});
+  }
+
+  /**
+  * @name hasRemoteSubscribers
+  * @summary determine whether other router instances have subscribers for a topic
+  * @param {string} routerID - router instance to leave out
+  * @param {string} topic - topic name
+  * @return {boolean} result - true when another router has subscribers
+  */
+  hasRemoteSubscribers(routerID, topic) {
+    return Object.keys(this.directory).some((id) => id !== routerID && this.getSubscribers(id, topic).length > 0);
+  }
+
+  /**
+  * @name getCounts
+  * @summary count the subscribers of each topic across all router instances
+  * @return {object} counts - topic names mapped to subscriber counts
+  */
+  getCounts() {
+    let counts = Object.create(null);
+    Object.keys(this.directory).forEach((routerID) => {
+      Object.keys(this.directory[routerID]).forEach((topic) => {
+        counts[topic] = (counts[topic] || 0) + Object.keys(this.directory[routerID][topic]).length;
+      });
+    });
+    return counts;
+  }
+}
+
+module.exports = Topics;
@@ -0,0 +1,199 @@
+'use strict';
+
+const Promise = require('bluebird');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const hydra = require('hydra');
+const UMFMessage = hydra.getUMFMessageHelper();
+const Utils = hydra.getUtilsHelper();
+const ServerResponse = hydra.getServerResponseHelper();
+const serverResponse = new ServerResponse;
+const HTTPProxy = require('./httpproxy');
+
+const SOCKET_TIMEOUT_GRACE = 1000; // milliseconds, lets callers report their own timeout first
+
+/**
+* @name Upstreams
+* @summary Plain HTTP backends which are not hydra services
+* @description Upstream pools are configured in the upstreams config section
+*              and reached through externalRoutes entries of the same name:
+*
+*              "upstreams": {
+*                "legacy-php": {"urls": ["http://10.0.1.5:8080", "http://10.0.1.6:8080"]},
+*                "cdn-origin": {"urls": ["https://origin.example.com/assets"]}
+*              },
+*              "externalRoutes": {
+*                "legacy-php": ["/legacy/*path"],
+*                "cdn-origin": ["[get]/assets/*path"]
+*              }
+*
+*              Each URL acts as an instance of the pool, so the timeouts,
+*              retry, loadBalancing and circuitBreaker sections apply using the
+*              pool name. With the default load-balancing strategy the first URL
+*              is used and the others are only tried by retries. The path of a
+*              URL is prepended to request paths and requests carry the host of
+*              the URL. Request and response bodies are passed through unchanged.
+* @return {undefined}
+*/
+class Upstreams {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.pools = {};
+    this.httpProxy = new HTTPProxy();
+  }
+
+  /**
+  * @name init
+  * @summary initialize using the router config
+  * @param {object} config - configuration object
+  * @return {undefined}
+  */
+  init(config) {
+    this.pools = {};
+    let upstreams = config.upstreams || {};
+    Object.keys(upstreams).forEach((name) => {
+      this.pools[name] = (upstreams[name].urls || []).map((upstreamUrl) => this._createInstance(name, upstreamUrl));
+    });
+  }
+
+  /**
+  * @name has
+  * @summary determine whether a name refers to an upstream pool
+  * @param {string} name - service or pool name
+  * @return {boolean} result - true for upstream pools
+  */
+  has(name) {
+    return !!this.pools[name];
+  }
+
+  /**
+  * @name getInstances
+  * @summary retrieve the instances of a pool, in the form of presence entries
+  * @param {string} name - pool name
+  * @return {array} instances - {instanceID, serviceName, ip, port, protocol, host, basePath}
+  */
+  getInstances(name) {
+    return this.pools[name] || [];
+  }
+
+  /**
+  * @name getPath
+  * @summary build the path of a request to an instance
+  * @param {object} instance - pool instance
+  * @param {string} requestUrl - request path and query string
+  * @return {string} path - instance path
+  */
+  getPath(instance, requestUrl) {
+    return `${instance.basePath}${requestUrl || '/'}`;
+  }
+
+  /**
+  * @name request
+  * @summary send a UMF request to an instance
+  * @param {object} instance - pool instance, null when the pool is empty
+  * @param {object} msg - UMF message in long form addressed to the pool
+  * @param {buffer} body - raw request body, msg.body is sent as JSON when not provided
+  * @param {number} timeout - timeout in seconds, the connection is closed once it has passed
+  * @return {object} promise - resolving to {statusCode, headers, payLoad}, or to a
+  *                  503 response object when the instance can't be reached
+  */
+  request(instance, msg, body, timeout) {
+    let toRoute = UMFMessage.parseRoute(msg.to);
+    if (!instance) {
+      return Promise.resolve(this._unavailable(toRoute.serviceName));
+    }
+    let method = (toRoute.httpMethod || 'get').toUpperCase();
+    let headers = this.httpProxy.filterHeaders(msg.headers);
+    delete headers['transfer-encoding'];
+    headers['host'] = instance.host;
+    if (msg.authorization && !headers['authorization']) {
+      headers['authorization'] = msg.authorization;
+    }
+    if (!body && msg.body && Object.keys(msg.body).length) {
+      body = Buffer.from(Utils.safeJSONStringify(msg.body));
+      headers['content-type'] = 'application/json';
+    }
+    body = body || Buffer.alloc(0);
+    if (body.length || headers['content-length'] !== undefined) {
+      headers['content-length'] = body.length;
+    }
+
+    return new Promise((resolve) => {
+      let transport = (instance.protocol === 'https:') ? https : http;
+      let upstreamRequest = transport.request({
+        host: instance.ip,
+        port: instance.port,
+        method,
+        path: this.getPath(instance, toRoute.apiRoute),
+        headers
+      }, (upstreamResponse) => {
+        let chunks = [];
+        upstreamResponse.on('data', (chunk) => chunks.push(chunk));
+        upstreamResponse.on('end', () => {
+          resolve({
+            statusCode: upstreamResponse.statusCode,
+            headers: this.httpProxy.filterHeaders(upstreamResponse.headers),
+            payLoad: Buffer.concat(chunks)
+          });
+        });
+        upstreamResponse.on('aborted', () => {
+          resolve(this._unavailable(instance.serviceName));
+        });
+      });
+      if (timeout) {
+        upstreamRequest.setTimeout((timeout * 1000) + SOCKET_TIMEOUT_GRACE, () => {
+          upstreamRequest.destroy();
+        });
+      }
+      upstreamRequest.on('error', () => {
+        resolve(this._unavailable(instance.serviceName));
+      });
+      upstreamRequest.end(body);
+    });
+  }
+
+  /**
+  * @name _createInstance
+  * @summary describe a pool URL as a presence entry
+  * @private
+  * @param {string} name - pool name
+  * @param {string} upstreamUrl - base URL
+  * @return {object} instance - pool instance
+  */
+  _createInstance(name, upstreamUrl) {
+    let parsed = new URL(upstreamUrl);
+    return {
+      // hex ids keep routes like <instanceID>@<pool>:[get]/path parseable
+      instanceID: crypto.createHash('md5').update(`${name} ${upstreamUrl}`).digest('hex'),
+      serviceName: name,
+      ip: parsed.hostname,
+      port: Number(parsed.port) || ((parsed.protocol === 'https:') ? 443 : 80),
+      protocol: parsed.protocol,
+      host: parsed.host,
+      basePath: parsed.pathname.replace(/\/$/, ''),
+      url: upstreamUrl
+    };
+  }
+
+  /**
+  * @name _unavailable
+  * @summary build the response used when an instance can't be reached
+  * @private
+  * @param {string} name - pool name
+  * @return {object} response - 503 response object
+  */
+  _unavailable(name) {
+    return serverResponse.createResponseObject(ServerResponse.HTTP_SERVICE_UNAVAILABLE, {
+      result: {
+        reason: `An instance of ${name} is unavailable`
+      }
+    });
+  }
+}
+
+module.exports = Upstreams;
@@ -0,0 +1,159 @@
+'use strict';
+
+const MISSED_PINGS = 'missedPings';
+const IDLE_TIMEOUT = 'idleTimeout';
+
+const DEFAULTS = {
+  pingInterval: 30, // seconds between protocol-level pings, 0 disables pings
+  missedPings: 2, // unanswered pings after which a socket is considered dead
+  idleTimeout: 0 // seconds without client messages after which a socket is closed, 0 disables
+};
+
+/**
+* @name WSHeartbeat
+* @summary Detects dead and idle websockets
+* @description Tracked sockets are sent a protocol-level ping every pingInterval
+*              seconds and reported once missedPings pings in a row went
+*              unanswered. Sockets which haven't sent a message for idleTimeout
+*              seconds are reported as well. Idle sockets are checked on the same
+*              schedule as pings, or every idleTimeout seconds when pings are disabled.
+*
+*              Configured in the wsHeartbeat config section:
+*
+*              "wsHeartbeat": {
+*                "pingInterval": 30,
+*                "missedPings": 2,
+*                "idleTimeout": 0
+*              }
+* @return {undefined}
+*/
+class WSHeartbeat {
+  /**
+  * @name constructor
+  * @summary class constructor
+  * @return {undefined}
+  */
+  constructor() {
+    this.settings = Object.assign({}, DEFAULTS);
+    this.sockets = new Map();
+    this.sweepTimer = null;
+    this.onExpire = () => {};
+  }
+
+  /**
+  * @name init
+  * @summary initialize using the router config and start checking sockets
+  * @param {object} config - configuration object
+  * @param {function} onExpire - called with a socket and the reason, missedPings or idleTimeout
+  * @return {undefined}
+  */
+  init(config, onExpire) {
+    this.close();
+    this.settings = Object.assign({}, DEFAULTS, config.wsHeartbeat);
+    this.onExpire = onExpire;
+    let interval = Number(this.settings.pingInterval) || Number(this.settings.idleTimeout);
+    if (interval > 0) {
+      this.sweepTimer = setInterval(() => this._sweep(), interval * 1000);
+      this.sweepTimer.unref();
+    }
+  }
+
+  /**
+  * @name close
+  * @summary stop checking sockets
+  * @return {undefined}
+  */
+  close() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  /**
+  * @name track
+  * @summary start checking a socket, other client connections are ignored
+  * @param {object} ws - websocket
+  * @return {undefined}
+  */
+  track(ws) {
+    if (this.sockets.has(ws) || typeof ws.ping !== 'function') {
+      return;
+    }
+    this.sockets.set(ws, {
+      missedPings: 0,
+      lastActivity: Date.now()
+    });
+    ws.on('pong', () => {
+      let state = this.sockets.get(ws);
+      if (state) {
+        state.missedPings = 0;
+      }
+    });
+  }
+
+  /**
+  * @name untrack
+  * @summary stop checking a socket
+  * @param {object} ws - websocket
+  * @return {undefined}
+  */
+  untrack(ws) {
+    this.sockets.delete(ws);
+  }
+
+  /**
+  * @name touch
+  * @summary record that a socket sent a message
+  * @param {object} ws - websocket
+  * @return {undefined}
+  */
+  touch(ws) {
+    let state = this.sockets.get(ws);
+    if (state) {
+      state.lastActivity = Date.now();
+    }
+  }
+
+  /**
+  * @name _sweep
+  * @summary ping tracked sockets and report those which are dead or idle
+  * @private
+  * @return {undefined}
+  */
+  _sweep() {
+    let now = Date.now();
+    let idleTimeout = Number(this.settings.idleTimeout) * 1000;
+    let pingInterval = Number(this.settings.pingInterval);
+    for (let [ws, state] of this.sockets) {
+      if (pingInterval > 0 && state.missedPings >= this.settings.missedPings) {
+        this._expire(ws, MISSED_PINGS);
+      } else if (idleTimeout > 0 && now - state.lastActivity >= idleTimeout) {
+        this._expire(ws, IDLE_TIMEOUT);
+      } else if (pingInterval > 0) {
+        state.missedPings++;
+        try {
+          ws.ping();
+        } catch (e) {
+          this._expire(ws, MISSED_PINGS);
+        }
+      }
+    }
+  }
+
+  /**
+  * @name _expire
+  * @summary stop checking a socket and report it
+  * @private
+  * @param {object} ws - websocket
+  * @param {string} reason - missedPings or idleTimeout
+  * @return {undefined}
+  */
+  _expire(ws, reason) {
+    this.sockets.delete(ws);
+    this.onExpire(ws, reason);
+  }
+}
+
+WSHeartbeat.MISSED_PINGS = MISSED_PINGS;
+WSHeartbeat.IDLE_TIMEOUT = IDLE_TIMEOUT;
+
+module.exports = WSHeartbeat;
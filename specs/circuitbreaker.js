@@ -0,0 +1,118 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const CircuitBreaker = require('../lib/circuitbreaker');
+
+describe('CircuitBreaker', () => {
+  let circuitBreaker,
+    now;
+
+  beforeEach(() => {
+    now = 1000;
+    circuitBreaker = new CircuitBreaker();
+    circuitBreaker._now = () => now;
+    circuitBreaker.init({
+      circuitBreaker: {
+        enabled: true,
+        windowSize: 10,
+        volumeThreshold: 4,
+        errorThreshold: 50,
+        timeoutThreshold: 3,
+        openDuration: 30,
+        halfOpenRequests: 1,
+        services: {
+          'off-svcs': {enabled: false},
+          'slow-svcs': {volumeThreshold: 100}
+        }
+      }
+    });
+  });
+
+  it('should allow every request when disabled', () => {
+    for (let i = 0; i < 10; i += 1) {
+      circuitBreaker.recordFailure('off-svcs', true);
+    }
+    expect(circuitBreaker.check('off-svcs')).to.deep.equal({allowed: true});
+    expect(circuitBreaker.getBreakers()).to.deep.equal({});
+  });
+
+  it('should open once the error rate crosses the threshold', () => {
+    circuitBreaker.recordSuccess('items-svcs');
+    circuitBreaker.recordFailure('items-svcs');
+    circuitBreaker.recordSuccess('items-svcs');
+    expect(circuitBreaker.check('items-svcs').allowed).to.be.true;
+    // 2 failures out of 4 requests reaches the volume and error thresholds
+    circuitBreaker.recordFailure('items-svcs');
+    expect(circuitBreaker.check('items-svcs')).to.deep.equal({allowed: false, retryAfter: 30});
+    now += 12;
+    expect(circuitBreaker.check('items-svcs')).to.deep.equal({allowed: false, retryAfter: 18});
+  });
+
+  it('should open after consecutive timeouts', () => {
+    circuitBreaker.recordFailure('slow-svcs', true);
+    circuitBreaker.recordFailure('slow-svcs', true);
+    circuitBreaker.recordSuccess('slow-svcs');
+    circuitBreaker.recordFailure('slow-svcs', true);
+    circuitBreaker.recordFailure('slow-svcs', true);
+    expect(circuitBreaker.check('slow-svcs').allowed).to.be.true;
+    circuitBreaker.recordFailure('slow-svcs', true);
+    expect(circuitBreaker.check('slow-svcs').allowed).to.be.false;
+  });
+
+  it('should forget requests older than the window', () => {
+    circuitBreaker.recordFailure('items-svcs');
+    circuitBreaker.recordFailure('items-svcs');
+    circuitBreaker.recordFailure('items-svcs');
+    now += 10;
+    circuitBreaker.recordFailure('items-svcs');
+    expect(circuitBreaker.check('items-svcs').allowed).to.be.true;
+    expect(circuitBreaker.getBreakers()['items-svcs']).to.include({requests: 1, failures: 1});
+  });
+
+  it('should let trial requests through when half-open', () => {
+    for (let i = 0; i < 4; i += 1) {
+      circuitBreaker.recordFailure('items-svcs');
+    }
+    now += 30;
+    expect(circuitBreaker.check('items-svcs').allowed).to.be.true;
+    expect(circuitBreaker.getBreakers()['items-svcs'].state).to.equal('half-open');
+    expect(circuitBreaker.check('items-svcs')).to.deep.equal({allowed: false, retryAfter: 1});
+
+    // a failed trial opens the breaker again
+    circuitBreaker.recordFailure('items-svcs');
+    expect(circuitBreaker.check('items-svcs')).to.deep.equal({allowed: false, retryAfter: 30});
+
+    // an abandoned trial makes room for another one
+    now += 30;
+    expect(circuitBreaker.check('items-svcs').allowed).to.be.true;
+    circuitBreaker.release('items-svcs');
+    expect(circuitBreaker.check('items-svcs').allowed).to.be.true;
+
+    // a successful trial closes the breaker and resets its history
+    circuitBreaker.recordSuccess('items-svcs');
+    expect(circuitBreaker.getBreakers()['items-svcs']).to.deep.equal({
+      state: 'closed',
+      requests: 0,
+      failures: 0,
+      errorRate: 0,
+      consecutiveTimeouts: 0
+    });
+  });
+
+  it('should report the state of open breakers', () => {
+    for (let i = 0; i < 4; i += 1) {
+      circuitBreaker.recordFailure('items-svcs');
+    }
+    now += 5;
+    expect(circuitBreaker.getBreakers()['items-svcs']).to.deep.equal({
+      state: 'open',
+      requests: 4,
+      failures: 4,
+      errorRate: 100,
+      consecutiveTimeouts: 0,
+      openedAt: new Date(1000 * 1000).toISOString(),
+      retryAfter: 25
+    });
+  });
+});
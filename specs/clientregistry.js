@@ -0,0 +1,93 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const ClientRegistry = require('../lib/clientregistry');
+
+describe('ClientRegistry', () => {
+  let hashes,
+    keys,
+    localClients,
+    registry;
+
+  beforeEach(async() => {
+    hashes = {};
+    keys = {};
+    localClients = [];
+    let hset = (key, field, value) => {
+      hashes[key] = hashes[key] || {};
+      hashes[key][field] = String(value);
+    };
+    let redisClient = {
+      select: (db, cb) => cb(null, 'OK'),
+      quit: () => {},
+      hget: (key, field, cb) => cb(null, (hashes[key] && hashes[key][field]) || null),
+      exists: (key, cb) => cb(null, (keys[key]) ? 1 : 0),
+      smembers: (key, cb) => cb(null, []),
+      multi: () => {
+        let replies = [];
+        let multi = {
+          hset: (key, field, value) => {
+            hset(key, field, value);
+            replies.push(1);
+            return multi;
+          },
+          set: (key, value, ex, ttl, nx) => {
+            let created = !(nx && keys[key]);
+            if (created) {
+              keys[key] = value;
+            }
+            replies.push((created) ? 'OK' : null);
+            return multi;
+          },
+          expire: () => {
+            replies.push(1);
+            return multi;
+          },
+          sadd: () => {
+            replies.push(0);
+            return multi;
+          },
+          exec: (cb) => cb(null, replies)
+        };
+        return multi;
+      }
+    };
+    registry = new ClientRegistry({clientRegistry: {mode: 'redis'}});
+    await registry.init(redisClient, 'router-a', () => localClients);
+  });
+
+  afterEach(() => {
+    clearInterval(registry.heartbeatTimer);
+  });
+
+  it('should only be enabled in redis mode', () => {
+    expect(new ClientRegistry({}).isEnabled()).to.be.false;
+    expect(registry.isEnabled()).to.be.true;
+  });
+
+  it('should locate clients of routers sending heartbeats', async() => {
+    await registry.register('client-1');
+    expect(hashes['hydra-router:registry:router:router-a']).to.deep.equal({'client-1': '1'});
+    expect(await registry.locate('client-1')).to.equal('router-a');
+    expect(await registry.locate('client-2')).to.be.null;
+  });
+
+  it('should not locate clients of routers whose heartbeat expired', async() => {
+    await registry.register('client-1');
+    delete keys['hydra-router:registry:alive:router-a'];
+    expect(await registry.locate('client-1')).to.be.null;
+  });
+
+  it('should register its clients again when its heartbeat expired', async() => {
+    localClients = ['client-1', 'client-2'];
+    await registry.heartbeat();
+    expect(hashes['hydra-router:registry:clients']).to.be.undefined;
+
+    // another router reaped the clients after the heartbeat key expired
+    delete keys['hydra-router:registry:alive:router-a'];
+    await registry.heartbeat();
+    expect(hashes['hydra-router:registry:clients']).to.deep.equal({'client-1': 'router-a', 'client-2': 'router-a'});
+    expect(await registry.locate('client-2')).to.equal('router-a');
+  });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const zlib = require('zlib');
+const Compressor = require('../lib/compressor');
+
+describe('Compressor', () => {
+  let compressor = new Compressor();
+  let payLoad = JSON.stringify({items: new Array(200).fill('compressible')});
+
+  before(() => {
+    compressor.init({compression: {minSize: 100}});
+  });
+
+  it('should negotiate encodings using q-values', () => {
+    expect(compressor.negotiate('gzip, deflate, br')).to.equal('br');
+    expect(compressor.negotiate('gzip;q=1.0, br;q=0.5')).to.equal('gzip');
+    expect(compressor.negotiate('br;q=0, deflate')).to.equal('deflate');
+    expect(compressor.negotiate('*;q=0.1, br;q=0')).to.equal('gzip');
+    expect(compressor.negotiate('identity')).to.be.null;
+    expect(compressor.negotiate(undefined)).to.be.null;
+  });
+
+  it('should compress responses for the negotiated encoding', async() => {
+    let result = await compressor.compressResponse('br', {'content-type': 'application/json', 'etag': '"abc"'}, payLoad);
+    expect(result.headers['content-encoding']).to.equal('br');
+    expect(result.headers['content-length']).to.equal(result.payLoad.length);
+    expect(result.headers['vary']).to.equal('Accept-Encoding');
+    expect(result.headers['etag']).to.equal('W/"abc"');
+    expect(zlib.brotliDecompressSync(result.payLoad).toString()).to.equal(payLoad);
+  });
+
+  it('should leave small, excluded and encoded payloads alone', async() => {
+    let small = await compressor.compressResponse('gzip', {'content-type': 'application/json'}, '{}');
+    expect(small.headers['content-encoding']).to.be.undefined;
+    let image = await compressor.compressResponse('gzip', {'content-type': 'image/png'}, Buffer.alloc(1000));
+    expect(image.headers['content-encoding']).to.be.undefined;
+    expect(image.headers['vary']).to.be.undefined;
+    let encoded = await compressor.compressResponse('gzip', {'content-type': 'text/plain', 'content-encoding': 'br'}, payLoad);
+    expect(encoded.headers['content-encoding']).to.equal('br');
+    expect(encoded.payLoad.toString()).to.equal(payLoad);
+  });
+
+  it('should decode request bodies', async() => {
+    let body = Buffer.from(payLoad);
+    expect((await compressor.decompress(zlib.gzipSync(body), 'gzip')).toString()).to.equal(payLoad);
+    expect((await compressor.decompress(zlib.deflateSync(body), 'deflate')).toString()).to.equal(payLoad);
+    expect((await compressor.decompress(zlib.brotliCompressSync(body), 'br')).toString()).to.equal(payLoad);
+    expect((await compressor.decompress(zlib.gzipSync(zlib.deflateSync(body)), 'deflate, gzip')).toString()).to.equal(payLoad);
+  });
+
+  it('should limit the size of decoded request bodies', async() => {
+    let body = zlib.gzipSync(Buffer.alloc(4096));
+    let err;
+    try {
+      await compressor.decompress(body, 'gzip', 1024);
+    } catch (e) {
+      err = e;
+    }
+    expect(err.code).to.equal(Compressor.ERR_TOO_LARGE);
+    expect(await compressor.decompress(body, 'gzip', 4096)).to.have.lengthOf(4096);
+  });
+
+  it('should reject unsupported encodings', async() => {
+    let err;
+    try {
+      await compressor.decompress(Buffer.from('data'), 'compress');
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.equal('Unsupported content-encoding compress');
+  });
+});
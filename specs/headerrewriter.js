@@ -0,0 +1,81 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const HeaderRewriter = require('../lib/headerrewriter');
+
+const CONTEXT = {
+  serviceName: 'items-svcs',
+  method: 'GET',
+  pattern: '/v1/items/:id',
+  tracer: 'abc123',
+  clientIP: '10.0.0.7',
+  claims: {sub: 'user-1', org: {id: 42}}
+};
+
+describe('HeaderRewriter', () => {
+  let rewriter;
+
+  beforeEach(() => {
+    rewriter = new HeaderRewriter();
+    rewriter.init({
+      headerRewrites: {
+        request: {
+          remove: ['X-Internal-Debug'],
+          rename: {'x-legacy-user': 'x-user'},
+          add: {'x-request-id': '{tracer}', 'x-client': '{clientIP}', 'x-org': 'org-{claims.org.id}', 'x-role': '{claims.role}'}
+        },
+        response: {
+          remove: ['server'],
+          add: {'x-content-type-options': 'nosniff'}
+        },
+        routes: {
+          '[get]/v1/public': {
+            request: {}
+          }
+        }
+      }
+    });
+  });
+
+  it('should remove, rename and add request headers', () => {
+    let headers = rewriter.rewriteRequest({
+      'x-internal-debug': '1',
+      'x-legacy-user': 'bob',
+      'x-user': 'spoofed',
+      'accept': 'application/json'
+    }, CONTEXT);
+    expect(headers).to.deep.equal({
+      'accept': 'application/json',
+      'x-user': 'bob',
+      'x-request-id': 'abc123',
+      'x-client': '10.0.0.7',
+      'x-org': 'org-42'
+    });
+  });
+
+  it('should skip templates referring to missing values', () => {
+    let headers = rewriter.rewriteRequest({}, Object.assign({}, CONTEXT, {claims: null}));
+    expect(headers['x-org']).to.be.undefined;
+    expect(headers['x-request-id']).to.equal('abc123');
+  });
+
+  it('should skip values which are not allowed in headers', () => {
+    let headers = rewriter.rewriteRequest({}, Object.assign({}, CONTEXT, {claims: {role: 'admin\r\nx-admin: 1'}}));
+    expect(headers['x-role']).to.be.undefined;
+    headers = rewriter.rewriteRequest({}, Object.assign({}, CONTEXT, {claims: {role: '\u7ba1\u7406\u8005'}}));
+    expect(headers['x-role']).to.be.undefined;
+    headers = rewriter.rewriteRequest({}, Object.assign({}, CONTEXT, {claims: {role: 'admin'}}));
+    expect(headers['x-role']).to.equal('admin');
+  });
+
+  it('should rewrite response headers regardless of case', () => {
+    let headers = rewriter.rewriteResponse({'Server': 'legacy', 'content-type': 'text/plain'}, CONTEXT);
+    expect(headers).to.deep.equal({'content-type': 'text/plain', 'x-content-type-options': 'nosniff'});
+  });
+
+  it('should apply route rules over the defaults', () => {
+    let headers = rewriter.rewriteRequest({'x-internal-debug': '1'}, Object.assign({}, CONTEXT, {pattern: '/v1/public'}));
+    expect(headers).to.deep.equal({'x-internal-debug': '1'});
+  });
+});
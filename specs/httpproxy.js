@@ -0,0 +1,127 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const http = require('http');
+const request = require('superagent');
+const HTTPProxy = require('../lib/httpproxy');
+
+describe('HTTPProxy', () => {
+  let httpProxy = new HTTPProxy();
+  let received = [];
+  let errors = [];
+  let options = {};
+  let upstream,
+    server,
+    baseUrl;
+
+  before((done) => {
+    upstream = http.createServer((req, res) => {
+      let body = [];
+      req.on('data', (data) => body.push(data));
+      req.on('end', () => {
+        received.push({method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(body)});
+        let reply = () => {
+          res.writeHead(201, {'content-type': 'text/plain', 'keep-alive': 'timeout=5', 'x-upstream': 'yes'});
+          res.write('part one, ');
+          res.end('part two');
+        };
+        (req.url === '/slow') ? setTimeout(reply, 300) : reply();
+      });
+    });
+    server = http.createServer((req, res) => {
+      httpProxy.forward(req, res, Object.assign({
+        ip: '127.0.0.1',
+        port: upstream.address().port,
+        path: req.url,
+        headers: req.headers,
+        responseHeaders: {'x-hydra-tracer': 'abc123'},
+        timeout: 5,
+        maxBodySize: 0
+      }, options))
+        .catch((err) => {
+          errors.push(err);
+          if (!res.headersSent) {
+            res.writeHead(502, {'connection': 'close'});
+          }
+          res.end();
+        });
+    });
+    upstream.listen(0, () => {
+      server.listen(0, () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+  });
+
+  after((done) => {
+    upstream.close();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    received.length = 0;
+    errors.length = 0;
+    options = {};
+  });
+
+  it('should stream requests and responses', async() => {
+    let body = Buffer.alloc(256 * 1024, 'x');
+    let res = await request.put(`${baseUrl}/files/1?v=2`)
+      .set('content-type', 'application/octet-stream')
+      .send(body);
+    expect(res.status).to.equal(201);
+    expect(res.text).to.equal('part one, part two');
+    expect(res.headers).to.include({'x-upstream': 'yes', 'x-hydra-tracer': 'abc123'});
+    expect(received[0]).to.include({method: 'PUT', url: '/files/1?v=2'});
+    expect(received[0].body.equals(body)).to.be.true;
+  });
+
+  it('should rewrite response headers', async() => {
+    options.rewriteResponseHeaders = (headers) => {
+      delete headers['x-upstream'];
+      return Object.assign(headers, {'x-rewritten': '1'});
+    };
+    let res = await request.get(`${baseUrl}/files/1`);
+    expect(res.headers).to.not.have.property('x-upstream');
+    expect(res.headers['x-rewritten']).to.equal('1');
+  });
+
+  it('should not forward hop-by-hop headers', async() => {
+    let res = await request.get(`${baseUrl}/files/1`)
+      .set('proxy-authorization', 'Basic abc')
+      .set('te', 'trailers')
+      .set('x-custom', 'kept');
+    expect(received[0].headers).to.not.have.property('proxy-authorization');
+    expect(received[0].headers).to.not.have.property('te');
+    expect(received[0].headers['x-custom']).to.equal('kept');
+    expect(res.headers).to.not.have.property('keep-alive');
+
+    expect(httpProxy.filterHeaders({
+      'connection': 'upgrade',
+      'upgrade': 'websocket',
+      'transfer-encoding': 'chunked',
+      'trailer': 'expires',
+      'content-type': 'text/plain'
+    })).to.deep.equal({'transfer-encoding': 'chunked', 'content-type': 'text/plain'});
+  });
+
+  it('should reject request bodies larger than maxBodySize', async() => {
+    options.maxBodySize = 1024;
+    // the client may see the connection close before the whole body is sent
+    await request.post(`${baseUrl}/files`)
+      .set('content-type', 'application/octet-stream')
+      .send(Buffer.alloc(64 * 1024, 'x'))
+      .ok(() => true)
+      .catch(() => {});
+    expect(errors[0].code).to.equal(HTTPProxy.ERR_TOO_LARGE);
+  });
+
+  it('should time out instances which stop responding', async() => {
+    options.timeout = 0.1;
+    let res = await request.get(`${baseUrl}/slow`).ok(() => true);
+    expect(res.status).to.equal(502);
+    expect(errors[0].code).to.equal(HTTPProxy.ERR_TIMEOUT);
+  });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JWTVerifier = require('../lib/jwtverifier');
+
+const SECRET = 'c2a5a1ac-8d2b-4a5f-9e4e-59f4e3a5b0f1';
+
+/**
+* @name encode
+* @summary base64url encode a value
+* @param {mixed} value - object or buffer
+* @return {string} encoded - base64url string
+*/
+function encode(value) {
+  let buffer = (Buffer.isBuffer(value)) ? value : Buffer.from(JSON.stringify(value));
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+* @name toJWK
+* @summary describe a public key as a JWK without the Node 15 jwk export
+* @param {object} publicKey - RSA or P-256 public KeyObject
+* @return {object} jwk - JSON Web Key
+*/
+function toJWK(publicKey) {
+  if (publicKey.asymmetricKeyType === 'ec') {
+    let point = publicKey.export({type: 'spki', format: 'der'}).slice(-64);
+    return {kty: 'EC', crv: 'P-256', x: encode(point.slice(0, 32)), y: encode(point.slice(32))};
+  }
+  // RSAPublicKey is a sequence of the modulus and exponent integers
+  let der = publicKey.export({type: 'pkcs1', format: 'der'});
+  let values = [];
+  let offset = 2 + (der[1] & 0x7f);
+  while (offset < der.length) {
+    let length = der[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+      start += length & 0x7f;
+      length = der.readUIntBE(offset + 2, length & 0x7f);
+    }
+    values.push(der.slice(start, start + length));
+    offset = start + length;
+  }
+  return {kty: 'RSA', n: encode(values[0]), e: encode(values[1])};
+}
+
+/**
+* @name sign
+* @summary create a signed token
+* @param {object} header - token header
+* @param {object} claims - token payload
+* @param {mixed} key - HMAC secret or private KeyObject
+* @return {string} token - encoded JWT
+*/
+function sign(header, claims, key) {
+  let input = `${encode(header)}.${encode(claims)}`;
+  let hash = `sha${header.alg.substring(2)}`;
+  let signature;
+  if (header.alg.indexOf('HS') === 0) {
+    signature = crypto.createHmac(hash, key).update(input).digest();
+  } else if (header.alg.indexOf('ES') === 0) {
+    signature = crypto.sign(hash, Buffer.from(input), {key, dsaEncoding: 'ieee-p1363'});
+  } else {
+    signature = crypto.sign(hash, Buffer.from(input), key);
+  }
+  return `${input}.${encode(signature)}`;
+}
+
+describe('JWTVerifier', () => {
+  let now = Math.floor(Date.now() / 1000);
+  let jwksFile = path.join(os.tmpdir(), `hr-jwks-${process.pid}.json`);
+  let rsaKeys = crypto.generateKeyPairSync('rsa', {modulusLength: 2048});
+  let ecKeys = crypto.generateKeyPairSync('ec', {namedCurve: 'P-256'});
+
+  before(() => {
+    fs.writeFileSync(jwksFile, JSON.stringify({
+      keys: [
+        Object.assign({kid: 'rsa1'}, toJWK(rsaKeys.publicKey)),
+        Object.assign({kid: 'ec1'}, toJWK(ecKeys.publicKey))
+      ]
+    }));
+  });
+
+  after(() => {
+    fs.unlinkSync(jwksFile);
+  });
+
+  it('should verify tokens signed with a shared secret', () => {
+    let verifier = new JWTVerifier({secret: SECRET});
+    let token = sign({alg: 'HS256', typ: 'JWT'}, {sub: 'user1', exp: now + 60}, SECRET);
+    expect(verifier.verify(token).sub).to.equal('user1');
+    expect(() => verifier.verify(sign({alg: 'HS256'}, {sub: 'user1'}, 'other'))).to.throw('Invalid token signature');
+  });
+
+  it('should verify tokens signed with JWKS keys', () => {
+    let verifier = new JWTVerifier({jwksFile});
+    let rsaToken = sign({alg: 'RS256', kid: 'rsa1'}, {sub: 'user2'}, rsaKeys.privateKey);
+    let ecToken = sign({alg: 'ES256', kid: 'ec1'}, {sub: 'user3'}, ecKeys.privateKey);
+    expect(verifier.verify(rsaToken).sub).to.equal('user2');
+    expect(verifier.verify(ecToken).sub).to.equal('user3');
+    expect(() => verifier.verify(sign({alg: 'RS256', kid: 'other'}, {sub: 'user2'}, rsaKeys.privateKey))).to.throw('Invalid token signature');
+  });
+
+  it('should reject algorithms without a matching key', () => {
+    let verifier = new JWTVerifier({jwksFile});
+    expect(() => verifier.verify(sign({alg: 'HS256'}, {sub: 'user1'}, SECRET))).to.throw('Unsupported token algorithm HS256');
+    expect(() => verifier.verify(`${encode({alg: 'none'})}.${encode({sub: 'user1'})}.`)).to.throw('Unsupported token algorithm none');
+  });
+
+  it('should check expiry, audience and issuer', () => {
+    let verifier = new JWTVerifier({secret: SECRET, audience: ['orders', 'reports'], issuer: 'https://auth.example.com'});
+    let claims = {aud: 'reports', iss: 'https://auth.example.com', exp: now + 60};
+    expect(verifier.verify(sign({alg: 'HS256'}, claims, SECRET)).aud).to.equal('reports');
+    expect(() => verifier.verify(sign({alg: 'HS256'}, Object.assign({}, claims, {exp: now - 1}), SECRET))).to.throw('Token expired');
+    expect(() => verifier.verify(sign({alg: 'HS256'}, Object.assign({}, claims, {aud: ['billing']}), SECRET))).to.throw('Invalid token audience');
+    expect(() => verifier.verify(sign({alg: 'HS256'}, Object.assign({}, claims, {iss: 'https://evil.example.com'}), SECRET))).to.throw('Invalid token issuer');
+  });
+
+  it('should reject malformed tokens', () => {
+    let verifier = new JWTVerifier({secret: SECRET});
+    expect(() => verifier.verify('not-a-token')).to.throw('Malformed token');
+    expect(() => verifier.verify(undefined)).to.throw('Malformed token');
+  });
+});
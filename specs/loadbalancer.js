@@ -0,0 +1,117 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const LoadBalancer = require('../lib/loadbalancer');
+
+const INSTANCES = [
+  {instanceID: 'c', ip: '10.0.0.3', port: 3000, hostName: 'host-c'},
+  {instanceID: 'a', ip: '10.0.0.1', port: 3000, hostName: 'host-a'},
+  {instanceID: 'b', ip: '10.0.0.2', port: 3000, hostName: 'host-b'}
+];
+
+describe('LoadBalancer', () => {
+  let loadBalancer;
+  let random = Math.random;
+
+  beforeEach(() => {
+    loadBalancer = new LoadBalancer();
+    loadBalancer.init({
+      loadBalancing: {
+        services: {
+          'rr-svcs': {strategy: 'round-robin'},
+          'lo-svcs': {strategy: 'least-outstanding'},
+          'weighted-svcs': {strategy: 'weighted', weights: {'10.0.0.1:3000': 3, 'host-b': 1, 'c': 0}},
+          'zero-svcs': {strategy: 'weighted', weights: {'a': 0, 'b': 0, 'c': 0}},
+          'hash-svcs': {strategy: 'consistent-hash', hashHeader: 'X-Session-ID', hashCookie: 'sid'}
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    Math.random = random;
+  });
+
+  it('should use the default strategy for unconfigured services', () => {
+    expect(loadBalancer.getStrategy('other-svcs')).to.equal(LoadBalancer.STRATEGY_DEFAULT);
+    expect(loadBalancer.selectInstance('other-svcs', INSTANCES)).to.equal(INSTANCES[0]);
+  });
+
+  it('should return null when no instances are available', () => {
+    expect(loadBalancer.selectInstance('rr-svcs', [])).to.be.null;
+    expect(loadBalancer.selectInstance('hash-svcs', null)).to.be.null;
+  });
+
+  it('should select instances in turn ordered by instance id', () => {
+    let selected = [];
+    for (let i = 0; i < 4; i += 1) {
+      selected.push(loadBalancer.selectInstance('rr-svcs', INSTANCES.slice().reverse()).instanceID);
+    }
+    expect(selected).to.deep.equal(['a', 'b', 'c', 'a']);
+  });
+
+  it('should select the instance with the fewest requests in flight', () => {
+    loadBalancer.requestStarted('c');
+    loadBalancer.requestStarted('a');
+    loadBalancer.requestStarted('a');
+    expect(loadBalancer.selectInstance('lo-svcs', INSTANCES).instanceID).to.equal('b');
+    loadBalancer.requestStarted('b');
+    loadBalancer.requestStarted('b');
+    expect(loadBalancer.selectInstance('lo-svcs', INSTANCES).instanceID).to.equal('c');
+    loadBalancer.requestEnded('a');
+    loadBalancer.requestEnded('a');
+    expect(loadBalancer.outstanding).to.not.have.property('a');
+    expect(loadBalancer.selectInstance('lo-svcs', INSTANCES).instanceID).to.equal('a');
+  });
+
+  it('should select instances in proportion to their weights', () => {
+    // weights are a: 3, b: 1 and c: 0 out of a total of 4
+    let pick = (value) => {
+      Math.random = () => value;
+      return loadBalancer.selectInstance('weighted-svcs', INSTANCES).instanceID;
+    };
+    expect(pick(0)).to.equal('a');
+    expect(pick(0.74)).to.equal('a');
+    expect(pick(0.75)).to.equal('b');
+    expect(pick(0.99)).to.equal('b');
+  });
+
+  it('should fall back to the first instance when all weights are zero', () => {
+    Math.random = () => 0.5;
+    expect(loadBalancer.selectInstance('zero-svcs', INSTANCES)).to.equal(INSTANCES[0]);
+  });
+
+  it('should send the same key to the same instance', () => {
+    let first = loadBalancer.selectInstance('hash-svcs', INSTANCES, {headers: {'x-session-id': 'session-1'}});
+    for (let i = 0; i < 5; i += 1) {
+      let instances = INSTANCES.slice().sort(() => random() - 0.5);
+      expect(loadBalancer.selectInstance('hash-svcs', instances, {headers: {'x-session-id': 'session-1'}})).to.equal(first);
+    }
+    expect(loadBalancer.selectInstance('hash-svcs', INSTANCES, {headers: {cookie: 'theme=dark; sid=session-1'}})).to.equal(first);
+    expect(loadBalancer.selectInstance('hash-svcs', INSTANCES, {key: 'session-1'})).to.equal(first);
+  });
+
+  it('should only move the keys of a removed instance', () => {
+    let keys = [];
+    for (let i = 0; i < 200; i += 1) {
+      keys.push(`session-${i}`);
+    }
+    let before = keys.map((key) => loadBalancer.selectInstance('hash-svcs', INSTANCES, {key}).instanceID);
+    expect(new Set(before).size).to.equal(3);
+
+    let remaining = INSTANCES.filter((instance) => instance.instanceID !== 'b');
+    keys.forEach((key, i) => {
+      let after = loadBalancer.selectInstance('hash-svcs', remaining, {key}).instanceID;
+      if (before[i] !== 'b') {
+        expect(after).to.equal(before[i]);
+      } else {
+        expect(after).to.not.equal('b');
+      }
+    });
+  });
+
+  it('should fall back to the first instance without a hash key', () => {
+    expect(loadBalancer.selectInstance('hash-svcs', INSTANCES, {headers: {}})).to.equal(INSTANCES[0]);
+  });
+});
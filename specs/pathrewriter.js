@@ -0,0 +1,54 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const PathRewriter = require('../lib/pathrewriter');
+
+describe('PathRewriter', () => {
+  let rewriter;
+
+  beforeEach(() => {
+    rewriter = new PathRewriter();
+    rewriter.init({
+      rewrites: {
+        services: {
+          'legacy-svcs': {stripPrefix: '/api/legacy'}
+        },
+        routes: {
+          '[get]/v2/users/:id': {path: '/user.php?uid={id}'},
+          '/v2/reports/*path': {
+            replace: [{pattern: '\\.JSON$', flags: 'i', replacement: ''}],
+            addPrefix: '/reporting/'
+          }
+        }
+      }
+    });
+  });
+
+  it('should leave routes without rules alone', () => {
+    expect(rewriter.rewrite('/v1/items', {serviceName: 'items-svcs', pattern: '/v1/items'}, 'GET')).to.be.null;
+  });
+
+  it('should strip prefixes on segment boundaries', () => {
+    let match = {serviceName: 'legacy-svcs', pattern: '/api/legacy/*path'};
+    expect(rewriter.rewrite('/api/legacy/orders?page=2', match, 'GET')).to.deep.equal({
+      url: '/orders?page=2',
+      rule: 'legacy-svcs'
+    });
+    expect(rewriter.rewrite('/api/legacy', match, 'GET').url).to.equal('/');
+    expect(rewriter.rewrite('/api/legacyorders', match, 'GET').url).to.equal('/api/legacyorders');
+  });
+
+  it('should re-map route parameters and merge query strings', () => {
+    let match = {serviceName: 'users-svcs', pattern: '/v2/users/:id', params: {id: 'a b'}};
+    expect(rewriter.rewrite('/v2/users/a%20b?fields=name', match, 'GET')).to.deep.equal({
+      url: '/user.php?uid=a%20b&fields=name',
+      rule: '[get]/v2/users/:id'
+    });
+  });
+
+  it('should apply regex substitutions then add prefixes', () => {
+    let match = {serviceName: 'reports-svcs', pattern: '/v2/reports/*path', params: {path: '2026/q3.json'}};
+    expect(rewriter.rewrite('/v2/reports/2026/q3.JSON', match, 'GET').url).to.equal('/reporting/v2/reports/2026/q3');
+  });
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const RateLimiter = require('../lib/ratelimiter');
+
+describe('RateLimiter', () => {
+  let buckets,
+    rateLimiter,
+    now;
+  let dateNow = Date.now;
+
+  beforeEach(async() => {
+    buckets = {};
+    now = 1000000;
+    Date.now = () => now;
+    // evaluates the token bucket script the way Redis would
+    let redisClient = {
+      select: (db, cb) => cb(null, 'OK'),
+      quit: () => {},
+      eval: (script, numKeys, key, capacity, rate, time, ttl, cb) => {
+        let bucket = buckets[key] || {tokens: capacity, ts: time};
+        let tokens = Math.min(capacity, bucket.tokens + (Math.max(0, time - bucket.ts) * rate));
+        let allowed = 0;
+        if (tokens >= 1) {
+          tokens -= 1;
+          allowed = 1;
+        }
+        buckets[key] = {tokens, ts: time, ttl};
+        cb(null, [allowed, String(tokens)]);
+      }
+    };
+    rateLimiter = new RateLimiter();
+    await rateLimiter.init(redisClient, {
+      rateLimiter: {
+        services: {
+          'reports-svcs': {limit: 60, duration: 60, keyBy: 'token'}
+        },
+        routes: {
+          '[post]/v1/auth/login': {limit: 2, duration: 60},
+          '/v1/search': {limit: 10, burst: 5, duration: 10, keyBy: 'route'}
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    Date.now = dateNow;
+  });
+
+  it('should not limit requests without a configured limit', async() => {
+    expect(await rateLimiter.consume({serviceName: 'other-svcs', ip: '10.0.0.1'})).to.be.null;
+    rateLimiter.close();
+    expect(rateLimiter.getSettings('reports-svcs')).to.be.null;
+  });
+
+  it('should allow requests until the bucket is empty', async() => {
+    let context = {serviceName: 'auth-svcs', method: 'POST', pattern: '/v1/auth/login', ip: '10.0.0.1'};
+    expect(await rateLimiter.consume(context)).to.deep.equal({allowed: true, limit: 2, remaining: 1, reset: 30, retryAfter: 1});
+    expect(await rateLimiter.consume(context)).to.deep.equal({allowed: true, limit: 2, remaining: 0, reset: 60, retryAfter: 30});
+    expect(await rateLimiter.consume(context)).to.include({allowed: false, remaining: 0, retryAfter: 30});
+    expect(buckets['hydra-router:ratelimit:ip:[post]/v1/auth/login:10.0.0.1'].ttl).to.equal(61);
+
+    // other clients have their own buckets
+    expect((await rateLimiter.consume(Object.assign({}, context, {ip: '10.0.0.2'}))).allowed).to.be.true;
+  });
+
+  it('should refill buckets over the duration', async() => {
+    let context = {serviceName: 'auth-svcs', method: 'POST', pattern: '/v1/auth/login', ip: '10.0.0.1'};
+    await rateLimiter.consume(context);
+    await rateLimiter.consume(context);
+    now += 29000;
+    expect((await rateLimiter.consume(context)).allowed).to.be.false;
+    now += 1000;
+    expect(await rateLimiter.consume(context)).to.include({allowed: true, remaining: 0});
+  });
+
+  it('should share route buckets between clients and cap them at burst', async() => {
+    let result;
+    for (let i = 0; i < 5; i += 1) {
+      result = await rateLimiter.consume({serviceName: 'search-svcs', method: 'GET', pattern: '/v1/search', ip: `10.0.0.${i}`});
+      expect(result.allowed).to.be.true;
+    }
+    expect(result).to.include({limit: 5, remaining: 0});
+    result = await rateLimiter.consume({serviceName: 'search-svcs', method: 'GET', pattern: '/v1/search', ip: '10.0.0.9'});
+    expect(result).to.include({allowed: false, retryAfter: 1});
+    expect(Object.keys(buckets)).to.deep.equal(['hydra-router:ratelimit:route:/v1/search:[get]/v1/search']);
+  });
+
+  it('should key buckets by token and fall back to the client IP', async() => {
+    await rateLimiter.consume({serviceName: 'reports-svcs', ip: '10.0.0.1', token: 'Bearer abc'});
+    await rateLimiter.consume({serviceName: 'reports-svcs', ip: '10.0.0.1'});
+    let keys = Object.keys(buckets);
+    expect(keys[0]).to.match(/^hydra-router:ratelimit:token:reports-svcs:[0-9a-f]{40}$/);
+    expect(keys[0]).to.not.contain('abc');
+    expect(keys[1]).to.equal('hydra-router:ratelimit:ip:reports-svcs:10.0.0.1');
+  });
+
+  it('should describe results in RateLimit headers', () => {
+    expect(rateLimiter.getHeaders({allowed: true, limit: 10, remaining: 3, reset: 42, retryAfter: 1})).to.deep.equal({
+      'RateLimit-Limit': 10,
+      'RateLimit-Remaining': 3,
+      'RateLimit-Reset': 42
+    });
+  });
+});
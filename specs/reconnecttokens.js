@@ -0,0 +1,44 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const ReconnectTokens = require('../lib/reconnecttokens');
+
+describe('ReconnectTokens', () => {
+  let tokens;
+
+  beforeEach(() => {
+    tokens = new ReconnectTokens();
+    tokens.init({reconnectTokens: {secret: 'test-secret', ttl: 60}});
+  });
+
+  it('should return the client id of valid tokens', () => {
+    expect(tokens.verify(tokens.create('abc123', null), null)).to.equal('abc123');
+    expect(tokens.verify(tokens.create('abc123', {sub: 'ada', exp: 1}), {sub: 'ada', exp: 2})).to.equal('abc123');
+  });
+
+  it('should reject tokens issued to another identity', () => {
+    let token = tokens.create('abc123', {sub: 'ada'});
+    expect(() => tokens.verify(token, {sub: 'bob'})).to.throw('Reconnect token was issued to another identity');
+    expect(() => tokens.verify(token, null)).to.throw('Reconnect token was issued to another identity');
+  });
+
+  it('should reject tampered, foreign and expired tokens', () => {
+    let token = tokens.create('abc123', null);
+    let forged = tokens._encode(Buffer.from(JSON.stringify({id: 'xyz789', idt: '', exp: 9999999999})));
+    expect(() => tokens.verify(`${forged}.${token.split('.')[1]}`, null)).to.throw('Invalid reconnect token signature');
+    expect(() => tokens.verify('abc123', null)).to.throw('Malformed reconnect token');
+
+    let other = new ReconnectTokens();
+    other.init({signatureSharedSecret: 'other-secret'});
+    expect(() => other.verify(token, null)).to.throw('Invalid reconnect token signature');
+
+    tokens.init({reconnectTokens: {secret: 'test-secret', ttl: 0}});
+    expect(() => tokens.verify(tokens.create('abc123', null), null)).to.throw('Reconnect token expired');
+  });
+
+  it('should report when no secret is shared between routers', () => {
+    expect(tokens.init({})).to.be.false;
+    expect(tokens.init({signatureSharedSecret: 'shared'})).to.be.true;
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const ResponseCache = require('../lib/responsecache');
+
+const MATCH = {serviceName: 'items-svcs', pattern: '/v1/items/:id'};
+
+describe('ResponseCache', () => {
+  let cache;
+
+  beforeEach(async() => {
+    cache = new ResponseCache();
+    await cache.init({
+      cache: {
+        services: {
+          'items-svcs': {enabled: true}
+        }
+      }
+    });
+  });
+
+  it('should only apply to GET and HEAD requests of enabled services', () => {
+    expect(cache.isEnabled({method: 'GET', headers: {}}, MATCH)).to.be.true;
+    expect(cache.isEnabled({method: 'HEAD', headers: {}}, MATCH)).to.be.true;
+    expect(cache.isEnabled({method: 'POST', headers: {}}, MATCH)).to.be.false;
+    expect(cache.isEnabled({method: 'GET', headers: {}}, {serviceName: 'other-svcs', pattern: '/v1/other'})).to.be.false;
+    expect(cache.isEnabled({method: 'GET', headers: {'cache-control': 'no-store'}}, MATCH)).to.be.false;
+  });
+
+  it('should store responses for their max-age and add an etag', async() => {
+    let request = {method: 'GET', url: '/v1/items/1', headers: {}};
+    let entry = cache.createEntry(request, MATCH, 200, {'cache-control': 'max-age=60'}, '{"id":1}');
+    expect(entry.ttl).to.equal(60);
+    expect(entry.headers['etag']).to.be.a('string');
+    await cache.save(entry);
+    let cached = await cache.lookup(request, MATCH);
+    expect(cached.statusCode).to.equal(200);
+    expect(cached.headers['etag']).to.equal(entry.headers['etag']);
+    expect(cached.headers['age']).to.equal(0);
+    expect(cached.payLoad.toString()).to.equal('{"id":1}');
+  });
+
+  it('should not store uncacheable responses', () => {
+    let request = {method: 'GET', url: '/v1/items/1', headers: {}};
+    expect(cache.createEntry(request, MATCH, 200, {}, 'x')).to.be.null;
+    expect(cache.createEntry(request, MATCH, 404, {'cache-control': 'max-age=60'}, 'x')).to.be.null;
+    expect(cache.createEntry(request, MATCH, 200, {'cache-control': 'private, max-age=60'}, 'x')).to.be.null;
+    expect(cache.createEntry(request, MATCH, 200, {'cache-control': 'max-age=60', 'vary': '*'}, 'x')).to.be.null;
+    let authorized = {method: 'GET', url: '/v1/items/1', headers: {authorization: 'Bearer abc'}};
+    expect(cache.createEntry(authorized, MATCH, 200, {'cache-control': 'max-age=60'}, 'x')).to.be.null;
+    expect(cache.createEntry(authorized, MATCH, 200, {'cache-control': 'public, max-age=60'}, 'x')).to.not.be.null;
+  });
+
+  it('should keep a variant per vary header value', async() => {
+    let english = {method: 'GET', url: '/v1/items/1', headers: {'accept-language': 'en'}};
+    let french = {method: 'GET', url: '/v1/items/1', headers: {'accept-language': 'fr'}};
+    await cache.save(cache.createEntry(english, MATCH, 200, {'cache-control': 'max-age=60', 'vary': 'Accept-Language'}, 'hello'));
+    expect((await cache.lookup(english, MATCH)).payLoad.toString()).to.equal('hello');
+    expect(await cache.lookup(french, MATCH)).to.be.null;
+  });
+
+  it('should skip lookups for requests with no-cache', async() => {
+    let request = {method: 'GET', url: '/v1/items/1', headers: {}};
+    await cache.save(cache.createEntry(request, MATCH, 200, {'cache-control': 'max-age=60'}, 'x'));
+    expect(await cache.lookup({method: 'GET', url: '/v1/items/1', headers: {'cache-control': 'no-cache'}}, MATCH)).to.be.null;
+  });
+
+  it('should evaluate conditional requests', () => {
+    let headers = {'etag': 'W/"abc"', 'last-modified': 'Mon, 05 Oct 2026 10:00:00 GMT'};
+    expect(cache.isNotModified({method: 'GET', headers: {'if-none-match': '"abc"'}}, headers)).to.be.true;
+    expect(cache.isNotModified({method: 'GET', headers: {'if-none-match': '"xyz", "abc"'}}, headers)).to.be.true;
+    expect(cache.isNotModified({method: 'GET', headers: {'if-none-match': '"xyz"'}}, headers)).to.be.false;
+    expect(cache.isNotModified({method: 'GET', headers: {'if-modified-since': 'Tue, 06 Oct 2026 10:00:00 GMT'}}, headers)).to.be.true;
+    expect(cache.isNotModified({method: 'GET', headers: {'if-modified-since': 'Sun, 04 Oct 2026 10:00:00 GMT'}}, headers)).to.be.false;
+    expect(cache.isNotModified({method: 'POST', headers: {'if-none-match': '*'}}, headers)).to.be.false;
+  });
+
+  it('should purge by service and url', async() => {
+    let first = {method: 'GET', url: '/v1/items/1', headers: {}};
+    let tenth = {method: 'GET', url: '/v1/items/10', headers: {}};
+    await cache.save(cache.createEntry(first, MATCH, 200, {'cache-control': 'max-age=60'}, 'x'));
+    await cache.save(cache.createEntry(tenth, MATCH, 200, {'cache-control': 'max-age=60'}, 'y'));
+    expect(await cache.purge(null, '/v1/items/1')).to.equal(2);
+    expect(await cache.lookup(first, MATCH)).to.be.null;
+    expect(await cache.lookup(tenth, MATCH)).to.not.be.null;
+    expect(await cache.purge('items-svcs')).to.equal(2);
+    expect(await cache.lookup(tenth, MATCH)).to.be.null;
+  });
+});
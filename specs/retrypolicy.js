@@ -0,0 +1,84 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const RetryPolicy = require('../lib/retrypolicy');
+
+describe('RetryPolicy', () => {
+  let retryPolicy;
+  let random = Math.random;
+
+  beforeEach(() => {
+    retryPolicy = new RetryPolicy();
+    retryPolicy.init({
+      retry: {
+        maxAttempts: 1,
+        services: {
+          'catalog-svcs': {maxAttempts: 3, baseDelay: 100, maxDelay: 250}
+        },
+        routes: {
+          '[get]/v1/catalog/search': {maxAttempts: 2, retryOn: [503]},
+          '[post]/v1/catalog/import': {methods: ['post']}
+        }
+      }
+    });
+  });
+
+  afterEach(() => {
+    Math.random = random;
+  });
+
+  it('should not retry by default', () => {
+    let policy = retryPolicy.getPolicy('other-svcs', 'GET');
+    expect(retryPolicy.isRetryable(policy)).to.be.false;
+    expect(retryPolicy.shouldRetry(policy, 1, 503)).to.be.false;
+  });
+
+  it('should retry configured status codes until attempts run out', () => {
+    let policy = retryPolicy.getPolicy('catalog-svcs', 'GET', '/v1/catalog/:id');
+    expect(retryPolicy.shouldRetry(policy, 1, 502)).to.be.true;
+    expect(retryPolicy.shouldRetry(policy, 2, 504)).to.be.true;
+    expect(retryPolicy.shouldRetry(policy, 3, 503)).to.be.false;
+    expect(retryPolicy.shouldRetry(policy, 1, 500)).to.be.false;
+    expect(retryPolicy.shouldRetry(policy, 1, 200)).to.be.false;
+  });
+
+  it('should apply route policies over service policies', () => {
+    let policy = retryPolicy.getPolicy('catalog-svcs', 'GET', '/v1/catalog/search');
+    expect(retryPolicy.shouldRetry(policy, 1, 503)).to.be.true;
+    expect(retryPolicy.shouldRetry(policy, 1, 502)).to.be.false;
+    expect(retryPolicy.shouldRetry(policy, 2, 503)).to.be.false;
+  });
+
+  it('should only retry idempotent methods unless configured otherwise', () => {
+    ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'].forEach((method) => {
+      expect(retryPolicy.isRetryable(retryPolicy.getPolicy('catalog-svcs', method, '/v1/catalog/:id'))).to.be.true;
+    });
+    ['POST', 'PATCH'].forEach((method) => {
+      let policy = retryPolicy.getPolicy('catalog-svcs', method, '/v1/catalog/:id');
+      expect(retryPolicy.isRetryable(policy)).to.be.false;
+      expect(retryPolicy.shouldRetry(policy, 1, 503)).to.be.false;
+    });
+    let policy = retryPolicy.getPolicy('catalog-svcs', 'POST', '/v1/catalog/import');
+    expect(retryPolicy.shouldRetry(policy, 1, 503)).to.be.true;
+  });
+
+  it('should grow delays exponentially up to maxDelay with full jitter', () => {
+    let policy = retryPolicy.getPolicy('catalog-svcs', 'GET');
+    Math.random = () => 0;
+    expect(retryPolicy.getDelay(policy, 1)).to.equal(0);
+    expect(retryPolicy.getDelay(policy, 3)).to.equal(0);
+    Math.random = () => 0.999;
+    expect(retryPolicy.getDelay(policy, 1)).to.equal(99);
+    expect(retryPolicy.getDelay(policy, 2)).to.equal(199);
+    expect(retryPolicy.getDelay(policy, 3)).to.equal(249);
+    expect(retryPolicy.getDelay(policy, 10)).to.equal(249);
+
+    Math.random = random;
+    for (let attempt = 1; attempt < 6; attempt += 1) {
+      let delay = retryPolicy.getDelay(policy, attempt);
+      expect(delay).to.be.at.least(0);
+      expect(delay).to.be.below(Math.min(250, 100 * Math.pow(2, attempt - 1)));
+    }
+  });
+});
@@ -0,0 +1,54 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const Rooms = require('../lib/rooms');
+
+describe('Rooms', () => {
+  let rooms;
+
+  beforeEach(() => {
+    rooms = new Rooms({});
+  });
+
+  it('should record the user id of authenticated clients', () => {
+    let member = rooms.createMember('router-a', {id: 'client-1', authResponse: {sub: 'user-7'}}, {name: 'Ada'});
+    expect(member).to.include({clientID: 'client-1', routerID: 'router-a', userID: 'user-7'});
+    expect(member.metadata).to.deep.equal({name: 'Ada'});
+    expect(rooms.createMember('router-a', {id: 'client-2'}, 'ignored')).to.not.have.property('userID');
+  });
+
+  it('should read nested identity claims', () => {
+    rooms = new Rooms({rooms: {identityClaim: 'user.id'}});
+    expect(rooms.createMember('router-a', {id: 'client-1', authResponse: {user: {id: 42}}}).userID).to.equal(42);
+  });
+
+  it('should track members across router instances', () => {
+    expect(rooms.join('lobby', rooms.createMember('router-a', {id: 'client-1'}))).to.be.true;
+    expect(rooms.join('lobby', rooms.createMember('router-a', {id: 'client-1'}, {away: true}))).to.be.false;
+    rooms.join('lobby', rooms.createMember('router-b', {id: 'client-2'}));
+    rooms.join('games', rooms.createMember('router-b', {id: 'client-2'}));
+
+    expect(rooms.getMembers('lobby').map((member) => member.clientID)).to.have.members(['client-1', 'client-2']);
+    expect(rooms.getMembers('lobby')[0].metadata).to.deep.equal({away: true});
+    expect(rooms.getCounts()).to.deep.equal({lobby: 2, games: 1});
+    expect(rooms.hasRemoteMembers('router-a', 'games')).to.be.true;
+    expect(rooms.getClientRooms('router-b', 'client-2')).to.deep.equal(['lobby', 'games']);
+
+    expect(rooms.leave('router-b', 'client-2', 'games').clientID).to.equal('client-2');
+    expect(rooms.leave('router-b', 'client-2', 'games')).to.be.null;
+    rooms.removeRouter('router-a');
+    expect(rooms.getCounts()).to.deep.equal({lobby: 1});
+  });
+
+  it('should keep room names named like Object properties apart from Object.prototype', () => {
+    expect(rooms.join('__proto__', rooms.createMember('router-a', {id: 'client-1'}))).to.be.true;
+    expect(rooms.join('prototype', rooms.createMember('router-a', {id: 'client-1'}))).to.be.true;
+    rooms.setRouterRooms('router-b', JSON.parse('{"__proto__": {"client-2": {"clientID": "client-2"}}}'));
+    expect(rooms.getMembers('__proto__').map((member) => member.clientID)).to.have.members(['client-1', 'client-2']);
+    expect(rooms.getClientRooms('router-a', 'client-1')).to.deep.equal(['__proto__', 'prototype']);
+    expect(rooms.isMember('router-b', 'client-1', 'constructor')).to.be.false;
+    expect({}['client-1']).to.be.undefined;
+    expect({}['client-2']).to.be.undefined;
+  });
+});
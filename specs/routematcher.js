@@ -0,0 +1,164 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const RouteMatcher = require('../lib/routematcher');
+
+const SERVICE_COUNT = 150;
+const LOOKUPS = 200;
+
+/**
+* @name createRouterTable
+* @summary build a router table resembling a large deployment
+* @param {number} count - number of services
+* @return {object} routerTable - service names mapped to route entries
+*/
+function createRouterTable(count) {
+  let routerTable = {};
+  for (let i = 0; i < count; i += 1) {
+    routerTable[`svc${i}-svcs`] = RouteMatcher.createRouteItems([
+      `[get]/v1/svc${i}/items`,
+      `[post]/v1/svc${i}/items`,
+      `[get]/v1/svc${i}/items/:id`,
+      `[put]/v1/svc${i}/items/:id`,
+      `[delete]/v1/svc${i}/items/:id`,
+      `[get]/v1/svc${i}/items/:id/history(/:page)`,
+      `[get]/v1/svc${i}/files/*path`,
+      `[get]/v1/svc${i}/health`
+    ]);
+  }
+  return routerTable;
+}
+
+/**
+* @name linearMatch
+* @summary reference matcher which scans every route in precedence order
+* @param {object} matcher - compiled RouteMatcher
+* @param {string} method - HTTP method
+* @param {string} pathname - url path
+* @return {object} routeInfo - same shape as RouteMatcher.match
+*/
+function linearMatch(matcher, method, pathname) {
+  let allow = [];
+  method = method.toLowerCase();
+  for (let routeEntry of matcher.routes) {
+    let matchTest = routeEntry.route.match(pathname);
+    if (matchTest) {
+      if (!routeEntry.method || routeEntry.method === method) {
+        return {
+          serviceName: routeEntry.serviceName,
+          params: matchTest,
+          method: routeEntry.method,
+          pattern: routeEntry.pattern
+        };
+      }
+      if (allow.indexOf(routeEntry.method) < 0) {
+        allow.push(routeEntry.method);
+      }
+    }
+  }
+  return (allow.length) ? {allow: allow.map((m) => m.toUpperCase())} : null;
+}
+
+/**
+* @name createLookups
+* @summary build a mixed list of requests to resolve
+* @param {number} count - number of lookups
+* @return {array} lookups - list of [method, pathname]
+*/
+function createLookups(count) {
+  let lookups = [];
+  for (let i = 0; i < count; i += 1) {
+    let svc = (i * 7) % SERVICE_COUNT;
+    switch (i % 8) {
+      case 0: lookups.push(['GET', `/v1/svc${svc}/items`]); break;
+      case 1: lookups.push(['PUT', `/v1/svc${svc}/items/${i}`]); break;
+      case 2: lookups.push(['GET', `/v1/svc${svc}/items/${i}/history`]); break;
+      case 3: lookups.push(['GET', `/v1/svc${svc}/items/${i}/history/2`]); break;
+      case 4: lookups.push(['GET', `/v1/svc${svc}/files/a/b/c.txt`]); break;
+      case 5: lookups.push(['PATCH', `/v1/svc${svc}/items/${i}`]); break;
+      case 6: lookups.push(['GET', `/v1/svc${svc}/missing`]); break;
+      default: lookups.push(['GET', `/v1/svc${svc}/items/caf%C3%A9`]); break;
+    }
+  }
+  return lookups;
+}
+
+/**
+* @name countRouteTests
+* @summary count how many route patterns a matcher function tests per lookup
+* @param {object} matcher - compiled RouteMatcher
+* @param {function} matchFn - function taking (method, pathname)
+* @param {array} lookups - list of [method, pathname]
+* @return {array} counts - number of patterns tested for each lookup
+*/
+function countRouteTests(matcher, matchFn, lookups) {
+  let count = 0;
+  let originals = matcher.routes.map((routeEntry) => {
+    let match = routeEntry.route.match;
+    routeEntry.route.match = (...args) => {
+      count += 1;
+      return match.apply(routeEntry.route, args);
+    };
+    return match;
+  });
+  try {
+    return lookups.map(([method, pathname]) => {
+      count = 0;
+      matchFn(method, pathname);
+      return count;
+    });
+  } finally {
+    matcher.routes.forEach((routeEntry, idx) => {
+      routeEntry.route.match = originals[idx];
+    });
+  }
+}
+
+describe('RouteMatcher', () => {
+  let matcher,
+    lookups;
+
+  before(() => {
+    matcher = new RouteMatcher();
+    matcher.compile(createRouterTable(SERVICE_COUNT));
+    lookups = createLookups(LOOKUPS);
+  });
+
+  it('should prefer static segments over params', () => {
+    let m = new RouteMatcher();
+    m.compile({
+      'users-svcs': RouteMatcher.createRouteItems(['[get]/v1/users/:id']),
+      'me-svcs': RouteMatcher.createRouteItems(['[get]/v1/users/me'])
+    });
+    expect(m.match('GET', '/v1/users/me').serviceName).to.equal('me-svcs');
+    expect(m.match('GET', '/v1/users/42')).to.deep.include({serviceName: 'users-svcs', params: {id: '42'}});
+  });
+
+  it('should honour explicit priority', () => {
+    let m = new RouteMatcher();
+    m.compile({
+      'users-svcs': RouteMatcher.createRouteItems([{route: '[get]/v1/users/:id', priority: 10}]),
+      'me-svcs': RouteMatcher.createRouteItems(['[get]/v1/users/me'])
+    });
+    expect(m.match('GET', '/v1/users/me').serviceName).to.equal('users-svcs');
+  });
+
+  it('should list allowed methods when only the path matches', () => {
+    expect(matcher.match('PATCH', '/v1/svc1/items/9').allow).to.have.members(['PUT', 'DELETE', 'GET']);
+  });
+
+  it('should resolve the same routes as a linear scan', () => {
+    for (let [method, pathname] of lookups) {
+      expect(matcher.match(method, pathname)).to.deep.equal(linearMatch(matcher, method, pathname));
+    }
+  });
+
+  it('should only test the routes sharing a lookup\'s path prefix', () => {
+    let linearTests = countRouteTests(matcher, (method, pathname) => linearMatch(matcher, method, pathname), lookups);
+    let treeTests = countRouteTests(matcher, (method, pathname) => matcher.match(method, pathname), lookups);
+    // each service has 8 routes, so no lookup should test more than those
+    expect(Math.max(...treeTests)).to.be.at.most(8);
+    expect(treeTests.reduce((a, b) => a + b)).to.be.below(linearTests.reduce((a, b) => a + b) / 10);
+  });
+}).timeout(30000);
@@ -0,0 +1,784 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const http = require('http');
+const zlib = require('zlib');
+const request = require('superagent');
+const hydra = require('hydra');
+const serviceRouter = require('../lib/servicerouter');
+
+const STUBS = {
+  getServiceName: () => 'hydra-router',
+  getInstanceID: () => 'router-instance',
+  on: () => {},
+  getClonedRedisClient: () => ({
+    select: (dbNum, cb) => cb(null),
+    rpush: (key, value, cb) => cb(null, 1),
+    expire: () => {}
+  }),
+  sendBroadcastMessage: () => {},
+  getAllServiceRoutes: () => Promise.resolve({}),
+  log: () => {}
+};
+
+describe('ServiceRouter.routeRequest', () => {
+  let originals = {};
+  let calls = [];
+  let upstreamRequests = [];
+  let server,
+    upstream,
+    baseUrl;
+
+  before((done) => {
+    upstream = http.createServer((req, res) => {
+      let body = [];
+      req.on('data', (data) => body.push(data));
+      req.on('end', () => {
+        upstreamRequests.push({method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(body)});
+        let reply = () => {
+          res.writeHead(201, {'content-type': 'text/plain', 'keep-alive': 'timeout=5'});
+          res.end('stored');
+        };
+        (req.url === '/v1/slow') ? setTimeout(reply, 300) : reply();
+      });
+    });
+
+    Object.keys(STUBS).forEach((name) => {
+      originals[name] = hydra[name];
+      hydra[name] = STUBS[name];
+    });
+    originals.makeAPIRequest = hydra.makeAPIRequest;
+    hydra.makeAPIRequest = (msg) => {
+      calls.push(msg);
+      let payLoad = JSON.stringify({statusCode: 200, result: {received: msg.body}});
+      return Promise.resolve({
+        statusCode: 200,
+        headers: {'content-type': 'application/json'},
+        payLoad: Buffer.from(payLoad)
+      });
+    };
+    originals.getServicePresence = hydra.getServicePresence;
+    hydra.getServicePresence = (serviceName) => Promise.resolve([{
+      instanceID: 'items-instance',
+      serviceName,
+      ip: '127.0.0.1',
+      port: upstream.address().port
+    }]);
+    upstream.listen(0, () => {
+      serviceRouter.init({
+        hydra: {},
+        cors: {},
+        requestTimeout: 5,
+        routerToken: '',
+        rewrites: {
+          routes: {
+            '[get]/v1/legacy/items/:id': {path: '/item.php?id={id}'}
+          }
+        },
+        headerRewrites: {
+          request: {remove: ['x-internal-debug']},
+          response: {add: {'x-frame-options': 'DENY'}}
+        },
+        cache: {
+          routes: {
+            '[get]/v1/items/:id': {enabled: true, ttl: 60}
+          }
+        },
+        upstreams: {
+          'legacy-php': {urls: [`http://127.0.0.1:${upstream.address().port}/app`]}
+        },
+        proxy: {
+          routes: {
+            '[post]/v1/uploads': {parseMultipart: true},
+            '[patch]/v1/items/:id': {maxBodySize: 1024},
+            '[put]/v1/items/:id': {streaming: true, maxBodySize: 1024}
+          }
+        },
+        longPolling: {
+          maxMessageSize: 1024
+        },
+        timeouts: {
+          routes: {
+            '[get]/v1/slow': {timeout: 0.1, maxClientTimeout: 1},
+            '[post]/v1/slow': {timeout: 0.1}
+          }
+        },
+        circuitBreaker: {
+          services: {
+            'flaky-svcs': {enabled: true, volumeThreshold: 1, openDuration: 30}
+          }
+        },
+        retry: {
+          services: {
+            'catalog-svcs': {maxAttempts: 2, baseDelay: 1, maxDelay: 1}
+          }
+        },
+        httpAuth: {
+          routes: {
+            '[get]/v1/secure/:id': {mode: 'service', authService: 'auth-svcs', authServiceAPI: 'v1/auth/http'}
+          }
+        }
+      }, {
+        'items-svcs': ['[get]/v1/items/:id', '[put]/v1/items/:id', '[patch]/v1/items/:id', '[delete]/v1/items/:id', '[post]/v1/items', '[post]/v1/uploads', '[get]/v1/legacy/items/:id'],
+        'legacy-php': ['/legacy/*path'],
+        'flaky-svcs': ['[get]/v1/flaky'],
+        'slow-svcs': ['[get]/v1/slow', '[get]/v1/slow/:id', '[post]/v1/slow'],
+        'secure-svcs': ['[get]/v1/secure/:id'],
+        'catalog-svcs': ['[get]/v1/catalog/:id'],
+        'hydra-router': [
+          '[get]/v1/router/events', '[post]/v1/router/poll', '[get]/v1/router/poll/:id', '[post]/v1/router/poll/:id', '[delete]/v1/router/poll/:id',
+          '[get]/v1/router/list/:thing', '[post]/v1/router/publish',
+          '[post]/v1/router/broadcast', '[get]/v1/router/rooms/:room', '[get]/v1/router/breakers'
+        ]
+      });
+      server = http.createServer((req, res) => serviceRouter.routeRequest(req, res));
+      server.listen(0, () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        done();
+      });
+    });
+  });
+
+  after((done) => {
+    Object.keys(originals).forEach((name) => {
+      hydra[name] = originals[name];
+    });
+    upstream.close();
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    calls.length = 0;
+    upstreamRequests.length = 0;
+  });
+
+  it('should answer with a 405 listing the allowed methods when no route matches the method', async() => {
+    let res = await request.post(`${baseUrl}/v1/items/1`).send({name: 'widget'}).ok(() => true);
+    expect(res.status).to.equal(405);
+    expect(res.headers['allow'].split(', ').sort()).to.deep.equal(['DELETE', 'GET', 'PATCH', 'PUT']);
+    expect(res.body.result.reason).to.equal('Method POST not allowed for /v1/items/1');
+    res = await request.delete(`${baseUrl}/v1/secure/1`).ok(() => true);
+    expect(res.status).to.equal(405);
+    expect(res.headers['allow']).to.equal('GET');
+    expect(calls).to.have.lengthOf(0);
+  });
+
+  it('should forward PATCH bodies', async() => {
+    let res = await request.patch(`${baseUrl}/v1/items/1`).send({name: 'widget'});
+    expect(res.status).to.equal(200);
+    expect(calls[0].to).to.equal('items-svcs:[patch]/v1/items/1');
+    expect(calls[0].body).to.deep.equal({name: 'widget'});
+  });
+
+  it('should forward DELETE bodies', async() => {
+    let res = await request.delete(`${baseUrl}/v1/items/1`).send({reason: 'duplicate'});
+    expect(res.status).to.equal(200);
+    expect(calls[0].to).to.equal('items-svcs:[delete]/v1/items/1');
+    expect(calls[0].body).to.deep.equal({reason: 'duplicate'});
+  });
+
+  it('should forward requests without bodies', async() => {
+    let res = await request.delete(`${baseUrl}/v1/items/1`);
+    expect(res.status).to.equal(200);
+    expect(calls[0].body).to.deep.equal({});
+  });
+
+  it('should answer HEAD requests with headers only', async() => {
+    let res = await request.head(`${baseUrl}/v1/items/1`);
+    expect(res.status).to.equal(200);
+    expect(calls[0].to).to.equal('items-svcs:[get]/v1/items/1');
+    expect(Number(res.headers['content-length'])).to.be.above(0);
+    expect(res.text).to.be.undefined;
+  });
+
+  it('should apply the settings of GET routes to HEAD requests', async() => {
+    let res = await request.get(`${baseUrl}/v1/secure/1`).ok(() => true);
+    expect(res.status).to.equal(401);
+    res = await request.head(`${baseUrl}/v1/secure/1`).ok(() => true);
+    expect(res.status).to.equal(401);
+    expect(calls).to.have.lengthOf(0);
+  });
+
+  it('should answer with a 503 when the auth service can\'t be reached', async() => {
+    let makeAPIRequest = hydra.makeAPIRequest;
+    hydra.makeAPIRequest = () => Promise.reject(new Error('connect ECONNREFUSED'));
+    let res;
+    try {
+      res = await request.get(`${baseUrl}/v1/secure/2`).set('authorization', 'Bearer abc').ok(() => true);
+    } finally {
+      hydra.makeAPIRequest = makeAPIRequest;
+    }
+    expect(res.status).to.equal(503);
+    expect(res.body.result.reason).to.equal('auth-svcs is unavailable');
+  });
+
+  it('should serve cached GET responses and answer conditional requests', async() => {
+    let res = await request.get(`${baseUrl}/v1/items/2`);
+    expect(res.headers['x-hydra-cache']).to.equal('MISS');
+    res = await request.get(`${baseUrl}/v1/items/2`);
+    expect(res.headers['x-hydra-cache']).to.equal('HIT');
+    expect(res.body.result.received).to.deep.equal({});
+    expect(calls).to.have.lengthOf(1);
+    res = await request.get(`${baseUrl}/v1/items/2`)
+      .set('if-none-match', res.headers['etag'])
+      .ok((res) => res.status === 304);
+    expect(res.status).to.equal(304);
+    expect(calls).to.have.lengthOf(1);
+  });
+
+  it('should rewrite request and response headers', async() => {
+    let res = await request.get(`${baseUrl}/v1/items/3`).set('x-internal-debug', '1');
+    expect(calls[0].headers['x-internal-debug']).to.be.undefined;
+    expect(res.headers['x-frame-options']).to.equal('DENY');
+    res = await request.post(`${baseUrl}/v1/items`)
+      .set('content-type', 'text/plain')
+      .set('x-internal-debug', '1')
+      .send('streamed');
+    expect(upstreamRequests[0].headers['x-internal-debug']).to.be.undefined;
+    expect(res.headers['x-frame-options']).to.equal('DENY');
+  });
+
+  it('should answer with a 500 when a service response can\'t be sent', async() => {
+    let makeAPIRequest = hydra.makeAPIRequest;
+    hydra.makeAPIRequest = (msg) => {
+      calls.push(msg);
+      return Promise.resolve({
+        statusCode: 200,
+        headers: {'content-type': 'text/plain', 'x-note': 'line\nbreak'},
+        payLoad: Buffer.from('ok')
+      });
+    };
+    let res;
+    try {
+      res = await request.get(`${baseUrl}/v1/items/4`).ok(() => true);
+      expect(res.status).to.equal(500);
+      // responses which couldn't be sent are not cached
+      res = await request.get(`${baseUrl}/v1/items/4`).ok(() => true);
+    } finally {
+      hydra.makeAPIRequest = makeAPIRequest;
+    }
+    expect(res.status).to.equal(500);
+    expect(calls).to.have.lengthOf(2);
+
+    let entry = serviceRouter.responseCache.createEntry({url: '/v1/items/6', headers: {}}, {serviceName: 'items-svcs', pattern: '/v1/items/:id'},
+      200, {'content-type': 'text/plain', 'x-note': 'line\nbreak'}, 'ok');
+    await serviceRouter.responseCache.save(entry);
+    res = await request.get(`${baseUrl}/v1/items/6`).ok(() => true);
+    expect(res.status).to.equal(500);
+    expect(calls).to.have.lengthOf(2);
+  });
+
+  it('should retry requests which fail outright', async() => {
+    let makeAPIRequest = hydra.makeAPIRequest;
+    let attempts = [];
+    hydra.makeAPIRequest = (msg) => {
+      attempts.push(msg.headers['x-hydra-attempt']);
+      return (attempts.length === 1) ? Promise.reject(new Error('socket hang up')) : makeAPIRequest(msg);
+    };
+    let res;
+    try {
+      res = await request.get(`${baseUrl}/v1/catalog/1`);
+    } finally {
+      hydra.makeAPIRequest = makeAPIRequest;
+    }
+    expect(res.status).to.equal(200);
+    expect(attempts).to.deep.equal(['1', '2']);
+  });
+
+  it('should fail fast with a 503 while a circuit breaker is open', async() => {
+    let makeAPIRequest = hydra.makeAPIRequest;
+    hydra.makeAPIRequest = (msg) => {
+      calls.push(msg);
+      return Promise.resolve({
+        statusCode: 500,
+        headers: {'content-type': 'application/json'},
+        payLoad: Buffer.from(JSON.stringify({statusCode: 500, result: {reason: 'broken'}}))
+      });
+    };
+    let res;
+    try {
+      res = await request.get(`${baseUrl}/v1/flaky`).ok(() => true);
+      expect(res.status).to.equal(500);
+      res = await request.get(`${baseUrl}/v1/flaky`).ok(() => true);
+    } finally {
+      hydra.makeAPIRequest = makeAPIRequest;
+    }
+    expect(res.status).to.equal(503);
+    expect(Number(res.headers['retry-after'])).to.be.within(29, 30);
+    expect(calls).to.have.lengthOf(1);
+
+    res = await request.get(`${baseUrl}/v1/router/breakers`);
+    expect(res.body.result['flaky-svcs']).to.include({state: 'open', requests: 1, failures: 1, errorRate: 100});
+    expect(res.body.result['flaky-svcs'].retryAfter).to.be.within(29, 30);
+  });
+
+  it('should answer with a 504 when a service doesn\'t respond in time', async() => {
+    let makeAPIRequest = hydra.makeAPIRequest;
+    hydra.makeAPIRequest = (msg, options) => {
+      calls.push({msg, options});
+      return new Promise((resolve) => setTimeout(() => resolve({
+        statusCode: 200,
+        headers: {'content-type': 'text/plain'},
+        payLoad: Buffer.from('done')
+      }), 300));
+    };
+    let slow,
+      overridden,
+      unconfigured;
+    try {
+      // the route timeout of 0.1 seconds applies instead of requestTimeout
+      slow = await request.get(`${baseUrl}/v1/slow`).ok(() => true);
+      overridden = await request.get(`${baseUrl}/v1/slow`).set('x-hydra-timeout', '0.5').ok(() => true);
+      unconfigured = await request.get(`${baseUrl}/v1/slow/1`).ok(() => true);
+    } finally {
+      hydra.makeAPIRequest = makeAPIRequest;
+    }
+    expect(slow.status).to.equal(504);
+    expect(slow.body.result.reason).to.equal('slow-svcs did not respond within 0.1 seconds');
+    expect(overridden.status).to.equal(200);
+    expect(calls[1].options.timeout).to.equal(0.5);
+    expect(unconfigured.status).to.equal(200);
+    expect(calls[2].options.timeout).to.equal(5);
+
+    // client timeouts are capped at maxClientTimeout and only allowed where it is set
+    expect(serviceRouter._getRequestTimeout('slow-svcs', 'GET', '/v1/slow', {'x-hydra-timeout': '30'})).to.equal(1);
+    expect(serviceRouter._getRequestTimeout('slow-svcs', 'GET', '/v1/slow/:id', {'x-hydra-timeout': '0.5'})).to.equal(5);
+  });
+
+  it('should answer with a 429 and RateLimit headers when rate limited', async() => {
+    let consume = serviceRouter.rateLimiter.consume;
+    let results = [
+      {allowed: true, limit: 2, remaining: 1, reset: 30, retryAfter: 1},
+      {allowed: false, limit: 2, remaining: 0, reset: 60, retryAfter: 30}
+    ];
+    let contexts = [];
+    serviceRouter.rateLimiter.consume = (context) => {
+      contexts.push(context);
+      return Promise.resolve(results.shift());
+    };
+    let allowed,
+      limited;
+    try {
+      allowed = await request.get(`${baseUrl}/v1/items/5`).set('x-forwarded-for', '10.0.0.7, 10.0.0.1');
+      limited = await request.get(`${baseUrl}/v1/items/5`).ok(() => true);
+    } finally {
+      serviceRouter.rateLimiter.consume = consume;
+    }
+    expect(contexts[0]).to.include({serviceName: 'items-svcs', method: 'GET', pattern: '/v1/items/:id'});
+    expect(contexts[0].ip).to.match(/127\.0\.0\.1$/);
+    expect(allowed.status).to.equal(200);
+    expect(allowed.headers).to.include({'ratelimit-limit': '2', 'ratelimit-remaining': '1', 'ratelimit-reset': '30'});
+    expect(limited.status).to.equal(429);
+    expect(limited.headers).to.include({'ratelimit-remaining': '0', 'retry-after': '30'});
+    expect(calls).to.have.lengthOf(1);
+  });
+
+  it('should only trust x-forwarded-for entries added by trusted proxies', () => {
+    expect(serviceRouter._getClientIP('10.0.0.7, 10.0.0.1', '10.0.0.2')).to.equal('10.0.0.2');
+    serviceRouter.config.trustedProxies = 1;
+    try {
+      expect(serviceRouter._getClientIP('10.0.0.7, 10.0.0.1', '10.0.0.2')).to.equal('10.0.0.1');
+      expect(serviceRouter._getClientIP(undefined, '10.0.0.2')).to.equal('10.0.0.2');
+      serviceRouter.config.trustedProxies = 2;
+      expect(serviceRouter._getClientIP('10.0.0.7, 10.0.0.1', '10.0.0.2')).to.equal('10.0.0.7');
+    } finally {
+      delete serviceRouter.config.trustedProxies;
+    }
+  });
+
+  it('should answer rate limited websocket messages with an error', async() => {
+    let sent = [];
+    let ws = {send: (data) => sent.push(JSON.parse(data)), close: () => {}, ipAddr: '10.0.0.7'};
+    serviceRouter.sendConnectMessage(ws, null, {headers: {}, connection: {remoteAddress: '127.0.0.1'}});
+    let consume = serviceRouter.rateLimiter.consume;
+    serviceRouter.rateLimiter.consume = () => Promise.resolve({allowed: false, limit: 2, remaining: 0, reset: 60, retryAfter: 30});
+    try {
+      await serviceRouter.routeWSMessage(ws, JSON.stringify({
+        to: 'items-svcs:[get]/v1/items/5', frm: `${ws.id}@client:/`, bdy: {}
+      }));
+    } finally {
+      serviceRouter.rateLimiter.consume = consume;
+    }
+    expect(sent[1].bdy.error).to.equal('Rate limit exceeded, retry after 30 seconds');
+    expect(calls).to.have.lengthOf(0);
+    serviceRouter.wsDisconnect(ws);
+  });
+
+  it('should rewrite request paths', async() => {
+    let res = await request.get(`${baseUrl}/v1/legacy/items/7?fields=name`);
+    expect(res.status).to.equal(200);
+    expect(calls[0].to).to.equal('items-svcs:[get]/item.php?id=7&fields=name');
+  });
+
+  it('should proxy routes of upstream pools directly', async() => {
+    let res = await request.post(`${baseUrl}/legacy/form.php?step=2`)
+      .type('form')
+      .send({name: 'widget'});
+    expect(res.status).to.equal(201);
+    expect(res.text).to.equal('stored');
+    expect(calls).to.be.empty;
+    expect(upstreamRequests[0].url).to.equal('/app/legacy/form.php?step=2');
+    expect(upstreamRequests[0].headers['host']).to.equal(`127.0.0.1:${upstream.address().port}`);
+    expect(upstreamRequests[0].headers['content-type']).to.equal('application/x-www-form-urlencoded');
+    expect(upstreamRequests[0].body.toString()).to.equal('name=widget');
+  });
+
+  it('should register Server-Sent Events clients', (done) => {
+    let req = http.get(`${baseUrl}/v1/router/events`, (res) => {
+      expect(res.headers['content-type']).to.equal('text/event-stream; charset=utf-8');
+      let received = '';
+      res.on('data', (data) => {
+        received += data;
+        let match = /^id: ([\w.-]+):1\ndata: (.*)$/m.exec(received);
+        if (match) {
+          let welcome = JSON.parse(match[2]);
+          expect(welcome.typ).to.equal('connection');
+          expect(welcome.bdy.reconnectToken).to.equal(match[1]);
+          expect(serviceRouter.wsLocalClients[welcome.bdy.id]).to.exist;
+          req.destroy();
+          setTimeout(() => {
+            expect(serviceRouter.wsLocalClients[welcome.bdy.id]).to.be.undefined;
+            done();
+          }, 20);
+        }
+      });
+    });
+  });
+
+  it('should register long-polling clients', async() => {
+    let res = await request.post(`${baseUrl}/v1/router/poll`);
+    expect(res.status).to.equal(200);
+    expect(res.body).to.have.lengthOf(1);
+    expect(res.body[0].typ).to.equal('connection');
+    let clientID = res.body[0].bdy.id;
+    expect(serviceRouter.wsLocalClients[clientID]).to.exist;
+    await request.delete(`${baseUrl}/v1/router/poll/${clientID}`)
+      .set('x-hydra-reconnect-token', res.body[0].bdy.reconnectToken);
+    expect(serviceRouter.wsLocalClients[clientID]).to.be.undefined;
+  });
+
+  it('should publish messages to topic subscribers', async() => {
+    let sent = [];
+    let ws = {send: (data) => sent.push(JSON.parse(data)), close: () => {}};
+    serviceRouter.sendConnectMessage(ws, null, {headers: {}, connection: {remoteAddress: '127.0.0.1'}});
+    await serviceRouter.routeWSMessage(ws, JSON.stringify({
+      to: 'hydra-router:/', frm: `${ws.id}@client:/`, typ: 'subscribe', bdy: {topic: 'news'}
+    }));
+    expect(sent[1].bdy).to.deep.equal({topic: 'news', subscribed: true});
+
+    let res = await request.get(`${baseUrl}/v1/router/list/topics`);
+    expect(res.body.result).to.deep.equal({news: 1});
+    await request.post(`${baseUrl}/v1/router/publish`)
+      .send({to: 'hydra-router:/', frm: 'news-svcs:/', bdy: {topic: 'news', headline: 'hello'}});
+    expect(sent[2]).to.include({to: `${ws.id}@client:/`, frm: 'news-svcs:/', typ: 'publish'});
+    expect(sent[2].bdy).to.deep.equal({topic: 'news', headline: 'hello'});
+
+    serviceRouter.wsDisconnect(ws);
+    res = await request.get(`${baseUrl}/v1/router/list/topics`);
+    expect(res.body.result).to.deep.equal({});
+  });
+
+  it('should reject topic names named like Object properties', async() => {
+    let sent = [];
+    let ws = {send: (data) => sent.push(JSON.parse(data)), close: () => {}};
+    serviceRouter.sendConnectMessage(ws, null, {headers: {}, connection: {remoteAddress: '127.0.0.1'}});
+    await serviceRouter.routeWSMessage(ws, JSON.stringify({
+      to: 'hydra-router:/', frm: `${ws.id}@client:/`, typ: 'subscribe', bdy: {topic: '__proto__'}
+    }));
+    expect(sent[1].bdy.error).to.equal('subscribe message missing topic');
+    serviceRouter._handleIncomingChannelMessage({
+      to: 'hydra-router:/', frm: 'remote@hydra-router:/', typ: 'topic.sub',
+      bdy: {routerID: 'remote-router', clientID: 'remote-client', topic: 'constructor'}
+    });
+    expect(serviceRouter.topics.getSubscribers('remote-router', 'constructor')).to.deep.equal([]);
+    expect({}['remote-client']).to.be.undefined;
+    serviceRouter.wsDisconnect(ws);
+  });
+
+  it('should keep room membership and broadcast to rooms', async() => {
+    let alice = {sent: [], send: (data) => alice.sent.push(JSON.parse(data)), close: () => {}, authResponse: {sub: 'alice'}};
+    let bob = {sent: [], send: (data) => bob.sent.push(JSON.parse(data)), close: () => {}};
+    serviceRouter.sendConnectMessage(alice, null, {headers: {}, connection: {remoteAddress: '127.0.0.1'}});
+    serviceRouter.sendConnectMessage(bob, null, {headers: {}, connection: {remoteAddress: '127.0.0.1'}});
+    let join = (ws, metadata) => serviceRouter.routeWSMessage(ws, JSON.stringify({
+      to: 'hydra-router:/', frm: `${ws.id}@client:/`, typ: 'join', bdy: {room: 'lobby', metadata}
+    }));
+    await join(alice, {name: 'Alice'});
+    await join(bob);
+    expect(bob.sent[1].bdy.members.map((member) => member.clientID)).to.deep.equal([alice.id, bob.id]);
+    expect(alice.sent[2]).to.include({typ: 'room.join'});
+    expect(alice.sent[2].bdy.member.clientID).to.equal(bob.id);
+
+    let res = await request.get(`${baseUrl}/v1/router/rooms/lobby`);
+    expect(res.body.result.members[0]).to.include({clientID: alice.id, userID: 'alice'});
+    expect(res.body.result.members[0].metadata).to.deep.equal({name: 'Alice'});
+
+    await request.post(`${baseUrl}/v1/router/broadcast`)
+      .send({to: 'hydra-router:/', frm: 'chat-svcs:/', bdy: {room: 'lobby', text: 'hi'}});
+    expect(alice.sent[3]).to.include({typ: 'broadcast', frm: 'chat-svcs:/'});
+    expect(bob.sent[2].bdy).to.deep.equal({room: 'lobby', text: 'hi'});
+
+    serviceRouter.wsDisconnect(bob);
+    expect(alice.sent[4]).to.include({typ: 'room.leave'});
+    res = await request.get(`${baseUrl}/v1/router/list/rooms`);
+    expect(res.body.result).to.deep.equal({lobby: 1});
+    serviceRouter.wsDisconnect(alice);
+  });
+
+  it('should reject room names named like Object properties', async() => {
+    let sent = [];
+    let ws = {send: (data) => sent.push(JSON.parse(data)), close: () => {}};
+    serviceRouter.sendConnectMessage(ws, null, {headers: {}, connection: {remoteAddress: '127.0.0.1'}});
+    await serviceRouter.routeWSMessage(ws, JSON.stringify({
+      to: 'hydra-router:/', frm: `${ws.id}@client:/`, typ: 'join', bdy: {room: '__proto__'}
+    }));
+    expect(sent[1].bdy.error).to.equal('join message missing room');
+    serviceRouter._handleIncomingChannelMessage({
+      to: 'hydra-router:/', frm: 'remote@hydra-router:/', typ: 'room.join',
+      bdy: {room: 'constructor', routerID: 'remote-router', member: {clientID: 'remote-client', routerID: 'remote-router'}}
+    });
+    expect(serviceRouter.rooms.getMembers('constructor')).to.deep.equal([]);
+    expect({}['remote-client']).to.be.undefined;
+    serviceRouter.wsDisconnect(ws);
+  });
+
+  it('should close websockets once their token expires', (done) => {
+    let sent = [];
+    let ws = {send: (data) => sent.push(JSON.parse(data)), close: () => {
+      expect(sent[1].bdy.error).to.equal('Authentication token expired');
+      expect(serviceRouter.wsLocalClients[ws.id]).to.be.undefined;
+      done();
+    }};
+    serviceRouter.sendConnectMessage(ws, null, {headers: {}, connection: {remoteAddress: '127.0.0.1'}});
+    ws.authResponse = {sub: 'user-1', exp: (Date.now() + 50) / 1000};
+    serviceRouter._scheduleWSAuthExpiry(ws);
+  });
+
+  it('should never close websockets whose token has no expiry', () => {
+    let ws = {send: () => {}, close: () => {}};
+    serviceRouter.sendConnectMessage(ws, null, {headers: {}, connection: {remoteAddress: '127.0.0.1'}});
+    ws.authResponse = {sub: 'user-1'};
+    serviceRouter._scheduleWSAuthExpiry(ws);
+    expect(ws.authExpiryTimer).to.be.undefined;
+    serviceRouter.wsDisconnect(ws);
+  });
+
+  it('should only let clients reconnect with their reconnect token', async() => {
+    let createSocket = () => {
+      let ws = {sent: [], closed: false, close: () => {
+        ws.closed = true;
+      }};
+      ws.send = (data) => ws.sent.push(JSON.parse(data));
+      serviceRouter.sendConnectMessage(ws, null, {headers: {}, connection: {remoteAddress: '127.0.0.1'}});
+      return ws;
+    };
+    let reconnect = (ws, body) => serviceRouter.routeWSMessage(ws, JSON.stringify({
+      to: 'hydra-router:/', frm: `${ws.id}@client:/`, typ: 'reconnect', bdy: body
+    }));
+    let original = createSocket();
+    let {id, reconnectToken} = original.sent[0].bdy;
+    serviceRouter.wsDisconnect(original);
+
+    let intruder = createSocket();
+    await reconnect(intruder, {id});
+    expect(intruder.closed).to.be.true;
+    expect(serviceRouter.wsLocalClients[id]).to.be.undefined;
+
+    let other = createSocket();
+    await reconnect(other, {id: other.sent[0].bdy.id, token: reconnectToken});
+    expect(other.closed).to.be.true;
+
+    let returning = createSocket();
+    await reconnect(returning, {id, token: reconnectToken});
+    expect(returning.closed).to.be.false;
+    expect(serviceRouter.wsLocalClients[id]).to.equal(returning);
+    expect(returning.sent[1].bdy.id).to.equal(id);
+    serviceRouter.wsDisconnect(returning);
+  });
+
+  it('should require reconnect tokens to poll for unknown clients', async() => {
+    let res = await request.post(`${baseUrl}/v1/router/poll`);
+    let {id, reconnectToken} = res.body[0].bdy;
+    await request.delete(`${baseUrl}/v1/router/poll/${id}`).set('x-hydra-reconnect-token', reconnectToken);
+
+    res = await request.post(`${baseUrl}/v1/router/poll/${id}`)
+      .send({to: 'hydra-router:/', frm: `${id}@client:/`, typ: 'log', bdy: {}})
+      .ok(() => true);
+    expect(res.status).to.equal(403);
+    expect(serviceRouter.wsLocalClients[id]).to.be.undefined;
+
+    res = await request.post(`${baseUrl}/v1/router/poll/${id}`)
+      .set('x-hydra-reconnect-token', reconnectToken)
+      .send({to: 'hydra-router:/', frm: `${id}@client:/`, typ: 'log', bdy: {}});
+    expect(res.status).to.equal(202);
+    expect(serviceRouter.wsLocalClients[id]).to.exist;
+    await request.delete(`${baseUrl}/v1/router/poll/${id}`).set('x-hydra-reconnect-token', reconnectToken);
+  });
+
+  it('should require reconnect tokens for requests of connected polling clients', async() => {
+    let res = await request.post(`${baseUrl}/v1/router/poll`);
+    let {id, reconnectToken} = res.body[0].bdy;
+    res = await request.post(`${baseUrl}/v1/router/poll`);
+    let other = res.body[0].bdy;
+
+    res = await request.get(`${baseUrl}/v1/router/poll/${id}`).ok(() => true);
+    expect(res.status).to.equal(403);
+    res = await request.post(`${baseUrl}/v1/router/poll/${id}`)
+      .set('x-hydra-reconnect-token', other.reconnectToken)
+      .send({to: 'hydra-router:/', frm: `${id}@client:/`, typ: 'log', bdy: {}})
+      .ok(() => true);
+    expect(res.status).to.equal(403);
+    res = await request.delete(`${baseUrl}/v1/router/poll/${id}`).ok(() => true);
+    expect(res.status).to.equal(403);
+    expect(serviceRouter.wsLocalClients[id]).to.exist;
+
+    await request.delete(`${baseUrl}/v1/router/poll/${id}`).set('x-hydra-reconnect-token', reconnectToken);
+    expect(serviceRouter.wsLocalClients[id]).to.be.undefined;
+    await request.delete(`${baseUrl}/v1/router/poll/${other.id}`).set('x-hydra-reconnect-token', other.reconnectToken);
+  });
+
+  it('should limit the size of messages posted by polling clients', async() => {
+    let res = await request.post(`${baseUrl}/v1/router/poll`);
+    let {id, reconnectToken} = res.body[0].bdy;
+    res = await request.post(`${baseUrl}/v1/router/poll/${id}`)
+      .set('x-hydra-reconnect-token', reconnectToken)
+      .send({to: 'hydra-router:/', frm: `${id}@client:/`, typ: 'log', bdy: {text: 'x'.repeat(2048)}})
+      .ok(() => true);
+    expect(res.status).to.equal(413);
+    await request.delete(`${baseUrl}/v1/router/poll/${id}`).set('x-hydra-reconnect-token', reconnectToken);
+  });
+
+  it('should answer polling clients with a 500 when a message can\'t be routed', async() => {
+    let res = await request.post(`${baseUrl}/v1/router/poll`);
+    let {id, reconnectToken} = res.body[0].bdy;
+    let routeWSMessage = serviceRouter.routeWSMessage;
+    serviceRouter.routeWSMessage = () => Promise.reject(new Error('routing failed'));
+    try {
+      res = await request.post(`${baseUrl}/v1/router/poll/${id}`)
+        .set('x-hydra-reconnect-token', reconnectToken)
+        .send({to: 'hydra-router:/', frm: `${id}@client:/`, typ: 'log', bdy: {}})
+        .ok(() => true);
+    } finally {
+      serviceRouter.routeWSMessage = routeWSMessage;
+    }
+    expect(res.status).to.equal(500);
+    await request.delete(`${baseUrl}/v1/router/poll/${id}`).set('x-hydra-reconnect-token', reconnectToken);
+  });
+
+  it('should forward unknown content types byte-for-byte', async() => {
+    let payLoad = Buffer.from([0x08, 0x96, 0x01, 0x12, 0x00, 0xff]);
+    let res = await request.post(`${baseUrl}/v1/items`)
+      .set('content-type', 'application/x-protobuf')
+      .send(payLoad);
+    expect(res.status).to.equal(201);
+    expect(calls).to.be.empty;
+    expect(upstreamRequests[0].url).to.equal('/v1/items');
+    expect(upstreamRequests[0].headers['content-type']).to.equal('application/x-protobuf');
+    expect(upstreamRequests[0].body.equals(payLoad)).to.be.true;
+  });
+
+  it('should forward plain text bodies unchanged', async() => {
+    let res = await request.post(`${baseUrl}/v1/items`)
+      .set('content-type', 'text/plain; charset=utf-8')
+      .send('first line\nsecond line');
+    expect(res.status).to.equal(201);
+    expect(upstreamRequests[0].headers['content-type']).to.equal('text/plain; charset=utf-8');
+    expect(upstreamRequests[0].body.toString()).to.equal('first line\nsecond line');
+  });
+
+  it('should stream routes configured for streaming', async() => {
+    let body = Buffer.alloc(1024, 'x');
+    let res = await request.put(`${baseUrl}/v1/items/8`)
+      .set('content-type', 'application/octet-stream')
+      .set('proxy-authorization', 'Basic abc')
+      .send(body);
+    expect(res.status).to.equal(201);
+    expect(res.text).to.equal('stored');
+    expect(res.headers).to.not.have.property('keep-alive');
+    expect(calls).to.have.lengthOf(0);
+    expect(upstreamRequests[0]).to.include({method: 'PUT', url: '/v1/items/8'});
+    expect(upstreamRequests[0].headers).to.not.have.property('proxy-authorization');
+    expect(upstreamRequests[0].body.equals(body)).to.be.true;
+  });
+
+  it('should answer with a 413 when a streamed body exceeds maxBodySize', async() => {
+    let res = await request.put(`${baseUrl}/v1/items/8`)
+      .set('content-type', 'application/octet-stream')
+      .send(Buffer.alloc(2048, 'x'))
+      .ok(() => true);
+    expect(res.status).to.equal(413);
+
+    // without a content-length the limit is enforced while streaming
+    let statusCode = await new Promise((resolve, reject) => {
+      let req = http.request(`${baseUrl}/v1/items/8`, {
+        method: 'PUT',
+        headers: {'content-type': 'application/octet-stream', 'transfer-encoding': 'chunked'}
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      });
+      req.on('error', reject);
+      req.write(Buffer.alloc(512, 'x'));
+      setTimeout(() => req.end(Buffer.alloc(1024, 'x')), 20);
+    });
+    expect(statusCode).to.equal(413);
+  });
+
+  it('should answer with a 504 when a streamed request times out', async() => {
+    let res = await request.post(`${baseUrl}/v1/slow`)
+      .set('content-type', 'text/plain')
+      .send('waiting')
+      .ok(() => true);
+    expect(res.status).to.equal(504);
+    expect(res.body.result.reason).to.equal('slow-svcs did not respond within 0.1 seconds');
+  });
+
+  it('should parse multipart bodies into UMF bodies when enabled', async() => {
+    let res = await request.post(`${baseUrl}/v1/uploads`)
+      .field('title', 'Report')
+      .field('tags', 'a')
+      .field('tags', 'b')
+      .attach('attachment', Buffer.from('%PDF-1.4'), {filename: 'report.pdf', contentType: 'application/pdf'});
+    expect(res.status).to.equal(200);
+    expect(calls[0].headers['content-type']).to.equal('application/json');
+    expect(calls[0].body.fields).to.deep.equal({title: 'Report', tags: ['a', 'b']});
+    expect(calls[0].body.files).to.deep.equal([{
+      name: 'attachment',
+      filename: 'report.pdf',
+      contentType: 'application/pdf',
+      size: 8,
+      data: Buffer.from('%PDF-1.4').toString('base64')
+    }]);
+  });
+
+  it('should forward multipart bodies unparsed by default', async() => {
+    let res = await request.post(`${baseUrl}/v1/items`)
+      .field('title', 'Report');
+    expect(res.status).to.equal(201);
+    expect(upstreamRequests[0].headers['content-type']).to.match(/^multipart\/form-data; boundary=/);
+    expect(upstreamRequests[0].body.toString()).to.include('Report');
+  });
+
+  it('should decode compressed request bodies', async() => {
+    let res = await request.patch(`${baseUrl}/v1/items/1`)
+      .set('content-type', 'application/json')
+      .set('content-encoding', 'br')
+      .serialize((body) => body)
+      .send(zlib.brotliCompressSync(JSON.stringify({name: 'widget'})));
+    expect(res.status).to.equal(200);
+    expect(calls[0].body).to.deep.equal({name: 'widget'});
+    expect(calls[0].headers['content-encoding']).to.be.undefined;
+  });
+
+  it('should limit the decoded size of compressed request bodies', async() => {
+    let res = await request.patch(`${baseUrl}/v1/items/1`)
+      .set('content-type', 'application/json')
+      .set('content-encoding', 'gzip')
+      .serialize((body) => body)
+      .send(zlib.gzipSync(JSON.stringify({name: 'x'.repeat(4096)})))
+      .ok(() => true);
+    expect(res.status).to.equal(413);
+    expect(calls).to.have.lengthOf(0);
+  });
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const Topics = require('../lib/topics');
+
+describe('Topics', () => {
+  let topics;
+
+  beforeEach(() => {
+    topics = new Topics();
+    topics.subscribe('router-a', 'client-1', 'news');
+    topics.subscribe('router-a', 'client-2', 'news');
+    topics.subscribe('router-b', 'client-3', 'news');
+    topics.subscribe('router-b', 'client-3', 'sports');
+  });
+
+  it('should report whether subscriptions changed', () => {
+    expect(topics.subscribe('router-a', 'client-1', 'news')).to.be.false;
+    expect(topics.unsubscribe('router-a', 'client-1', 'sports')).to.be.false;
+    expect(topics.unsubscribe('router-a', 'client-1', 'news')).to.be.true;
+    expect(topics.getSubscribers('router-a', 'news')).to.deep.equal(['client-2']);
+  });
+
+  it('should count subscribers across router instances', () => {
+    expect(topics.getCounts()).to.deep.equal({news: 3, sports: 1});
+    topics.removeClient('router-b', 'client-3');
+    expect(topics.getCounts()).to.deep.equal({news: 2});
+    topics.removeRouter('router-a');
+    expect(topics.getCounts()).to.deep.equal({});
+  });
+
+  it('should tell whether other router instances have subscribers', () => {
+    expect(topics.hasRemoteSubscribers('router-a', 'news')).to.be.true;
+    expect(topics.hasRemoteSubscribers('router-b', 'sports')).to.be.false;
+    topics.setRouterTopics('router-c', {sports: {'client-4': 1}});
+    expect(topics.hasRemoteSubscribers('router-b', 'sports')).to.be.true;
+  });
+
+  it('should keep topic names named like Object properties apart from Object.prototype', () => {
+    expect(topics.subscribe('router-a', 'client-1', '__proto__')).to.be.true;
+    expect(topics.subscribe('router-a', 'client-1', 'constructor')).to.be.true;
+    topics.setRouterTopics('router-c', JSON.parse('{"__proto__": {"client-4": 1}}'));
+    expect(topics.getSubscribers('router-a', '__proto__')).to.deep.equal(['client-1']);
+    expect(topics.getSubscribers('router-c', '__proto__')).to.deep.equal(['client-4']);
+    expect(topics.getSubscribers('router-b', 'constructor')).to.deep.equal([]);
+    expect({}['client-1']).to.be.undefined;
+    expect({}['client-4']).to.be.undefined;
+  });
+});
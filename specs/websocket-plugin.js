@@ -0,0 +1,85 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const crypto = require('crypto');
+const WebSocketPlugin = require('../lib/plugins/websocket-plugin');
+
+const SECRET = '7f0b8c1e-2d4a-4f6b-9a3e-1c5d7e9f0a2b';
+
+/**
+* @name encode
+* @summary base64url encode a buffer
+* @param {buffer} buffer - data to encode
+* @return {string} encoded - base64url string
+*/
+function encode(buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+* @name sign
+* @summary create a token signed with the shared secret
+* @param {object} claims - token payload
+* @return {string} token - encoded JWT
+*/
+function sign(claims) {
+  let input = [{alg: 'HS256', typ: 'JWT'}, claims].map((part) => encode(Buffer.from(JSON.stringify(part)))).join('.');
+  return `${input}.${encode(crypto.createHmac('sha256', SECRET).update(input).digest())}`;
+}
+
+describe('WebSocketPlugin', () => {
+  let token = sign({sub: 'user-1', exp: Math.floor(Date.now() / 1000) + 60});
+  let plugin;
+
+  beforeEach(() => {
+    plugin = new WebSocketPlugin();
+    plugin.init({
+      websocketAuthJWT: {
+        secret: SECRET
+      }
+    });
+  });
+
+  it('should only use JWTs when websocketAuthJWT is configured', () => {
+    let basic = new WebSocketPlugin();
+    basic.init({requireWebsocketAuth: true});
+    expect(basic.usesJWT()).to.be.false;
+    expect(plugin.usesJWT()).to.be.true;
+  });
+
+  it('should read the token from the authorization header', () => {
+    expect(plugin.verifyToken({headers: {authorization: `Bearer ${token}`}, url: '/'}).sub).to.equal('user-1');
+    expect(plugin.verifyToken({headers: {authorization: token}, url: '/'}).sub).to.equal('user-1');
+  });
+
+  it('should read the token from the subprotocol following the marker', () => {
+    let req = {headers: {'sec-websocket-protocol': `umf, bearer, ${token}`}, url: '/'};
+    expect(plugin.verifyToken(req).sub).to.equal('user-1');
+    expect(plugin._getToken({headers: {'sec-websocket-protocol': 'umf, bearer'}, url: '/'})).to.be.undefined;
+  });
+
+  it('should read the token from the query param', () => {
+    expect(plugin.verifyToken({headers: {}, url: `/ws?token=${token}`}).sub).to.equal('user-1');
+  });
+
+  it('should use the configured header, subprotocol marker and query param', () => {
+    plugin.init({
+      websocketAuthJWT: {
+        secret: SECRET,
+        header: 'X-Access-Token',
+        subprotocol: 'access_token',
+        queryParam: 'jwt'
+      }
+    });
+    expect(plugin._getToken({headers: {'x-access-token': token}})).to.equal(token);
+    expect(plugin._getToken({headers: {'sec-websocket-protocol': `access_token, ${token}`}})).to.equal(token);
+    expect(plugin._getToken({headers: {}, url: `/ws?jwt=${token}`})).to.equal(token);
+    expect(plugin._getToken({headers: {authorization: `Bearer ${token}`}, url: `/ws?token=${token}`})).to.be.undefined;
+  });
+
+  it('should reject connections with missing or invalid tokens', () => {
+    expect(() => plugin.verifyToken({headers: {}, url: '/'})).to.throw('Bearer token must be provided on connection');
+    expect(() => plugin.verifyToken({headers: {authorization: `Bearer ${token}x`}})).to.throw('Invalid token signature');
+  });
+});
@@ -0,0 +1,63 @@
+'use strict';
+
+require('./helpers/chai.js');
+const expect = require('chai').expect;
+const EventEmitter = require('events');
+const WSHeartbeat = require('../lib/wsheartbeat');
+
+describe('WSHeartbeat', () => {
+  let heartbeat,
+    expired;
+
+  let createSocket = () => {
+    let ws = new EventEmitter();
+    ws.pings = 0;
+    ws.ping = () => ws.pings++;
+    return ws;
+  };
+
+  beforeEach(() => {
+    expired = [];
+    heartbeat = new WSHeartbeat();
+  });
+
+  afterEach(() => {
+    heartbeat.close();
+  });
+
+  it('should report sockets which stop answering pings', () => {
+    heartbeat.init({wsHeartbeat: {missedPings: 2}}, (ws, reason) => expired.push(reason));
+    let alive = createSocket();
+    let dead = createSocket();
+    heartbeat.track(alive);
+    heartbeat.track(dead);
+    for (let i = 0; i < 3; i++) {
+      heartbeat._sweep();
+      alive.emit('pong');
+    }
+    expect(alive.pings).to.equal(3);
+    expect(dead.pings).to.equal(2);
+    expect(expired).to.deep.equal([WSHeartbeat.MISSED_PINGS]);
+  });
+
+  it('should report idle sockets', () => {
+    heartbeat.init({wsHeartbeat: {pingInterval: 0, idleTimeout: 60}}, (ws, reason) => expired.push(reason));
+    let active = createSocket();
+    let idle = createSocket();
+    heartbeat.track(active);
+    heartbeat.track(idle);
+    heartbeat.sockets.get(active).lastActivity -= 61000;
+    heartbeat.sockets.get(idle).lastActivity -= 61000;
+    heartbeat.touch(active);
+    heartbeat._sweep();
+    expect(expired).to.deep.equal([WSHeartbeat.IDLE_TIMEOUT]);
+    expect(active.pings).to.equal(0);
+    expect(heartbeat.sockets.has(idle)).to.be.false;
+  });
+
+  it('should ignore client connections which are not websockets', () => {
+    heartbeat.init({}, (ws, reason) => expired.push(reason));
+    heartbeat.track({send: () => {}, close: () => {}});
+    expect(heartbeat.sockets.size).to.equal(0);
+  });
+});